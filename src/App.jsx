@@ -2,41 +2,124 @@ import React, { Suspense } from "react";
 import { BrowserRouter, Routes, Route, Navigate } from "react-router-dom";
 
 import AdminPanelLayoutTest from "./layouts/AdminLayout";
+import ProtectedRoute from "./components/ProtectedRoute";
+import SessionExpiryHandler from "./components/SessionExpiryHandler";
+import RequirePermission from "./components/RequirePermission";
+import { PERMISSIONS } from "./auth/permissions";
 import Users from "./pages/Users/Users";
 import Register from "./pages/Auth/Register";
 import Login from "./pages/Auth/Login";
+import ForgotPassword from "./pages/Auth/ForgotPassword";
 import AdminBlogs from "./pages/Blogs/AdminBlogs";
 import AdminGallery from "./pages/Gallery/AdminGallery";
 import AdminReportSummary from "./pages/Reports/AdminReports";
 import AdminEvents from "./pages/Events/AdminEvents";
 import FooterSettings from "./pages/Footer/FooterSettings";
 import AdminPayments from "./pages/AdminPayments/AdminPayments";
+import AdminInvites from "./pages/Invites/AdminInvites";
+import LoginSecurity from "./pages/Security/LoginSecurity";
+import ProfileSettings from "./pages/Settings/ProfileSettings";
 
 const App = () => {
   return (
     <BrowserRouter>
+      <SessionExpiryHandler />
       <Suspense fallback={<div>Loading...</div>}>
         <Routes>
           {/* PUBLIC ROUTES */}
           <Route path="/register" element={<Register />} />
           <Route path="/login" element={<Login />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
 
           {/* Redirect root */}
           <Route path="/" element={<Navigate to="/login" replace />} />
 
           {/* ADMIN ROUTES */}
-          <Route element={<AdminPanelLayoutTest />}>
-            {/* choose one */}
-            <Route index element={<Navigate to="/login" replace />} />
-            {/* or: <Route index element={<Navigate to="/login" replace />} /> */}
-
-            <Route path="reports" element={<AdminReportSummary />} />
-            <Route path="users" element={<Users />} />
-            <Route path="blogs" element={<AdminBlogs />} />
-            <Route path="events" element={<AdminEvents />} />
-            <Route path="gallery" element={<AdminGallery />} />
-            <Route path="footer" element={<FooterSettings />} />
-            <Route path="payments" element={<AdminPayments />} />
+          <Route element={<ProtectedRoute />}>
+            <Route element={<AdminPanelLayoutTest />}>
+              {/* choose one */}
+              <Route index element={<Navigate to="/login" replace />} />
+              {/* or: <Route index element={<Navigate to="/login" replace />} /> */}
+
+              <Route
+                path="reports"
+                element={
+                  <RequirePermission permission={PERMISSIONS.VIEW_DASHBOARD}>
+                    <AdminReportSummary />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="users"
+                element={
+                  <RequirePermission permission={PERMISSIONS.VIEW_USERS}>
+                    <Users />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="blogs"
+                element={
+                  <RequirePermission permission={PERMISSIONS.MANAGE_BLOGS}>
+                    <AdminBlogs />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="events"
+                element={
+                  <RequirePermission permission={PERMISSIONS.VIEW_EVENTS}>
+                    <AdminEvents />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="gallery"
+                element={
+                  <RequirePermission permission={PERMISSIONS.MANAGE_GALLERY}>
+                    <AdminGallery />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="footer"
+                element={
+                  <RequirePermission permission={PERMISSIONS.MANAGE_SITE}>
+                    <FooterSettings />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="payments"
+                element={
+                  <RequirePermission permission={PERMISSIONS.VIEW_PAYMENTS}>
+                    <AdminPayments />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="invites"
+                element={
+                  <RequirePermission permission={PERMISSIONS.MANAGE_INVITES}>
+                    <AdminInvites />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="security"
+                element={
+                  <RequirePermission permission={PERMISSIONS.VIEW_LOGIN_SECURITY}>
+                    <LoginSecurity />
+                  </RequirePermission>
+                }
+              />
+
+              {/* Every admin can manage their own account */}
+              <Route path="settings">
+                <Route index element={<Navigate to="profile" replace />} />
+                <Route path="profile" element={<ProfileSettings />} />
+              </Route>
+            </Route>
           </Route>
 
           {/* Catch-all */}
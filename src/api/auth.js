@@ -0,0 +1,42 @@
+import apiClient, { unwrap } from "./client";
+
+/**
+ * @typedef {Object} LoginResponse
+ * @property {string} token   JWT sent as `Authorization: Bearer <token>`
+ * @property {string} [refreshToken]  exchanged at /auth/refresh for a new token
+ * @property {string} [role]
+ * @property {string} [name]
+ * @property {string} [mobile]
+ * @property {boolean} [twoFactorRequired]  no token yet; finish with
+ *   verifyTwoFactor using `challengeToken`
+ * @property {string} [challengeToken]
+ *
+ * Failed logins answer 401 with `{ message, attemptsLeft }`; a locked
+ * account answers 423 (or 429) with `{ message, retryAfterSeconds }` and
+ * a `Retry-After` header.
+ *
+ * @typedef {Object} LoginFailure
+ * @property {string} [message]
+ * @property {number} [attemptsLeft]       tries before the account locks
+ * @property {number} [retryAfterSeconds]  set while the account is locked
+ * @property {string} [lockedUntil]        ISO timestamp, same meaning
+ */
+
+const authApi = {
+  /** @returns {Promise<LoginResponse>} */
+  login: ({ mobile, password }) =>
+    unwrap(apiClient.post("/auth/login", { mobile, password })),
+
+  /**
+   * Second login step for admins with 2FA. `code` is the 6-digit TOTP or
+   * one of the backup codes.
+   * @returns {Promise<LoginResponse>}
+   */
+  verifyTwoFactor: ({ challengeToken, code }) =>
+    unwrap(apiClient.post("/auth/2fa/verify", { challengeToken, code })),
+
+  /** `payload.inviteCode` is required; the role comes from the invite */
+  register: (payload) => unwrap(apiClient.post("/auth/register", payload)),
+};
+
+export default authApi;
@@ -0,0 +1,25 @@
+import apiClient, { asList, unwrap } from "./client";
+
+/**
+ * @typedef {Object} Blog
+ * @property {string} id
+ * @property {string} title
+ * @property {string} description
+ * @property {string} [imageUrl]
+ * @property {string} [videoUrl]
+ * @property {number} year
+ * @property {boolean} isActive
+ */
+
+const blogsApi = {
+  /** @returns {Promise<Blog[]>} */
+  list: () => unwrap(apiClient.get("/blogs")).then(asList),
+
+  create: (payload) => unwrap(apiClient.post("/admin/blogs", payload)),
+
+  update: (id, payload) => unwrap(apiClient.put(`/admin/blogs/${id}`, payload)),
+
+  remove: (id) => unwrap(apiClient.delete(`/admin/blogs/${id}`)),
+};
+
+export default blogsApi;
@@ -0,0 +1,109 @@
+import axios from "axios";
+import { API_ROOT, REQUEST_TIMEOUT } from "./config";
+import { getRefreshToken, getToken } from "../auth/session";
+import { expireSession } from "../auth/sessionEvents";
+import { refreshSession, shouldRefreshSoon } from "./tokenRefresh";
+
+export { API_BASE_URL } from "./config";
+
+const apiClient = axios.create({
+  baseURL: API_ROOT,
+  timeout: REQUEST_TIMEOUT,
+  headers: { "Content-Type": "application/json" },
+});
+
+// Login / register answer 401 for bad credentials; those are not expiries
+const isAuthEndpoint = (url = "") => /^\/?auth\//.test(url);
+
+// Signed-in calls that re-check the admin's password or 2FA code and answer
+// 401 when it is wrong; the session is still fine
+const checksCredentials = (url = "") =>
+  /^\/?admin\/profile\/(password|2fa\/(confirm|disable|backup-codes))$/.test(url);
+
+const sessionExpiredError = (cause) => {
+  const err = cause instanceof Error ? cause : new Error("Session expired");
+  err.isSessionExpired = true;
+  expireSession();
+  return err;
+};
+
+// Single place where the admin token is attached to outgoing requests.
+// A token about to expire is renewed first; requests arriving meanwhile
+// wait on the same refresh.
+apiClient.interceptors.request.use(async (config) => {
+  if (!isAuthEndpoint(config.url) && shouldRefreshSoon()) {
+    try {
+      await refreshSession();
+    } catch (err) {
+      throw sessionExpiredError(err);
+    }
+  }
+
+  const token = getToken();
+  if (token && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// A 401 gets one silent refresh-and-retry; if that fails the session ends
+// in one place instead of every page rendering its own error state. A 403
+// is a role without the permission, not an expiry: it reaches the caller.
+apiClient.interceptors.response.use(undefined, async (err) => {
+  const status = err?.response?.status;
+  const config = err?.config;
+  if (status !== 401 || isAuthEndpoint(config?.url) || checksCredentials(config?.url)) {
+    throw err;
+  }
+
+  if (!config._retried && getRefreshToken()) {
+    config._retried = true;
+    let token;
+    try {
+      token = await refreshSession();
+    } catch {
+      throw sessionExpiredError(err);
+    }
+    config.headers.Authorization = `Bearer ${token}`;
+    return apiClient(config);
+  }
+
+  throw sessionExpiredError(err);
+});
+
+// Pages skip their own error UI for these; the session modal covers it
+export const isSessionExpiredError = (err) => !!err?.isSessionExpired;
+
+// Turns any axios / network error into a user-facing message
+export const getErrorMessage = (err, fallback = "Something went wrong") => {
+  if (axios.isCancel(err) || err?.name === "CanceledError") {
+    return "Request cancelled";
+  }
+  if (err?.code === "ECONNABORTED" || err?.name === "AbortError") {
+    return "Request timed out. Please try again.";
+  }
+  const data = err?.response?.data;
+  if (typeof data === "string" && data.trim()) return data;
+  if (data?.message) return data.message;
+  if (err?.response?.status === 403) {
+    return "You don't have permission to do that.";
+  }
+  return fallback;
+};
+
+// Unwraps the response body so resource modules return plain data
+export const unwrap = (promise) => promise.then((res) => res.data);
+
+// Backend list endpoints return bare arrays; keep callers safe if they don't
+export const asList = (data) => (Array.isArray(data) ? data : []);
+
+// Paged endpoints answer with a Spring `Page` ({ content, totalElements });
+// a bare array is treated as a single page
+export const asPage = (data) => {
+  if (Array.isArray(data)) return { items: data, total: data.length };
+  const items = asList(data?.content ?? data?.items);
+  const total = Number(data?.totalElements ?? data?.total);
+  return { items, total: Number.isFinite(total) ? total : items.length };
+};
+
+export default apiClient;
@@ -0,0 +1,9 @@
+// Backend origin per environment. Set VITE_API_BASE_URL in .env.[mode]
+// (see .env.example); falls back to the production backend.
+export const API_BASE_URL = (
+  import.meta.env.VITE_API_BASE_URL || "https://sirivaram-backed.onrender.com"
+).replace(/\/+$/, "");
+
+export const API_ROOT = `${API_BASE_URL}/api`;
+
+export const REQUEST_TIMEOUT = 15000;
@@ -0,0 +1,24 @@
+import apiClient, { unwrap } from "./client";
+
+/**
+ * @typedef {Object} DashboardSummary
+ * @property {number} totalUsers
+ * @property {number} pendingUsers
+ * @property {number} approvedUsers
+ * @property {number} rejectedUsers
+ * @property {number} totalEvents
+ * @property {number} [activeEvents]
+ * @property {number} [completedEvents]
+ * @property {number} [pendingEvents]
+ * @property {number} totalPayments
+ * @property {number} pendingPayments
+ * @property {number} verifiedPayments
+ * @property {number} rejectedPayments
+ */
+
+const dashboardApi = {
+  /** @returns {Promise<DashboardSummary>} */
+  summary: () => unwrap(apiClient.get("/admin/dashboard/summary")),
+};
+
+export default dashboardApi;
@@ -0,0 +1,31 @@
+import apiClient, { asList, unwrap } from "./client";
+
+/**
+ * @typedef {Object} VillageEvent
+ * @property {string} id
+ * @property {string} title
+ * @property {string} [description]
+ * @property {string} startDate   YYYY-MM-DD
+ * @property {string} endDate     YYYY-MM-DD
+ * @property {string} [venue]
+ * @property {number} ticketPrice
+ * @property {number} year
+ * @property {number} income
+ * @property {number} expense
+ * @property {string} [qrImageUrl]
+ * @property {boolean} isPublic
+ */
+
+const eventsApi = {
+  /** @returns {Promise<VillageEvent[]>} */
+  list: () => unwrap(apiClient.get("/events")).then(asList),
+
+  create: (payload) => unwrap(apiClient.post("/admin/events", payload)),
+
+  update: (id, payload) =>
+    unwrap(apiClient.put(`/admin/events/${id}`, payload)),
+
+  remove: (id) => unwrap(apiClient.delete(`/admin/events/${id}`)),
+};
+
+export default eventsApi;
@@ -0,0 +1,21 @@
+import apiClient, { unwrap } from "./client";
+
+/**
+ * @typedef {Object} FooterSettings
+ * @property {string} address
+ * @property {string} contactNo
+ * @property {string} email
+ * @property {string} [facebook]
+ * @property {string} [instagram]
+ * @property {string} [youtube]
+ * @property {string} [twitter]
+ */
+
+const footerApi = {
+  /** @returns {Promise<FooterSettings>} */
+  get: () => unwrap(apiClient.get("/footer")),
+
+  update: (payload) => unwrap(apiClient.put("/admin/footer", payload)),
+};
+
+export default footerApi;
@@ -0,0 +1,26 @@
+import apiClient, { asList, unwrap } from "./client";
+
+/**
+ * @typedef {Object} GalleryItem
+ * @property {string} id
+ * @property {string} title
+ * @property {string} [description]
+ * @property {string} [imageUrl]
+ * @property {string} [videoUrl]
+ * @property {number} year
+ * @property {string} [createdAt]
+ */
+
+const galleryApi = {
+  /** @returns {Promise<GalleryItem[]>} */
+  list: () => unwrap(apiClient.get("/gallery")).then(asList),
+
+  create: (payload) => unwrap(apiClient.post("/admin/gallery", payload)),
+
+  update: (id, payload) =>
+    unwrap(apiClient.put(`/admin/gallery/${id}`, payload)),
+
+  remove: (id) => unwrap(apiClient.delete(`/admin/gallery/${id}`)),
+};
+
+export default galleryApi;
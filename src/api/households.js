@@ -0,0 +1,47 @@
+import apiClient, { asList, unwrap } from "./client";
+
+/**
+ * A family unit. Members are users; payments and event participation can
+ * later be totalled per household.
+ *
+ * @typedef {Object} Household
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [headUserId]   head of household, one of the members
+ * @property {string} [headName]
+ * @property {string} [address]      shared by all members
+ * @property {string} [village]
+ * @property {number} [memberCount]
+ * @property {import("./users").User[]} [members]  only from get()
+ */
+
+const BASE = "/admin/households";
+
+const householdsApi = {
+  /**
+   * @param {{ q?: string }} [filters]
+   * @returns {Promise<Household[]>}
+   */
+  list: ({ q } = {}) =>
+    unwrap(apiClient.get(BASE, { params: { q: q || undefined } })).then(asList),
+
+  /** @returns {Promise<Household>} with `members` */
+  get: (id) => unwrap(apiClient.get(`${BASE}/${id}`)),
+
+  /**
+   * @param {{ name: string, headUserId: string, address?: string, village?: string, memberIds: string[] }} payload
+   * @returns {Promise<Household>}
+   */
+  create: (payload) => unwrap(apiClient.post(BASE, payload)),
+
+  /** @param {{ name?: string, headUserId?: string, address?: string, village?: string }} payload */
+  update: (id, payload) => unwrap(apiClient.put(`${BASE}/${id}`, payload)),
+
+  addMember: (id, userId) =>
+    unwrap(apiClient.post(`${BASE}/${id}/members`, { userId })),
+
+  removeMember: (id, userId) =>
+    unwrap(apiClient.delete(`${BASE}/${id}/members/${userId}`)),
+};
+
+export default householdsApi;
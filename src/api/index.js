@@ -0,0 +1,19 @@
+export {
+  default as apiClient,
+  API_BASE_URL,
+  getErrorMessage,
+  isSessionExpiredError,
+} from "./client";
+export { default as authApi } from "./auth";
+export { default as usersApi } from "./users";
+export { default as eventsApi } from "./events";
+export { default as paymentsApi } from "./payments";
+export { default as blogsApi } from "./blogs";
+export { default as galleryApi } from "./gallery";
+export { default as footerApi } from "./footer";
+export { default as dashboardApi } from "./dashboard";
+export { default as invitesApi } from "./invites";
+export { otpSender } from "./otp";
+export { default as profileApi } from "./profile";
+export { default as securityApi } from "./security";
+export { default as householdsApi } from "./households";
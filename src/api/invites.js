@@ -0,0 +1,41 @@
+import apiClient, { asList, unwrap } from "./client";
+
+/**
+ * @typedef {Object} AdminInvite
+ * @property {string} id
+ * @property {string} code        single-use code sent to the new admin
+ * @property {string} role        role the invite grants (see auth/permissions)
+ * @property {string} expiresAt   ISO timestamp
+ * @property {string} [createdBy]
+ * @property {string} [usedAt]
+ * @property {string} [usedBy]
+ * @property {string} [revokedAt]
+ *
+ * @typedef {Object} InviteCheck
+ * @property {boolean} valid
+ * @property {string} [role]
+ * @property {string} [expiresAt]
+ * @property {string} [message]   why the code is not valid
+ */
+
+const invitesApi = {
+  /** @returns {Promise<AdminInvite[]>} */
+  list: () => unwrap(apiClient.get("/admin/invites")).then(asList),
+
+  /**
+   * @param {{ role: string, expiresInHours: number }} payload
+   * @returns {Promise<AdminInvite>}
+   */
+  create: (payload) => unwrap(apiClient.post("/admin/invites", payload)),
+
+  revoke: (id) => unwrap(apiClient.delete(`/admin/invites/${id}`)),
+
+  /**
+   * Public check used by the register page before it unlocks the form.
+   * @returns {Promise<InviteCheck>}
+   */
+  validate: (code) =>
+    unwrap(apiClient.get(`/auth/invites/${encodeURIComponent(code)}`)),
+};
+
+export default invitesApi;
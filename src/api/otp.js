@@ -0,0 +1,83 @@
+import apiClient, { unwrap } from "./client";
+
+/**
+ * Transport used by the forgot-password flow. The backend implementation
+ * sends real SMS; the stub keeps everything in the browser so the flow can
+ * be exercised without a backend or SMS credits.
+ *
+ * @typedef {Object} OtpRequestResult
+ * @property {number} [resendAfterSeconds]
+ * @property {number} [expiresInSeconds]
+ *
+ * @typedef {Object} OtpVerifyResult
+ * @property {string} resetToken   short-lived token for the reset call
+ *
+ * @typedef {Object} OtpSender
+ * @property {(mobile: string) => Promise<OtpRequestResult>} requestOtp
+ * @property {(mobile: string, otp: string) => Promise<OtpVerifyResult>} verifyOtp
+ * @property {(payload: { resetToken: string, password: string }) => Promise<unknown>} resetPassword
+ */
+
+/** @type {OtpSender} */
+export const backendOtpSender = {
+  requestOtp: (mobile) =>
+    unwrap(apiClient.post("/auth/password/otp", { mobile })),
+
+  verifyOtp: (mobile, otp) =>
+    unwrap(apiClient.post("/auth/password/otp/verify", { mobile, otp })),
+
+  resetPassword: (payload) =>
+    unwrap(apiClient.post("/auth/password/reset", payload)),
+};
+
+const STUB_OTP_TTL_MS = 5 * 60 * 1000;
+const STUB_MAX_ATTEMPTS = 5;
+
+// Mimics the backend's error shape so the UI paths are the same
+const stubError = (message, extra = {}) => {
+  const err = new Error(message);
+  err.response = { status: 400, data: { message, ...extra } };
+  return err;
+};
+
+/** @returns {OtpSender} */
+export const createStubOtpSender = () => {
+  const pending = new Map();
+
+  return {
+    requestOtp: async (mobile) => {
+      const otp = String(Math.floor(100000 + Math.random() * 900000));
+      pending.set(mobile, {
+        otp,
+        attemptsLeft: STUB_MAX_ATTEMPTS,
+        expiresAt: Date.now() + STUB_OTP_TTL_MS,
+      });
+      console.info(`[otp-stub] OTP for ${mobile}: ${otp}`);
+      return { resendAfterSeconds: 30, expiresInSeconds: STUB_OTP_TTL_MS / 1000 };
+    },
+
+    verifyOtp: async (mobile, otp) => {
+      const entry = pending.get(mobile);
+      if (!entry || entry.expiresAt < Date.now()) {
+        throw stubError("OTP expired. Please request a new one.", {
+          attemptsLeft: 0,
+        });
+      }
+      if (entry.otp !== otp) {
+        entry.attemptsLeft -= 1;
+        if (entry.attemptsLeft <= 0) pending.delete(mobile);
+        throw stubError("Incorrect OTP", { attemptsLeft: entry.attemptsLeft });
+      }
+      pending.delete(mobile);
+      return { resetToken: `stub-reset-${mobile}` };
+    },
+
+    resetPassword: async () => ({ success: true }),
+  };
+};
+
+// VITE_OTP_SENDER=stub switches the whole flow to the in-browser stub
+export const otpSender =
+  import.meta.env.VITE_OTP_SENDER === "stub"
+    ? createStubOtpSender()
+    : backendOtpSender;
@@ -0,0 +1,139 @@
+import apiClient, { asList, unwrap } from "./client";
+
+/**
+ * @typedef {"PENDING_VERIFICATION" | "VERIFIED" | "REJECTED"} PaymentStatus
+ *
+ * @typedef {Object} Payment
+ * @property {string} id
+ * @property {string} eventId
+ * @property {string} payerName
+ * @property {string} payerMobile
+ * @property {string} [userId]    set when the payer is a registered user
+ * @property {number} amount
+ * @property {string} paidOnDate  ISO timestamp
+ * @property {PaymentStatus} status
+ * @property {PaymentMethod} [method]
+ * @property {string} [utr]            UPI / bank transaction reference
+ * @property {string} [screenshotUrl]  proof uploaded by the payer
+ * @property {string} [receivedBy]     cash / cheque: who took the money
+ * @property {string} [receiptNumber]  cash / cheque: paper receipt issued
+ * @property {string} [chequeNumber]
+ * @property {string} [auditNote]      who recorded a manual entry, and when
+ * @property {string} [verifiedBy]     admin who verified or recorded it
+ * @property {string} [verifiedAt]     ISO timestamp
+ * @property {string} [receiptUrl]     public link to the shared receipt PDF
+ *
+ * @typedef {"UPI" | "BANK_TRANSFER" | "CASH" | "CHEQUE"} PaymentMethod
+ *
+ * @typedef {Object} PaymentFilters
+ * @property {PaymentStatus | "ALL"} [status]
+ * @property {string} [eventId]
+ * @property {string} [from]       paid on or after, YYYY-MM-DD
+ * @property {string} [to]         paid on or before, YYYY-MM-DD
+ * @property {number} [minAmount]
+ * @property {number} [maxAmount]
+ * @property {string} [q]          payer name or mobile
+ *
+ * @typedef {Object} ManualPaymentInput
+ * @property {string} eventId
+ * @property {string} [userId]
+ * @property {string} payerName
+ * @property {string} [payerMobile]
+ * @property {number} amount
+ * @property {string} paidOnDate  ISO timestamp
+ * @property {"CASH" | "CHEQUE"} method
+ * @property {string} [chequeNumber]
+ * @property {string} receivedBy
+ * @property {string} receiptNumber
+ * @property {"VERIFIED"} status
+ * @property {string} auditNote
+ */
+
+const BASE = "/admin/payments";
+
+const paymentsApi = {
+  /**
+   * Filters are applied server-side; empty ones are left out.
+   * @param {PaymentFilters} [filters]
+   * @returns {Promise<Payment[]>}
+   */
+  list: ({ status, eventId, from, to, minAmount, maxAmount, q } = {}) =>
+    unwrap(
+      apiClient.get(BASE, {
+        params: {
+          status: status && status !== "ALL" ? status : undefined,
+          eventId: eventId || undefined,
+          from: from || undefined,
+          to: to || undefined,
+          minAmount: minAmount ?? undefined,
+          maxAmount: maxAmount ?? undefined,
+          q: q || undefined,
+        },
+      }),
+    ).then(asList),
+
+  /**
+   * Payments made by one villager, matched on user id or payer mobile, or
+   * by everyone in a household when `householdId` is given.
+   * @param {{ userId?: string, mobile?: string, householdId?: string }} payer
+   * @returns {Promise<Payment[]>}
+   */
+  listByPayer: ({ userId, mobile, householdId }) =>
+    unwrap(
+      apiClient.get(BASE, {
+        params: householdId
+          ? { householdId }
+          : { userId: userId || undefined, payerMobile: mobile || undefined },
+      }),
+    ).then(asList),
+
+  /** @returns {Promise<Payment>} */
+  get: (id) => unwrap(apiClient.get(`${BASE}/${id}`)),
+
+  /**
+   * Every payment carrying this UTR, whatever its status. More than one
+   * means the same proof was submitted twice.
+   * @returns {Promise<Payment[]>}
+   */
+  listByUtr: (utr) =>
+    unwrap(apiClient.get(BASE, { params: { utr } })).then(asList),
+
+  /** @returns {Promise<Payment[]>} */
+  listByEvent: (eventId) =>
+    unwrap(apiClient.get(`${BASE}/by-event/${eventId}`)).then(asList),
+
+  /**
+   * Records a payment taken in person at the temple or panchayat office.
+   * There is no proof to check, so it is created already VERIFIED.
+   * A receipt number already in use is rejected with 409.
+   * @param {ManualPaymentInput} payload
+   * @returns {Promise<Payment>}
+   */
+  recordManual: (payload) => unwrap(apiClient.post(`${BASE}/manual`, payload)),
+
+  /**
+   * Stores the receipt PDF so it can be shared as a link. Returns the
+   * payment with `receiptUrl` set; uploading again replaces the file.
+   * @param {string} id
+   * @param {Blob} pdf
+   * @param {string} fileName
+   * @returns {Promise<Payment>}
+   */
+  uploadReceipt: (id, pdf, fileName) => {
+    const form = new FormData();
+    form.append("file", pdf, fileName);
+    return unwrap(
+      apiClient.put(`${BASE}/${id}/receipt`, form, {
+        headers: { "Content-Type": "multipart/form-data" },
+      }),
+    );
+  },
+
+  verify: (id) => unwrap(apiClient.put(`${BASE}/${id}/verify`)),
+
+  reject: (id) => unwrap(apiClient.put(`${BASE}/${id}/reject`)),
+
+  remove: (id) => unwrap(apiClient.delete(`${BASE}/${id}`)),
+};
+
+export default paymentsApi;
@@ -0,0 +1,90 @@
+import apiClient, { asList, unwrap } from "./client";
+
+/**
+ * @typedef {Object} AdminProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {string} mobile
+ * @property {string} [address]
+ * @property {string} [village]
+ * @property {string} role
+ * @property {boolean} [twoFactorEnabled]
+ *
+ * @typedef {Object} TwoFactorSetup
+ * @property {string} secret       base32, for manual entry
+ * @property {string} otpauthUrl   encoded in the QR code
+ *
+ * @typedef {Object} AdminSession
+ * @property {string} id
+ * @property {string} [device]       user agent summary
+ * @property {string} [ipAddress]
+ * @property {string} [createdAt]
+ * @property {string} [lastActiveAt]
+ * @property {boolean} [current]     the session making this request
+ *
+ * @typedef {Object} SavedTableView
+ * @property {string} id
+ * @property {string} name
+ * @property {Object} state   the page's filters, e.g. { status: "PENDING" }
+ *
+ * @typedef {Object} TableSettings
+ * @property {{ key: string, visible: boolean }[]} [columns]  in display order
+ * @property {"large" | "middle" | "small"} [density]
+ * @property {number} [pageSize]
+ * @property {SavedTableView[]} [views]
+ */
+
+const BASE = "/admin/profile";
+
+const profileApi = {
+  /** @returns {Promise<AdminProfile>} */
+  get: () => unwrap(apiClient.get(BASE)),
+
+  /** @param {{ name: string, address: string, village: string }} payload */
+  update: (payload) => unwrap(apiClient.put(BASE, payload)),
+
+  /** @param {{ currentPassword: string, newPassword: string }} payload */
+  changePassword: (payload) =>
+    unwrap(apiClient.put(`${BASE}/password`, payload)),
+
+  /** @returns {Promise<AdminSession[]>} */
+  listSessions: () => unwrap(apiClient.get(`${BASE}/sessions`)).then(asList),
+
+  revokeSession: (id) => unwrap(apiClient.delete(`${BASE}/sessions/${id}`)),
+
+  revokeOtherSessions: () =>
+    unwrap(apiClient.post(`${BASE}/sessions/revoke-others`)),
+
+  /**
+   * Starts enrollment; 2FA stays off until confirmTwoFactor succeeds.
+   * @returns {Promise<TwoFactorSetup>}
+   */
+  setupTwoFactor: () => unwrap(apiClient.post(`${BASE}/2fa/setup`)),
+
+  /** @returns {Promise<{ backupCodes: string[] }>} */
+  confirmTwoFactor: (code) =>
+    unwrap(apiClient.post(`${BASE}/2fa/confirm`, { code })),
+
+  /** @returns {Promise<{ backupCodes: string[] }>} */
+  regenerateBackupCodes: (code) =>
+    unwrap(apiClient.post(`${BASE}/2fa/backup-codes`, { code })),
+
+  /** @param {{ password: string, code: string }} payload */
+  disableTwoFactor: (payload) =>
+    unwrap(apiClient.post(`${BASE}/2fa/disable`, payload)),
+
+  /**
+   * Column layout, density and saved views of one admin table, stored
+   * against the signed-in admin. Resolves to null when nothing is saved.
+   * @param {string} tableId  e.g. "users"
+   * @returns {Promise<TableSettings | null>}
+   */
+  getTableSettings: (tableId) =>
+    unwrap(apiClient.get(`${BASE}/table-settings/${tableId}`)),
+
+  /** @param {TableSettings} settings */
+  saveTableSettings: (tableId, settings) =>
+    unwrap(apiClient.put(`${BASE}/table-settings/${tableId}`, settings)),
+};
+
+export default profileApi;
@@ -0,0 +1,27 @@
+import apiClient, { asList, unwrap } from "./client";
+
+/**
+ * @typedef {Object} FailedLogin
+ * @property {string} id
+ * @property {string} mobile        number that was tried
+ * @property {string} attemptedAt   ISO timestamp
+ * @property {string} [ipAddress]
+ * @property {string} [userAgent]
+ * @property {string} [reason]      e.g. BAD_PASSWORD, UNKNOWN_USER, LOCKED
+ * @property {boolean} [lockedOut]  this attempt locked the account
+ */
+
+const securityApi = {
+  /**
+   * @param {{ mobile?: string, from?: string, to?: string }} [filters]
+   * @returns {Promise<FailedLogin[]>}
+   */
+  failedLogins: ({ mobile, from, to } = {}) =>
+    unwrap(
+      apiClient.get("/admin/security/failed-logins", {
+        params: { mobile: mobile || undefined, from, to },
+      }),
+    ).then(asList),
+};
+
+export default securityApi;
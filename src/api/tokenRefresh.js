@@ -0,0 +1,78 @@
+import axios from "axios";
+import { API_ROOT, REQUEST_TIMEOUT } from "./config";
+import {
+  decodeToken,
+  getRefreshToken,
+  getToken,
+  updateTokens,
+} from "../auth/session";
+import { expireSession } from "../auth/sessionEvents";
+
+// Renew this long before `exp` so requests never go out with a dead token
+export const REFRESH_AHEAD_MS = 60 * 1000;
+
+// setTimeout overflows above ~24.8 days
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+let inFlight = null;
+
+/**
+ * Exchanges the stored refresh token for a new access token. Concurrent
+ * callers share one request, so requests queued behind it all resume with
+ * the same new token.
+ *
+ * @returns {Promise<string>} the new access token
+ */
+export const refreshSession = () => {
+  if (inFlight) return inFlight;
+
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return Promise.reject(new Error("No refresh token"));
+
+  // Plain axios: the shared client's interceptors would recurse into here
+  inFlight = axios
+    .post(
+      `${API_ROOT}/auth/refresh`,
+      { refreshToken },
+      { timeout: REQUEST_TIMEOUT },
+    )
+    .then(({ data }) => {
+      if (!data?.token) throw new Error("Refresh response has no token");
+      updateTokens(data);
+      return data.token;
+    })
+    .finally(() => {
+      inFlight = null;
+    });
+
+  return inFlight;
+};
+
+export const shouldRefreshSoon = () => {
+  const payload = decodeToken(getToken());
+  if (!payload?.exp || !getRefreshToken()) return false;
+  return payload.exp * 1000 - Date.now() <= REFRESH_AHEAD_MS;
+};
+
+/**
+ * Keeps an idle tab logged in by refreshing shortly before the access
+ * token expires. Falls back to the session-expired flow if renewal fails.
+ *
+ * @returns {() => void} cancels the timer
+ */
+export const scheduleSilentRefresh = () => {
+  let timer = null;
+
+  const arm = () => {
+    const payload = decodeToken(getToken());
+    if (!payload?.exp || !getRefreshToken()) return;
+
+    const delay = payload.exp * 1000 - Date.now() - REFRESH_AHEAD_MS;
+    timer = setTimeout(() => {
+      refreshSession().then(arm, expireSession);
+    }, Math.min(Math.max(delay, 0), MAX_TIMER_MS));
+  };
+
+  arm();
+  return () => clearTimeout(timer);
+};
@@ -0,0 +1,149 @@
+import apiClient, { asList, asPage, unwrap } from "./client";
+
+/**
+ * @typedef {"PENDING" | "APPROVED" | "REJECTED"} UserStatus
+ *
+ * @typedef {Object} User
+ * @property {string} id
+ * @property {string} name
+ * @property {string} mobile
+ * @property {string} [address]
+ * @property {string} [village]
+ * @property {string} role
+ * @property {UserStatus} status
+ * @property {string} [createdAt]   ISO timestamp of registration
+ * @property {string} [approvedAt]
+ * @property {string} [householdId]
+ * @property {string} [householdName]
+ * @property {boolean} [householdHead]  head of their household
+ *
+ * @typedef {Object} StatusChange
+ * @property {UserStatus} status
+ * @property {string} changedAt    ISO timestamp
+ * @property {string} [changedBy]  admin name; empty for self-registration
+ * @property {string} [reason]
+ * @property {boolean} [notified]  the user was sent an SMS
+ *
+ * @typedef {Object} UserQuery
+ * @property {number} page         1-based; sent to the backend 0-based
+ * @property {number} size
+ * @property {string} [sort]       field name, e.g. "name"
+ * @property {"asc" | "desc"} [order]
+ * @property {UserStatus} [status]
+ * @property {string} [role]
+ * @property {string} [village]
+ * @property {string} [household]  household id
+ * @property {string} [q]          matches name, mobile or village
+ */
+
+const usersApi = {
+  /** @returns {Promise<User[]>} */
+  list: () => unwrap(apiClient.get("/users")).then(asList),
+
+  /**
+   * One page of users with filters and sorting applied server-side.
+   * @param {UserQuery} query
+   * @returns {Promise<{ items: User[], total: number }>}
+   */
+  search: ({ page, size, sort, order, status, role, village, household, q }) =>
+    unwrap(
+      apiClient.get("/users", {
+        params: {
+          page: page - 1,
+          size,
+          sort: sort ? `${sort},${order || "asc"}` : undefined,
+          status: status || undefined,
+          role: role || undefined,
+          village: village || undefined,
+          householdId: household || undefined,
+          q: q || undefined,
+        },
+      }),
+    ).then(asPage),
+
+  /**
+   * Every user matching the filters in `query`, fetched page by page.
+   * Its own page / size are ignored.
+   * @param {UserQuery} query
+   * @returns {Promise<User[]>}
+   */
+  searchAll: async (query, pageSize = 500) => {
+    const items = [];
+    for (let page = 1; ; page += 1) {
+      const res = await usersApi.search({ ...query, page, size: pageSize });
+      items.push(...res.items);
+      if (!res.items.length || items.length >= res.total) return items;
+    }
+  },
+
+  /** Distinct villages for the filter dropdown */
+  villages: () => unwrap(apiClient.get("/users/villages")).then(asList),
+
+  /**
+   * Adds a villager on their behalf. The backend approves admin-created
+   * users; they set a password later through forgot-password.
+   * @param {{ name: string, mobile: string, address: string, village: string }} payload
+   * @returns {Promise<User>}
+   */
+  create: (payload) => unwrap(apiClient.post("/users", payload)),
+
+  /**
+   * Which of `mobiles` already belong to a registered user.
+   * @param {string[]} mobiles
+   * @returns {Promise<{ mobile: string, id: string, name: string }[]>}
+   */
+  findByMobiles: (mobiles) =>
+    unwrap(apiClient.post("/users/check-mobiles", { mobiles })).then(asList),
+
+  /**
+   * @param {string} id
+   * @param {{ name: string, mobile: string, address: string, village: string, role?: string }} payload
+   * @returns {Promise<User>}
+   */
+  update: (id, payload) => unwrap(apiClient.put(`/users/${id}`, payload)),
+
+  /**
+   * Whether `mobile` is free for user `excludeId`.
+   * @returns {Promise<{ available: boolean, user?: { id: string, name: string } }>}
+   */
+  checkMobile: (mobile, excludeId) =>
+    unwrap(
+      apiClient.get("/users/check-mobile", {
+        params: { mobile, excludeId: excludeId || undefined },
+      }),
+    ),
+
+  approve: (id) => unwrap(apiClient.put(`/users/${id}/approve`, {})),
+
+  /**
+   * @param {string} id
+   * @param {{ reason: string, notify: boolean }} payload
+   */
+  reject: (id, { reason, notify } = {}) =>
+    unwrap(apiClient.put(`/users/${id}/reject`, { reason, notify })),
+
+  /** @returns {Promise<StatusChange[]>} oldest first */
+  statusHistory: (id) =>
+    unwrap(apiClient.get(`/users/${id}/status-history`)).then(asList),
+
+  /**
+   * What merging `mergeId` into `keepId` would move across.
+   * @returns {Promise<{ payments: number, paymentsTotal: number, householdName?: string }>}
+   */
+  mergePreview: (keepId, mergeId) =>
+    unwrap(apiClient.get(`/users/${keepId}/merge-preview`, { params: { mergeId } })),
+
+  /**
+   * Folds `mergeId` into `keepId`: its payments, household membership and
+   * status history move to the kept user, then it is deleted.
+   * @param {string} keepId
+   * @param {{ mergeId: string, values: { name: string, mobile: string, village: string, address: string } }} payload
+   * @returns {Promise<User>} the kept user
+   */
+  merge: (keepId, { mergeId, values }) =>
+    unwrap(apiClient.post(`/users/${keepId}/merge`, { mergeId, ...values })),
+
+  remove: (id) => unwrap(apiClient.delete(`/users/${id}`)),
+};
+
+export default usersApi;
@@ -0,0 +1,52 @@
+// Client-side backoff for the login form. The backend enforces the real
+// lockout; this only keeps one browser from firing guesses back to back.
+// Failures are counted per mobile number and forgotten after a quiet period.
+
+const STORAGE_KEY = "loginFailures";
+const FREE_ATTEMPTS = 3;
+const MAX_BACKOFF_SECONDS = 300;
+const FORGET_AFTER_MS = 30 * 60 * 1000;
+
+const readFailures = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}") || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeFailures = (failures) =>
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(failures));
+
+const keyFor = (mobile) => String(mobile || "").trim();
+
+// 2s after the 3rd failure, then 4s, 8s, ... up to 5 minutes
+const backoffFor = (count) =>
+  count < FREE_ATTEMPTS
+    ? 0
+    : Math.min(MAX_BACKOFF_SECONDS, 2 ** (count - FREE_ATTEMPTS + 1));
+
+/** Seconds the form should wait before trying `mobile` again */
+export const getLoginBackoff = (mobile) => {
+  const entry = readFailures()[keyFor(mobile)];
+  if (!entry || Date.now() - entry.lastAt > FORGET_AFTER_MS) return 0;
+  const waitUntil = entry.lastAt + backoffFor(entry.count) * 1000;
+  return Math.max(0, Math.ceil((waitUntil - Date.now()) / 1000));
+};
+
+/** @returns {number} the backoff now in force for `mobile` */
+export const recordLoginFailure = (mobile) => {
+  const failures = readFailures();
+  const key = keyFor(mobile);
+  const prev = failures[key];
+  const stale = !prev || Date.now() - prev.lastAt > FORGET_AFTER_MS;
+  failures[key] = { count: (stale ? 0 : prev.count) + 1, lastAt: Date.now() };
+  writeFailures(failures);
+  return getLoginBackoff(mobile);
+};
+
+export const clearLoginFailures = (mobile) => {
+  const failures = readFailures();
+  delete failures[keyFor(mobile)];
+  writeFailures(failures);
+};
@@ -0,0 +1,119 @@
+import { decodeToken, getRoles, getToken } from "./session";
+
+export const ROLES = {
+  SUPER_ADMIN: "SUPER_ADMIN",
+  TREASURER: "TREASURER",
+  CONTENT_EDITOR: "CONTENT_EDITOR",
+  USER_MODERATOR: "USER_MODERATOR",
+};
+
+// Accounts created before roles existed carry plain "ADMIN"
+const LEGACY_ROLE_ALIASES = { ADMIN: ROLES.SUPER_ADMIN };
+
+export const ROLE_LABELS = {
+  [ROLES.SUPER_ADMIN]: "Super Admin",
+  [ROLES.TREASURER]: "Treasurer",
+  [ROLES.CONTENT_EDITOR]: "Content Editor",
+  [ROLES.USER_MODERATOR]: "User Moderator",
+};
+
+export const ROLE_OPTIONS = Object.values(ROLES).map((value) => ({
+  value,
+  label: ROLE_LABELS[value],
+}));
+
+export const PERMISSIONS = {
+  VIEW_DASHBOARD: "dashboard:view",
+
+  VIEW_USERS: "users:view",
+  APPROVE_USERS: "users:approve",
+  REJECT_USERS: "users:reject",
+  DELETE_USERS: "users:delete",
+  EDIT_USERS: "users:edit",
+  CREATE_USERS: "users:create",
+  MERGE_USERS: "users:merge",
+  MANAGE_HOUSEHOLDS: "households:manage",
+  ASSIGN_ROLES: "users:roles",
+
+  VIEW_PAYMENTS: "payments:view",
+  VERIFY_PAYMENTS: "payments:verify",
+  REJECT_PAYMENTS: "payments:reject",
+  DELETE_PAYMENTS: "payments:delete",
+  RECORD_PAYMENTS: "payments:record",
+
+  VIEW_EVENTS: "events:view",
+  MANAGE_EVENTS: "events:manage",
+  EDIT_EVENT_FINANCES: "events:finances",
+
+  MANAGE_BLOGS: "blogs:manage",
+  MANAGE_GALLERY: "gallery:manage",
+  MANAGE_SITE: "site:manage",
+  MANAGE_INVITES: "invites:manage",
+  VIEW_LOGIN_SECURITY: "security:view",
+};
+
+const P = PERMISSIONS;
+
+const ROLE_PERMISSIONS = {
+  [ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.TREASURER]: [
+    P.VIEW_DASHBOARD,
+    P.VIEW_USERS,
+    P.VIEW_PAYMENTS,
+    P.VERIFY_PAYMENTS,
+    P.REJECT_PAYMENTS,
+    P.DELETE_PAYMENTS,
+    P.RECORD_PAYMENTS,
+    P.VIEW_EVENTS,
+    P.EDIT_EVENT_FINANCES,
+  ],
+  [ROLES.CONTENT_EDITOR]: [P.VIEW_DASHBOARD, P.MANAGE_BLOGS, P.MANAGE_GALLERY],
+  [ROLES.USER_MODERATOR]: [
+    P.VIEW_DASHBOARD,
+    P.VIEW_USERS,
+    P.APPROVE_USERS,
+    P.REJECT_USERS,
+    P.DELETE_USERS,
+    P.EDIT_USERS,
+    P.CREATE_USERS,
+    P.MERGE_USERS,
+    P.MANAGE_HOUSEHOLDS,
+  ],
+};
+
+// Permission needed to open each admin section; used by the router,
+// the sidebar and dashboard shortcuts
+export const ROUTE_PERMISSIONS = {
+  "/reports": P.VIEW_DASHBOARD,
+  "/users": P.VIEW_USERS,
+  "/events": P.VIEW_EVENTS,
+  "/blogs": P.MANAGE_BLOGS,
+  "/gallery": P.MANAGE_GALLERY,
+  "/footer": P.MANAGE_SITE,
+  "/payments": P.VIEW_PAYMENTS,
+  "/invites": P.MANAGE_INVITES,
+  "/security": P.VIEW_LOGIN_SECURITY,
+};
+
+export const normalizeAdminRoles = (roles) =>
+  roles
+    .map((r) => LEGACY_ROLE_ALIASES[r] || r)
+    .filter((r) => ROLE_PERMISSIONS[r]);
+
+export const getCurrentRoles = () =>
+  normalizeAdminRoles(getRoles(decodeToken(getToken())));
+
+export const isAdminAccount = (roles) => normalizeAdminRoles(roles).length > 0;
+
+// The mobile is the login for OTP password resets, so changing it on an
+// admin account would hand that account over; only a super admin may
+export const canEditMobileOf = (user, roles = getCurrentRoles()) =>
+  !isAdminAccount([user?.role].filter(Boolean)) ||
+  normalizeAdminRoles(roles).includes(ROLES.SUPER_ADMIN);
+
+export const hasPermission = (permission, roles = getCurrentRoles()) =>
+  !permission ||
+  roles.some((role) => ROLE_PERMISSIONS[role]?.includes(permission));
+
+export const canOpenPath = (path, roles) =>
+  hasPermission(ROUTE_PERMISSIONS[path], roles);
@@ -0,0 +1,20 @@
+import { describe, expect, it } from "vitest";
+import { ROLES, canEditMobileOf } from "./permissions";
+
+describe("canEditMobileOf", () => {
+  it("keeps a user moderator off an admin's mobile", () => {
+    const moderator = [ROLES.USER_MODERATOR];
+    expect(canEditMobileOf({ role: ROLES.SUPER_ADMIN }, moderator)).toBe(false);
+    expect(canEditMobileOf({ role: ROLES.TREASURER }, moderator)).toBe(false);
+    expect(canEditMobileOf({ role: "ADMIN" }, moderator)).toBe(false);
+  });
+
+  it("lets a user moderator change a member's mobile", () => {
+    expect(canEditMobileOf({ role: "USER" }, [ROLES.USER_MODERATOR])).toBe(true);
+    expect(canEditMobileOf({ role: "" }, [ROLES.USER_MODERATOR])).toBe(true);
+  });
+
+  it("lets a super admin change any mobile", () => {
+    expect(canEditMobileOf({ role: ROLES.TREASURER }, [ROLES.SUPER_ADMIN])).toBe(true);
+  });
+});
@@ -0,0 +1,125 @@
+// Session storage shared by Login, the route guard and the API client.
+// Login.jsx writes `token` (the JWT), `refreshToken` and `user` (the login
+// response).
+
+const TOKEN_KEY = "token";
+const REFRESH_KEY = "refreshToken";
+const USER_KEY = "user";
+// Per-admin cached table layouts (useTableSettings); the profile keeps the
+// real copy
+export const TABLE_SETTINGS_PREFIX = "tableSettings:";
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const getRefreshToken = () => localStorage.getItem(REFRESH_KEY);
+
+export const getStoredUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY) || "null");
+  } catch {
+    return null;
+  }
+};
+
+// Tokens are kept in their own keys; `user` holds only the profile part
+export const setSession = ({ token, refreshToken, ...user }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken);
+  else localStorage.removeItem(REFRESH_KEY);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+// Keeps the header / permission checks in sync after a profile edit
+export const updateStoredUser = (changes) => {
+  localStorage.setItem(
+    USER_KEY,
+    JSON.stringify({ ...(getStoredUser() || {}), ...changes }),
+  );
+};
+
+// /api/auth/refresh may rotate the refresh token; keep the old one if not
+export const updateTokens = ({ token, refreshToken }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_KEY);
+  localStorage.removeItem(USER_KEY);
+  Object.keys(localStorage)
+    .filter((key) => key.startsWith(TABLE_SETTINGS_PREFIX))
+    .forEach((key) => localStorage.removeItem(key));
+};
+
+// Reads the JWT payload without verifying it; the backend does that
+export const decodeToken = (token) => {
+  if (!token || typeof token !== "string") return null;
+  const part = token.split(".")[1];
+  if (!part) return null;
+
+  try {
+    const base64 = part.replace(/-/g, "+").replace(/_/g, "/");
+    const bytes = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return null;
+  }
+};
+
+// `exp` is in seconds; tokens without it are treated as non-expiring
+export const isTokenExpired = (payload, skewSeconds = 0) => {
+  if (!payload) return true;
+  if (!payload.exp) return false;
+  return payload.exp * 1000 <= Date.now() + skewSeconds * 1000;
+};
+
+const normalizeRole = (r) =>
+  String(typeof r === "object" && r ? r.authority || r.name || "" : r || "")
+    .toUpperCase()
+    .replace(/^ROLE_/, "");
+
+// Spring-style tokens carry `role`, `roles` or `authorities`; fall back to
+// the role returned by /api/auth/login when the token has none.
+export const getRoles = (payload, user = getStoredUser()) => {
+  const raw = [payload?.role, payload?.roles, payload?.authorities, user?.role]
+    .flat()
+    .filter(Boolean);
+  return [...new Set(raw.map(normalizeRole).filter(Boolean))];
+};
+
+/**
+ * "refreshable" means the access token is expired but a refresh token is
+ * stored, so the session can be renewed without a new login.
+ *
+ * @param {(roles: string[]) => boolean} isAllowed  role check for the panel
+ * @returns {"valid" | "refreshable" | "missing" | "expired" | "forbidden"}
+ */
+export const getSessionStatus = (isAllowed) => {
+  const token = getToken();
+  if (!token) return "missing";
+
+  const payload = decodeToken(token);
+  if (!payload) return "expired";
+  if (!isAllowed(getRoles(payload))) return "forbidden";
+  if (isTokenExpired(payload)) {
+    return getRefreshToken() ? "refreshable" : "expired";
+  }
+  return "valid";
+};
+
+// Only allow in-app paths so `returnTo` can't bounce the admin off-site
+export const safeReturnTo = (value, fallback = "/reports") => {
+  if (typeof value !== "string") return fallback;
+  if (!value.startsWith("/") || value.startsWith("//")) return fallback;
+  if (value === "/login" || value.startsWith("/login?")) return fallback;
+  return value;
+};
+
+export const loginPath = (returnTo, reason) => {
+  const params = new URLSearchParams();
+  if (returnTo) params.set("returnTo", returnTo);
+  if (reason) params.set("reason", reason);
+  const qs = params.toString();
+  return qs ? `/login?${qs}` : "/login";
+};
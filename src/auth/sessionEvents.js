@@ -0,0 +1,20 @@
+import { clearSession } from "./session";
+
+// Lets the API client (outside React) tell the router-aware
+// SessionExpiryHandler that the admin has to log in again.
+
+const listeners = new Set();
+
+export const onSessionExpired = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const notifySessionExpired = () => {
+  listeners.forEach((listener) => listener());
+};
+
+export const expireSession = () => {
+  clearSession();
+  notifySessionExpired();
+};
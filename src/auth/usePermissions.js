@@ -0,0 +1,13 @@
+import { useMemo } from "react";
+import { getCurrentRoles, hasPermission } from "./permissions";
+
+// Roles come from the stored JWT, so they are read once per mount
+export default function usePermissions() {
+  return useMemo(() => {
+    const roles = getCurrentRoles();
+    return {
+      roles,
+      can: (permission) => hasPermission(permission, roles),
+    };
+  }, []);
+}
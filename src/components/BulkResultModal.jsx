@@ -0,0 +1,36 @@
+import React from "react";
+import { Button, Modal } from "antd";
+import BulkResultReport from "./BulkResultReport";
+
+/**
+ * BulkResultReport in a modal that can't be dismissed mid-run.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {string} props.title
+ * @param {boolean} props.running
+ * @param {number} props.total
+ * @param {import("../hooks/useBulkRunner").BulkResult[]} props.results
+ * @param {(item: any) => React.ReactNode} props.renderItem
+ * @param {() => void} props.onClose
+ */
+const BulkResultModal = ({ open, title, onClose, ...report }) => (
+  <Modal
+    open={open}
+    title={title}
+    width={640}
+    closable={!report.running}
+    maskClosable={false}
+    keyboard={!report.running}
+    onCancel={onClose}
+    footer={
+      <Button type="primary" onClick={onClose} disabled={report.running}>
+        {report.running ? "Working..." : "Close"}
+      </Button>
+    }
+  >
+    <BulkResultReport {...report} />
+  </Modal>
+);
+
+export default BulkResultModal;
@@ -0,0 +1,81 @@
+import React, { useMemo } from "react";
+import { Progress, Space, Table, Tag, Typography } from "antd";
+
+const { Text } = Typography;
+
+const STATUS_TAGS = {
+  success: <Tag color="success">Done</Tag>,
+  failed: <Tag color="error">Failed</Tag>,
+  skipped: <Tag>Skipped</Tag>,
+};
+
+/**
+ * Progress bar, counts and per-row results of a useBulkRunner run.
+ *
+ * @param {Object} props
+ * @param {boolean} props.running
+ * @param {number} props.total     items actually being processed
+ * @param {import("../hooks/useBulkRunner").BulkResult[]} props.results
+ * @param {(item: any) => React.ReactNode} props.renderItem
+ */
+const BulkResultReport = ({ running, total, results, renderItem }) => {
+  const counts = useMemo(
+    () =>
+      results.reduce(
+        (acc, r) => ({ ...acc, [r.status]: acc[r.status] + 1 }),
+        { success: 0, failed: 0, skipped: 0 },
+      ),
+    [results],
+  );
+
+  const processed = counts.success + counts.failed;
+  const percent = total ? Math.round((processed / total) * 100) : 100;
+
+  // Failures first once the run is over; that's what the admin acts on
+  const rows = useMemo(() => {
+    const keyed = results.map((r, i) => ({ ...r, key: i }));
+    if (running) return keyed;
+    const rank = (r) => (r.status === "failed" ? 0 : 1);
+    return keyed.sort((a, b) => rank(a) - rank(b));
+  }, [results, running]);
+
+  const columns = [
+    { title: "Item", render: (_, r) => renderItem(r.item) },
+    {
+      title: "Result",
+      align: "center",
+      width: 110,
+      render: (_, r) => STATUS_TAGS[r.status],
+    },
+    {
+      title: "Reason",
+      render: (_, r) => <Text type="secondary">{r.reason || "-"}</Text>,
+    },
+  ];
+
+  return (
+    <Space direction="vertical" size={12} style={{ width: "100%" }}>
+      <Progress
+        percent={percent}
+        status={running ? "active" : counts.failed ? "exception" : "success"}
+      />
+      <Space wrap>
+        <Text>
+          {processed} of {total} processed
+        </Text>
+        <Tag color="success">{counts.success} done</Tag>
+        {counts.failed > 0 && <Tag color="error">{counts.failed} failed</Tag>}
+        {counts.skipped > 0 && <Tag>{counts.skipped} skipped</Tag>}
+      </Space>
+      <Table
+        size="small"
+        columns={columns}
+        dataSource={rows}
+        rowKey="key"
+        pagination={rows.length > 8 ? { pageSize: 8, size: "small" } : false}
+      />
+    </Space>
+  );
+};
+
+export default BulkResultReport;
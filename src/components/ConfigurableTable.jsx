@@ -0,0 +1,281 @@
+import React, { useMemo, useState } from "react";
+import {
+  Button,
+  Checkbox,
+  Divider,
+  Dropdown,
+  Empty,
+  Input,
+  Popover,
+  Space,
+  Table,
+  Tooltip,
+  Typography,
+} from "antd";
+import {
+  ArrowDownOutlined,
+  ArrowUpOutlined,
+  ColumnHeightOutlined,
+  DeleteOutlined,
+  FilterOutlined,
+  SettingOutlined,
+} from "@ant-design/icons";
+
+const { Text } = Typography;
+
+const DENSITY_OPTIONS = [
+  { key: "large", label: "Comfortable" },
+  { key: "middle", label: "Standard" },
+  { key: "small", label: "Compact" },
+];
+
+const columnKey = (c) => String(c.key ?? c.dataIndex);
+
+const columnLabel = (c) =>
+  typeof c.title === "string" && c.title ? c.title : columnKey(c);
+
+// Views match when every non-empty filter is equal, in any key order
+const sameState = (a = {}, b = {}) => {
+  const clean = (s) =>
+    JSON.stringify(
+      Object.entries(s)
+        .filter(([, v]) => v !== "" && v !== null && v !== undefined)
+        .sort(([x], [y]) => x.localeCompare(y)),
+    );
+  return clean(a) === clean(b);
+};
+
+/**
+ * Applies the saved order and visibility to `columns`. Columns marked
+ * `hideable: false` (S No, Actions) keep their place; the rest fill the
+ * remaining slots in saved order, with columns added since appended.
+ */
+const arrangeColumns = (columns, config = []) => {
+  const rank = new Map(config.map((c, i) => [c.key, i]));
+  const hidden = new Set(config.filter((c) => !c.visible).map((c) => c.key));
+  const movable = columns
+    .filter((c) => c.hideable !== false)
+    .map((c, i) => ({ c, i }))
+    .sort(
+      (a, b) =>
+        (rank.get(columnKey(a.c)) ?? Infinity) -
+          (rank.get(columnKey(b.c)) ?? Infinity) || a.i - b.i,
+    )
+    .map(({ c }) => c);
+
+  let next = 0;
+  const ordered = columns.map((c) => (c.hideable === false ? c : movable[next++]));
+  return {
+    movable,
+    visible: ordered
+      .filter((c) => c.hideable === false || !hidden.has(columnKey(c)))
+      .map((c) => {
+        const column = { ...c };
+        delete column.hideable;
+        return column;
+      }),
+    hidden,
+  };
+};
+
+/**
+ * antd `Table` with a toolbar for column show / hide and order, density
+ * and saved filter views, all kept in `settings` from useTableSettings.
+ * Every column needs a `key` or `dataIndex`.
+ *
+ * @param {Object} props
+ * @param {ReturnType<typeof import("../hooks/useTableSettings").default>} props.settings
+ * @param {Array} props.columns
+ * @param {Object} [props.viewState]   the page's current filters
+ * @param {(state: Object) => void} [props.onApplyView]  omit to hide views
+ * @param {React.ReactNode} [props.toolbarExtra]  left side of the toolbar
+ */
+export default function ConfigurableTable({
+  settings,
+  columns,
+  viewState,
+  onApplyView,
+  toolbarExtra,
+  ...tableProps
+}) {
+  const [viewName, setViewName] = useState("");
+  const [viewsOpen, setViewsOpen] = useState(false);
+
+  const { movable, visible, hidden } = useMemo(
+    () => arrangeColumns(columns, settings.columns),
+    [columns, settings.columns],
+  );
+
+  const saveColumns = (list, hiddenKeys) =>
+    settings.update({
+      columns: list.map((c) => ({
+        key: columnKey(c),
+        visible: !hiddenKeys.has(columnKey(c)),
+      })),
+    });
+
+  const toggleColumn = (key, show) => {
+    const next = new Set(hidden);
+    if (show) next.delete(key);
+    else next.add(key);
+    if (movable.every((c) => next.has(columnKey(c)))) return;
+    saveColumns(movable, next);
+  };
+
+  const moveColumn = (index, delta) => {
+    const list = [...movable];
+    const [item] = list.splice(index, 1);
+    list.splice(index + delta, 0, item);
+    saveColumns(list, hidden);
+  };
+
+  const activeView = onApplyView
+    ? settings.views.find((v) => sameState(v.state, viewState))
+    : null;
+
+  const saveCurrentView = () => {
+    const name = viewName.trim();
+    if (!name) return;
+    settings.saveView(name, viewState || {});
+    setViewName("");
+  };
+
+  const columnsPanel = (
+    <Space direction="vertical" size={4} style={{ width: 260 }}>
+      {movable.map((c, i) => {
+        const key = columnKey(c);
+        return (
+          <Space key={key} style={{ width: "100%", justifyContent: "space-between" }}>
+            <Checkbox
+              checked={!hidden.has(key)}
+              onChange={(e) => toggleColumn(key, e.target.checked)}
+            >
+              {columnLabel(c)}
+            </Checkbox>
+            <Space size={0}>
+              <Button
+                type="text"
+                size="small"
+                icon={<ArrowUpOutlined />}
+                disabled={i === 0}
+                onClick={() => moveColumn(i, -1)}
+              />
+              <Button
+                type="text"
+                size="small"
+                icon={<ArrowDownOutlined />}
+                disabled={i === movable.length - 1}
+                onClick={() => moveColumn(i, 1)}
+              />
+            </Space>
+          </Space>
+        );
+      })}
+      <Divider style={{ margin: "8px 0" }} />
+      <Button size="small" block onClick={() => settings.update({ columns: undefined })}>
+        Reset columns
+      </Button>
+    </Space>
+  );
+
+  const viewsPanel = (
+    <Space direction="vertical" size={8} style={{ width: 280 }}>
+      {settings.views.length ? (
+        settings.views.map((v) => (
+          <Space key={v.id} style={{ width: "100%", justifyContent: "space-between" }}>
+            <Button
+              type={activeView?.id === v.id ? "primary" : "text"}
+              size="small"
+              onClick={() => {
+                onApplyView(v.state);
+                setViewsOpen(false);
+              }}
+            >
+              {v.name}
+            </Button>
+            <Tooltip title="Delete view">
+              <Button
+                type="text"
+                size="small"
+                danger
+                icon={<DeleteOutlined />}
+                onClick={() => settings.removeView(v.id)}
+              />
+            </Tooltip>
+          </Space>
+        ))
+      ) : (
+        <Empty
+          image={Empty.PRESENTED_IMAGE_SIMPLE}
+          description="No saved views yet"
+          style={{ margin: 0 }}
+        />
+      )}
+      <Divider style={{ margin: "4px 0" }} />
+      <Text type="secondary" style={{ fontSize: 12 }}>
+        Save the current filters as a view
+      </Text>
+      <Space.Compact style={{ width: "100%" }}>
+        <Input
+          size="small"
+          placeholder="e.g. Pending from Sirivaram"
+          value={viewName}
+          maxLength={40}
+          onChange={(e) => setViewName(e.target.value)}
+          onPressEnter={saveCurrentView}
+        />
+        <Button size="small" type="primary" disabled={!viewName.trim()} onClick={saveCurrentView}>
+          Save
+        </Button>
+      </Space.Compact>
+    </Space>
+  );
+
+  return (
+    <>
+      <Space
+        wrap
+        style={{ width: "100%", justifyContent: "space-between", marginBottom: 12 }}
+      >
+        <div>{toolbarExtra}</div>
+        <Space wrap>
+          {onApplyView && (
+            <Popover
+              trigger="click"
+              placement="bottomRight"
+              title="Saved views"
+              content={viewsPanel}
+              open={viewsOpen}
+              onOpenChange={setViewsOpen}
+            >
+              <Button icon={<FilterOutlined />}>
+                {activeView ? activeView.name : "Views"}
+              </Button>
+            </Popover>
+          )}
+          <Dropdown
+            trigger={["click"]}
+            menu={{
+              items: DENSITY_OPTIONS,
+              selectable: true,
+              selectedKeys: [settings.density],
+              onClick: ({ key }) => settings.update({ density: key }),
+            }}
+          >
+            <Button icon={<ColumnHeightOutlined />}>Density</Button>
+          </Dropdown>
+          <Popover
+            trigger="click"
+            placement="bottomRight"
+            title="Columns"
+            content={columnsPanel}
+          >
+            <Button icon={<SettingOutlined />}>Columns</Button>
+          </Popover>
+        </Space>
+      </Space>
+
+      <Table {...tableProps} size={settings.density} columns={visible} />
+    </>
+  );
+}
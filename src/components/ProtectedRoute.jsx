@@ -1,14 +1,67 @@
-import React from "react";
-import { Navigate } from "react-router-dom";
+import React, { useEffect, useState } from "react";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { Spin } from "antd";
+import {
+  clearSession,
+  getSessionStatus,
+  loginPath,
+} from "../auth/session";
+import { isAdminAccount } from "../auth/permissions";
+import { refreshSession, scheduleSilentRefresh } from "../api/tokenRefresh";
 
 const ProtectedRoute = ({ children }) => {
-  const token = localStorage.getItem("token");
+  const location = useLocation();
+  const status = getSessionStatus(isAdminAccount);
+  const [refreshFailed, setRefreshFailed] = useState(false);
+  const [, setRefreshedAt] = useState(0);
 
-  if (!token) {
-    return <Navigate to="/login" replace />;
+  // Expired access token but a refresh token on hand: renew, then re-check
+  useEffect(() => {
+    if (status !== "refreshable") return undefined;
+    let active = true;
+    refreshSession()
+      .then(() => active && setRefreshedAt(Date.now()))
+      .catch(() => active && setRefreshFailed(true));
+    return () => {
+      active = false;
+    };
+  }, [status]);
+
+  // Renew in the background while the admin stays on the panel
+  useEffect(() => {
+    if (status !== "valid") return undefined;
+    return scheduleSilentRefresh();
+  }, [status]);
+
+  const refreshing = status === "refreshable" && !refreshFailed;
+  const redirecting = status !== "valid" && !refreshing;
+
+  // A stale or non-admin session is dropped on the way to the login page;
+  // done in an effect because render may run more than once
+  useEffect(() => {
+    if (redirecting && status !== "missing") clearSession();
+  }, [redirecting, status]);
+
+  if (refreshing) {
+    return (
+      <div style={{ minHeight: "100vh", display: "grid", placeItems: "center" }}>
+        <Spin size="large" />
+      </div>
+    );
+  }
+
+  if (redirecting) {
+    const returnTo = location.pathname + location.search;
+    const reason =
+      status === "missing"
+        ? undefined
+        : status === "refreshable"
+          ? "expired"
+          : status;
+    return <Navigate to={loginPath(returnTo, reason)} replace />;
   }
 
-  return children;
+  return children ?? <Outlet />;
 };
 
 export default ProtectedRoute;
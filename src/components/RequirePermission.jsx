@@ -0,0 +1,29 @@
+import React from "react";
+import { Outlet, useNavigate } from "react-router-dom";
+import { Button, Result } from "antd";
+import usePermissions from "../auth/usePermissions";
+
+// Route-level gate for admin sections a role is not allowed to open
+const RequirePermission = ({ permission, children }) => {
+  const navigate = useNavigate();
+  const { can } = usePermissions();
+
+  if (!can(permission)) {
+    return (
+      <Result
+        status="403"
+        title="Access denied"
+        subTitle="Your admin role does not have access to this section."
+        extra={
+          <Button type="primary" onClick={() => navigate("/reports")}>
+            Back to Dashboard
+          </Button>
+        }
+      />
+    );
+  }
+
+  return children ?? <Outlet />;
+};
+
+export default RequirePermission;
@@ -0,0 +1,49 @@
+import { useEffect, useRef } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { Modal } from "antd";
+import { onSessionExpired } from "../auth/sessionEvents";
+import { loginPath } from "../auth/session";
+
+// Shows a single "Session expired" modal no matter how many requests fail
+// at once, then sends the admin to /login with the page they were on.
+const SessionExpiryHandler = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const locationRef = useRef(location);
+  const openRef = useRef(false);
+
+  useEffect(() => {
+    locationRef.current = location;
+  }, [location]);
+
+  useEffect(
+    () =>
+      onSessionExpired(() => {
+        if (openRef.current) return;
+        openRef.current = true;
+
+        const { pathname, search } = locationRef.current;
+        const returnTo = pathname.startsWith("/login")
+          ? undefined
+          : pathname + search;
+
+        Modal.warning({
+          title: "Session expired",
+          content:
+            "Your login session has expired. Please log in again to continue.",
+          okText: "Go to login",
+          centered: true,
+          onOk: () => {
+            openRef.current = false;
+            navigate(loginPath(returnTo, "expired"), { replace: true });
+          },
+        });
+      }),
+    [navigate],
+  );
+
+  return null;
+};
+
+export default SessionExpiryHandler;
@@ -0,0 +1,60 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { getErrorMessage, isSessionExpiredError } from "../api";
+
+/**
+ * @typedef {Object} BulkResult
+ * @property {*} item
+ * @property {"success" | "failed" | "skipped"} status
+ * @property {string} [reason]
+ */
+
+const IDLE = { running: false, total: 0, results: [] };
+
+// Runs `task` over the items one at a time, the same load the backend sees
+// from single-row actions, and keeps a result per item for the report.
+export default function useBulkRunner() {
+  const [state, setState] = useState(IDLE);
+
+  const aliveRef = useRef(true);
+  useEffect(() => {
+    aliveRef.current = true;
+    return () => {
+      aliveRef.current = false;
+    };
+  }, []);
+
+  /**
+   * @param {Array} items
+   * @param {(item: any) => Promise<unknown>} task  throw to mark a failure
+   * @param {BulkResult[]} [skipped]  listed in the report, never run
+   * @returns {Promise<BulkResult[]>}
+   */
+  const run = useCallback(async (items, task, skipped = []) => {
+    const results = [...skipped];
+    setState({ running: true, total: items.length, results: [...results] });
+
+    for (const item of items) {
+      if (!aliveRef.current) break;
+      try {
+        await task(item);
+        results.push({ item, status: "success" });
+      } catch (err) {
+        // The session modal takes over; the rest would fail the same way
+        if (isSessionExpiredError(err)) break;
+        results.push({
+          item,
+          status: "failed",
+          reason: getErrorMessage(err, err?.message || "Failed"),
+        });
+      }
+      if (aliveRef.current) setState((s) => ({ ...s, results: [...results] }));
+    }
+
+    if (aliveRef.current) setState((s) => ({ ...s, running: false }));
+    return results;
+  }, []);
+
+  const reset = useCallback(() => setState(IDLE), []);
+
+  return { ...state, run, reset };
+}
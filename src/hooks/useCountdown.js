@@ -0,0 +1,24 @@
+import { useCallback, useEffect, useState } from "react";
+
+// Seconds left until `until` (epoch ms), ticking once a second
+export default function useCountdown() {
+  const [until, setUntil] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!until) return undefined;
+    const t = window.setInterval(() => {
+      const n = Date.now();
+      setNow(n);
+      if (n >= until) window.clearInterval(t);
+    }, 1000);
+    return () => window.clearInterval(t);
+  }, [until]);
+
+  const start = useCallback((seconds) => {
+    setNow(Date.now());
+    setUntil(Date.now() + Math.max(0, seconds) * 1000);
+  }, []);
+
+  return [Math.max(0, Math.ceil((until - now) / 1000)), start];
+}
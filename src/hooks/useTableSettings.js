@@ -0,0 +1,126 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { message } from "antd";
+import { getErrorMessage, isSessionExpiredError, profileApi } from "../api";
+import { TABLE_SETTINGS_PREFIX, getStoredUser } from "../auth/session";
+
+const SAVE_DELAY_MS = 800;
+
+// localStorage copy so a table opens in its saved layout before the
+// profile request returns. clearSession removes it on logout; the backend
+// copy is the one that lasts.
+const cacheKey = (tableId) => {
+  const admin = getStoredUser();
+  return `${TABLE_SETTINGS_PREFIX}${admin?.id || admin?.mobile || "admin"}:${tableId}`;
+};
+
+const readCache = (tableId) => {
+  try {
+    return JSON.parse(localStorage.getItem(cacheKey(tableId)) || "null");
+  } catch {
+    return null;
+  }
+};
+
+const writeCache = (tableId, settings) =>
+  localStorage.setItem(cacheKey(tableId), JSON.stringify(settings));
+
+/**
+ * Per-admin layout of one table: column order and visibility, density,
+ * page size and saved filter views. Changes apply at once and are saved
+ * to the admin's profile shortly after.
+ *
+ * @param {string} tableId
+ * @param {{ pageSize?: number, density?: "large" | "middle" | "small" }} [defaults]
+ */
+export default function useTableSettings(tableId, defaults = {}) {
+  const [stored, setStored] = useState(() => readCache(tableId) || {});
+  const storedRef = useRef(stored);
+  const editedRef = useRef(false);
+  const saveTimerRef = useRef(null);
+  const pendingRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    profileApi
+      .getTableSettings(tableId)
+      .then((remote) => {
+        // Edits made while this was loading win
+        if (cancelled || editedRef.current || !remote) return;
+        storedRef.current = remote;
+        setStored(remote);
+        writeCache(tableId, remote);
+      })
+      .catch(() => {
+        // Keep the cached layout or the defaults
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [tableId]);
+
+  const flush = useCallback(async () => {
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = null;
+    const settings = pendingRef.current;
+    pendingRef.current = null;
+    if (!settings) return;
+    try {
+      await profileApi.saveTableSettings(tableId, settings);
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.warning(
+        `${getErrorMessage(err, "Could not save table settings")}. They are kept on this device only.`,
+      );
+    }
+  }, [tableId]);
+
+  // Leaving the page should not drop the last change
+  useEffect(() => () => flush(), [flush]);
+
+  const update = useCallback(
+    (changes) => {
+      const next = { ...storedRef.current, ...changes };
+      storedRef.current = next;
+      editedRef.current = true;
+      setStored(next);
+      writeCache(tableId, next);
+      pendingRef.current = next;
+      clearTimeout(saveTimerRef.current);
+      saveTimerRef.current = setTimeout(flush, SAVE_DELAY_MS);
+    },
+    [tableId, flush],
+  );
+
+  /** Saves `state` under `name`, replacing a view with the same name */
+  const saveView = useCallback(
+    (name, state) => {
+      const views = storedRef.current.views || [];
+      const same = views.find(
+        (v) => v.name.toLowerCase() === name.toLowerCase(),
+      );
+      const view = { id: same?.id || Date.now().toString(36), name, state };
+      update({
+        views: same
+          ? views.map((v) => (v.id === same.id ? view : v))
+          : [...views, view],
+      });
+    },
+    [update],
+  );
+
+  const removeView = useCallback(
+    (id) =>
+      update({ views: (storedRef.current.views || []).filter((v) => v.id !== id) }),
+    [update],
+  );
+
+  return {
+    columns: stored.columns,
+    density: stored.density || defaults.density || "large",
+    pageSize: stored.pageSize || defaults.pageSize || 10,
+    views: stored.views || [],
+    update,
+    saveView,
+    removeView,
+  };
+}
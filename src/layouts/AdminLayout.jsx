@@ -11,7 +11,6 @@ import {
   Dropdown,
   Avatar,
   Space,
-  message,
 } from "antd";
 import {
   MenuUnfoldOutlined,
@@ -27,8 +26,12 @@ import {
   DollarCircleOutlined,
   SettingOutlined,
   HomeOutlined,
+  UserAddOutlined,
+  SafetyOutlined,
 } from "@ant-design/icons";
 import { Link, useNavigate, useLocation, Outlet } from "react-router-dom";
+import usePermissions from "../auth/usePermissions";
+import { ROLE_LABELS, canOpenPath } from "../auth/permissions";
 
 const { Header, Content, Footer, Sider } = Layout;
 const { useBreakpoint } = Grid;
@@ -82,6 +85,18 @@ const ADMIN_MENU = [
     icon: <DollarCircleOutlined />,
     to: "/payments",
   },
+  {
+    key: "/invites",
+    label: "Admin Invites",
+    icon: <UserAddOutlined />,
+    to: "/invites",
+  },
+  {
+    key: "/security",
+    label: "Login Security",
+    icon: <SafetyOutlined />,
+    to: "/security",
+  },
 ];
 
 // Breadcrumb label map
@@ -93,6 +108,10 @@ const LABEL_MAP = {
   gallery: "Gallery Management",
   footer: "Site Configuration",
   payments: "Payment Processing",
+  invites: "Admin Invites",
+  security: "Login Security",
+  settings: "Settings",
+  profile: "My Profile",
 };
 
 const getSelectedKey = (pathname) => {
@@ -175,14 +194,18 @@ const AdminPanelLayout = () => {
     [location.pathname],
   );
 
+  const { roles } = usePermissions();
+  const roleLabel = ROLE_LABELS[roles[0]] || "Admin";
+
+  // Each role only sees the sections it may open
   const sidebarItems = useMemo(
     () =>
-      ADMIN_MENU.map((m) => ({
+      ADMIN_MENU.filter((m) => canOpenPath(m.key, roles)).map((m) => ({
         key: m.key,
         icon: m.icon,
         label: <Link to={m.to}>{m.label}</Link>,
       })),
-    [],
+    [roles],
   );
 
   const breadcrumbs = useMemo(
@@ -212,7 +235,7 @@ const AdminPanelLayout = () => {
         key: "settings",
         icon: <SettingOutlined />,
         label: "Settings",
-        onClick: () => message.info("Settings page (optional)"),
+        onClick: () => navigate("/settings/profile"),
       },
       {
         key: "logout",
@@ -222,7 +245,7 @@ const AdminPanelLayout = () => {
         onClick: handleLogout,
       },
     ],
-    [handleLogout],
+    [handleLogout, navigate],
   );
 
   const MenuContent = (
@@ -500,7 +523,7 @@ const AdminPanelLayout = () => {
               <Button type="text" aria-label="Profile menu">
                 <Space>
                   <Avatar icon={<UserOutlined />} />
-                  {isLarge ? <Text strong>Admin</Text> : null}
+                  {isLarge ? <Text strong>{roleLabel}</Text> : null}
                 </Space>
               </Button>
             </Dropdown>
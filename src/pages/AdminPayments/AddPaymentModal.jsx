@@ -0,0 +1,330 @@
+import React, { useEffect, useState } from "react";
+import dayjs from "dayjs";
+import {
+  Col,
+  DatePicker,
+  Form,
+  Input,
+  InputNumber,
+  Modal,
+  Radio,
+  Row,
+  Select,
+  Typography,
+  message,
+} from "antd";
+import {
+  eventsApi,
+  getErrorMessage,
+  isSessionExpiredError,
+  paymentsApi,
+  usersApi,
+} from "../../api";
+import { getStoredUser } from "../../auth/session";
+import { isValidMobile, normalizeMobile } from "../../utils/mobile";
+
+const { Text } = Typography;
+
+const METHOD_LABELS = { CASH: "Cash", CHEQUE: "Cheque" };
+
+const useDebouncedValue = (value, delay = 300) => {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const t = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(t);
+  }, [value, delay]);
+  return debounced;
+};
+
+const adminName = () => {
+  const admin = getStoredUser();
+  return admin?.name || admin?.mobile || "Admin";
+};
+
+const userLabel = (u) =>
+  [u.name || "Unnamed", u.mobile, u.village].filter(Boolean).join(" · ");
+
+/**
+ * Records a cash or cheque contribution taken in person. The payment is
+ * created VERIFIED, with an audit note naming the admin who entered it.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {() => void} props.onClose
+ * @param {(payment: import("../../api/payments").Payment) => void} props.onCreated
+ */
+export default function AddPaymentModal({ open, onClose, onCreated }) {
+  const [form] = Form.useForm();
+  const method = Form.useWatch("method", form);
+  const [saving, setSaving] = useState(false);
+  const [events, setEvents] = useState([]);
+
+  // `loadedFor` is the search the current list answers
+  const [users, setUsers] = useState([]);
+  const [loadedFor, setLoadedFor] = useState(null);
+  const [search, setSearch] = useState("");
+  const debouncedSearch = useDebouncedValue(search).trim();
+  const searching = !!debouncedSearch && loadedFor !== debouncedSearch;
+
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    eventsApi
+      .list()
+      .then((list) => {
+        if (cancelled) return;
+        setEvents(
+          [...list].sort((a, b) =>
+            String(b.startDate || "").localeCompare(String(a.startDate || "")),
+          ),
+        );
+      })
+      .catch((err) => {
+        if (isSessionExpiredError(err) || cancelled) return;
+        message.error(getErrorMessage(err, "Could not load events"));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open]);
+
+  useEffect(() => {
+    if (!open || !debouncedSearch) return undefined;
+    let cancelled = false;
+    usersApi
+      .search({ page: 1, size: 20, q: debouncedSearch })
+      .then((res) => {
+        if (!cancelled) setUsers(res.items);
+      })
+      .catch((err) => {
+        if (isSessionExpiredError(err) || cancelled) return;
+        message.error(getErrorMessage(err, "Could not search users"));
+      })
+      .finally(() => {
+        if (!cancelled) setLoadedFor(debouncedSearch);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, debouncedSearch]);
+
+  const onUserChange = (userId) => {
+    const user = users.find((u) => u.id === userId);
+    if (!user) return;
+    form.setFieldsValue({ payerName: user.name || "", payerMobile: user.mobile || "" });
+  };
+
+  // Suggest the event's contribution when nothing has been typed yet
+  const onEventChange = (eventId) => {
+    const event = events.find((e) => e.id === eventId);
+    if (event?.ticketPrice && !form.getFieldValue("amount")) {
+      form.setFieldsValue({ amount: event.ticketPrice });
+    }
+  };
+
+  const submit = async (values) => {
+    const recordedBy = adminName();
+    const receiptNumber = values.receiptNumber.trim();
+    const receivedBy = values.receivedBy.trim();
+    const auditNote = [
+      `Recorded manually by ${recordedBy} on ${new Date().toLocaleString("en-IN")}.`,
+      `${METHOD_LABELS[values.method]} received by ${receivedBy}, receipt ${receiptNumber}.`,
+      values.remarks?.trim(),
+    ]
+      .filter(Boolean)
+      .join(" ");
+
+    setSaving(true);
+    try {
+      const payment = await paymentsApi.recordManual({
+        eventId: values.eventId,
+        userId: values.userId || undefined,
+        payerName: values.payerName.trim(),
+        payerMobile: normalizeMobile(values.payerMobile) || undefined,
+        amount: values.amount,
+        paidOnDate: values.paidOn.toISOString(),
+        method: values.method,
+        chequeNumber:
+          values.method === "CHEQUE" ? values.chequeNumber.trim() : undefined,
+        receivedBy,
+        receiptNumber,
+        status: "VERIFIED",
+        auditNote,
+      });
+      message.success(`Payment recorded, receipt ${receiptNumber}`);
+      onCreated(payment || {});
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Could not record payment"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      open={open}
+      title="Add Cash / Cheque Payment"
+      okText="Record Payment"
+      okButtonProps={{ loading: saving }}
+      cancelButtonProps={{ disabled: saving }}
+      onOk={() => form.submit()}
+      onCancel={onClose}
+      afterClose={() => {
+        form.resetFields();
+        setSearch("");
+        setUsers([]);
+        setLoadedFor(null);
+      }}
+      width={640}
+      destroyOnClose
+    >
+      <Text type="secondary">
+        For money collected in person. The payment is saved as verified.
+      </Text>
+      <Form
+        form={form}
+        layout="vertical"
+        onFinish={submit}
+        style={{ marginTop: 16 }}
+        initialValues={{
+          method: "CASH",
+          paidOn: dayjs(),
+          receivedBy: adminName(),
+        }}
+      >
+        <Form.Item
+          label="Event"
+          name="eventId"
+          rules={[{ required: true, message: "Choose the event" }]}
+        >
+          <Select
+            showSearch
+            optionFilterProp="label"
+            placeholder="Select an event"
+            onChange={onEventChange}
+            options={events.map((e) => ({
+              value: e.id,
+              label: [e.title, e.year].filter(Boolean).join(" · "),
+            }))}
+          />
+        </Form.Item>
+
+        <Form.Item
+          label="Registered villager"
+          name="userId"
+          extra="Optional. Fills in the payer's name and mobile."
+        >
+          <Select
+            showSearch
+            allowClear
+            filterOption={false}
+            placeholder="Search by name or mobile"
+            onSearch={setSearch}
+            onChange={onUserChange}
+            loading={searching}
+            notFoundContent={
+              searching ? "Searching..." : debouncedSearch ? "No users found" : null
+            }
+            options={users.map((u) => ({ value: u.id, label: userLabel(u) }))}
+          />
+        </Form.Item>
+
+        <Row gutter={12}>
+          <Col xs={24} sm={12}>
+            <Form.Item
+              label="Payer name"
+              name="payerName"
+              rules={[{ required: true, whitespace: true, message: "Enter the payer's name" }]}
+            >
+              <Input maxLength={100} />
+            </Form.Item>
+          </Col>
+          <Col xs={24} sm={12}>
+            <Form.Item
+              label="Payer mobile"
+              name="payerMobile"
+              rules={[
+                {
+                  validator: (_, value) =>
+                    !value || isValidMobile(value)
+                      ? Promise.resolve()
+                      : Promise.reject(new Error("Enter a valid 10-digit mobile")),
+                },
+              ]}
+            >
+              <Input maxLength={16} inputMode="tel" />
+            </Form.Item>
+          </Col>
+        </Row>
+
+        <Row gutter={12}>
+          <Col xs={24} sm={12}>
+            <Form.Item
+              label="Amount"
+              name="amount"
+              rules={[{ required: true, message: "Enter the amount" }]}
+            >
+              <InputNumber min={1} precision={2} prefix="₹" style={{ width: "100%" }} />
+            </Form.Item>
+          </Col>
+          <Col xs={24} sm={12}>
+            <Form.Item
+              label="Paid on"
+              name="paidOn"
+              rules={[{ required: true, message: "Choose the date" }]}
+            >
+              <DatePicker
+                style={{ width: "100%" }}
+                format="DD MMM YYYY"
+                disabledDate={(d) => d && d.isAfter(dayjs(), "day")}
+              />
+            </Form.Item>
+          </Col>
+        </Row>
+
+        <Form.Item label="Method" name="method">
+          <Radio.Group optionType="button">
+            <Radio value="CASH">Cash</Radio>
+            <Radio value="CHEQUE">Cheque</Radio>
+          </Radio.Group>
+        </Form.Item>
+
+        {method === "CHEQUE" && (
+          <Form.Item
+            label="Cheque number"
+            name="chequeNumber"
+            rules={[{ required: true, whitespace: true, message: "Enter the cheque number" }]}
+          >
+            <Input maxLength={20} />
+          </Form.Item>
+        )}
+
+        <Row gutter={12}>
+          <Col xs={24} sm={12}>
+            <Form.Item
+              label="Received by"
+              name="receivedBy"
+              rules={[{ required: true, whitespace: true, message: "Who took the money?" }]}
+            >
+              <Input maxLength={100} />
+            </Form.Item>
+          </Col>
+          <Col xs={24} sm={12}>
+            <Form.Item
+              label="Receipt number"
+              name="receiptNumber"
+              rules={[{ required: true, whitespace: true, message: "Enter the receipt number" }]}
+            >
+              <Input maxLength={40} />
+            </Form.Item>
+          </Col>
+        </Row>
+
+        <Form.Item label="Remarks" name="remarks" style={{ marginBottom: 0 }}>
+          <Input.TextArea rows={2} maxLength={300} showCount />
+        </Form.Item>
+      </Form>
+    </Modal>
+  );
+}
@@ -1,11 +1,16 @@
-import React, { useCallback, useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import dayjs from "dayjs";
+import { useSearchParams } from "react-router-dom";
 import {
   Alert,
   Button,
   Card,
   Col,
   ConfigProvider,
+  DatePicker,
   Grid,
+  Input,
+  InputNumber,
   Modal,
   Row,
   Space,
@@ -29,12 +34,43 @@ import {
   ExclamationCircleOutlined,
   ClockCircleOutlined,
   DollarOutlined,
+  FileSearchOutlined,
+  PlusOutlined,
+  FileTextOutlined,
+  SearchOutlined,
 } from "@ant-design/icons";
+import {
+  eventsApi,
+  getErrorMessage,
+  isSessionExpiredError,
+  paymentsApi,
+} from "../../api";
+import usePermissions from "../../auth/usePermissions";
+import useTableSettings from "../../hooks/useTableSettings";
+import ConfigurableTable from "../../components/ConfigurableTable";
+import { findReusedUtrs, normalizeUtr } from "../../utils/payments";
+import {
+  DATE_PRESETS,
+  STATUS_OPTIONS,
+  datePresets,
+  eventOptions,
+  eventTitleFor,
+  presetFor,
+  readFilters,
+} from "../../utils/paymentFilters";
+import PaymentDetailDrawer from "./PaymentDetailDrawer";
+import ReconcileWizard from "./ReconcileWizard";
+import AddPaymentModal from "./AddPaymentModal";
+import ReceiptModal from "./ReceiptModal";
+import { PERMISSIONS } from "../../auth/permissions";
 
 const { Title, Text } = Typography;
 const { useBreakpoint } = Grid;
+const { RangePicker } = DatePicker;
 
-const API_BASE = "https://sirivaram-backed.onrender.com/api/admin/payments";
+const fmtINR = (num) => `₹ ${Number(num || 0).toLocaleString("en-IN")}`;
+
+const fmtDate = (ymd) => dayjs(ymd).format("DD MMM YYYY");
 
 const fmtDateTime = (iso) =>
   iso
@@ -73,27 +109,36 @@ const statusTag = (status) => {
   return <Tag color="default">{s || "UNKNOWN"}</Tag>;
 };
 
-const statusOptions = [
-  { value: "ALL", label: "All Payments" },
-  { value: "PENDING_VERIFICATION", label: "Pending Verification" },
-  { value: "VERIFIED", label: "Verified" },
-  { value: "REJECTED", label: "Rejected" },
-];
+const useDebouncedValue = (value, delay = 300) => {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const t = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(t);
+  }, [value, delay]);
+  return debounced;
+};
 
 export default function AdminPayments() {
   const screens = useBreakpoint();
   const isMobile = !screens.md;
+  const { can } = usePermissions();
 
   const [payments, setPayments] = useState([]);
   const [pageLoading, setPageLoading] = useState(false);
   const [firstLoad, setFirstLoad] = useState(true);
 
   const [actionLoading, setActionLoading] = useState({ id: null, type: null });
-  const [currentStatus, setCurrentStatus] = useState("ALL");
+
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => readFilters(searchParams), [searchParams]);
+  const [events, setEvents] = useState([]);
+  const [search, setSearch] = useState(filters.q);
+  const debouncedSearch = useDebouncedValue(search);
 
   // Pagination (for correct S No)
   const [page, setPage] = useState(1);
-  const [pageSize, setPageSize] = useState(10);
+  const tableSettings = useTableSettings("payments");
+  const { pageSize } = tableSettings;
 
   // Event payments modal
   const [eventPaymentsModalOpen, setEventPaymentsModalOpen] = useState(false);
@@ -101,52 +146,122 @@ export default function AdminPayments() {
   const [eventPaymentsLoading, setEventPaymentsLoading] = useState(false);
   const [selectedEventId, setSelectedEventId] = useState(null);
 
-  const getAuthHeaders = () => {
-    const token = localStorage.getItem("token");
-    return token ? { Authorization: `Bearer ${token}` } : {};
-  };
+  const [detailPayment, setDetailPayment] = useState(null);
+  const [reconcileOpen, setReconcileOpen] = useState(false);
+  const [addPaymentOpen, setAddPaymentOpen] = useState(false);
+  const [receiptPayment, setReceiptPayment] = useState(null);
 
-  const fetchPayments = useCallback(async (status = "ALL") => {
+  // Only the latest request may fill the table while filters change quickly
+  const requestRef = useRef(0);
+  const fetchPayments = useCallback(async (f) => {
+    const requestId = ++requestRef.current;
     setPageLoading(true);
 
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 15000);
-
     try {
-      let url = API_BASE;
-      if (status !== "ALL") url += `?status=${status}`;
-
-      const res = await fetch(url, {
-        headers: getAuthHeaders(),
-        signal: controller.signal,
+      const list = await paymentsApi.list({
+        status: f.status,
+        eventId: f.event,
+        from: f.from,
+        to: f.to,
+        minAmount: f.min === "" ? undefined : Number(f.min),
+        maxAmount: f.max === "" ? undefined : Number(f.max),
+        q: f.q,
       });
-      if (!res.ok) {
-        const txt = await res.text().catch(() => "");
-        throw new Error(
-          `Failed to load payments (HTTP ${res.status})${txt ? ` - ${txt}` : ""}`,
-        );
-      }
-
-      const data = await res.json();
-      const list = Array.isArray(data) ? data : [];
-      setPayments(list);
+      if (requestId === requestRef.current) setPayments(list);
     } catch (e) {
-      message.error(
-        e?.name === "AbortError"
-          ? "Request timed out. Please try again."
-          : e?.message || "Failed to load payments",
-      );
+      if (isSessionExpiredError(e) || requestId !== requestRef.current) return;
+      message.error(getErrorMessage(e, "Failed to load payments"));
       setPayments([]);
     } finally {
-      clearTimeout(timeout);
-      setPageLoading(false);
-      setFirstLoad(false);
+      if (requestId === requestRef.current) {
+        setPageLoading(false);
+        setFirstLoad(false);
+      }
     }
   }, []);
 
   useEffect(() => {
-    fetchPayments(currentStatus);
-  }, [fetchPayments, currentStatus]);
+    fetchPayments(filters);
+  }, [fetchPayments, filters]);
+
+  useEffect(() => {
+    let cancelled = false;
+    eventsApi
+      .list()
+      .then((list) => {
+        if (!cancelled) setEvents(list);
+      })
+      .catch((err) => {
+        if (isSessionExpiredError(err) || cancelled) return;
+        message.error(getErrorMessage(err, "Could not load events"));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const updateFilters = useCallback(
+    (changes) => {
+      setSearchParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          Object.entries(changes).forEach(([key, value]) => {
+            if (!value || (key === "status" && value === "ALL")) next.delete(key);
+            else next.set(key, String(value));
+          });
+          return next;
+        },
+        { replace: true },
+      );
+      setPage(1);
+    },
+    [setSearchParams],
+  );
+
+  // Only typing pushes `q` into the URL; back/forward leave the box alone
+  const lastSearchRef = useRef(filters.q);
+  useEffect(() => {
+    const q = debouncedSearch.trim();
+    if (q === lastSearchRef.current) return;
+    lastSearchRef.current = q;
+    updateFilters({ q });
+  }, [debouncedSearch, updateFilters]);
+
+  const applyFilters = (state) => {
+    setSearch(state.q || "");
+    lastSearchRef.current = state.q || "";
+    updateFilters({
+      status: "",
+      event: "",
+      range: "",
+      from: "",
+      to: "",
+      min: "",
+      max: "",
+      q: "",
+      ...state,
+    });
+  };
+
+  // Plain-language summary of what the cards below are totalling
+  const filtersLabel = [
+    filters.event && eventTitleFor(events, filters.event),
+    filters.range
+      ? DATE_PRESETS[filters.range].label
+      : filters.from && filters.to
+        ? `${fmtDate(filters.from)} – ${fmtDate(filters.to)}`
+        : filters.from
+          ? `from ${fmtDate(filters.from)}`
+          : filters.to && `until ${fmtDate(filters.to)}`,
+    filters.min && filters.max
+      ? `${fmtINR(filters.min)} – ${fmtINR(filters.max)}`
+      : filters.min
+        ? `${fmtINR(filters.min)} or more`
+        : filters.max && `up to ${fmtINR(filters.max)}`,
+    filters.q && `payer "${filters.q}"`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
 
   // Summary cards (quick UX)
   const summary = useMemo(() => {
@@ -160,9 +275,27 @@ export default function AdminPayments() {
       (sum, p) => sum + (Number(p.amount) || 0),
       0,
     );
-    return { total, pending, verified, rejected, amountTotal };
+    const verifiedAmount = payments
+      .filter((p) => p.status === "VERIFIED")
+      .reduce((sum, p) => sum + (Number(p.amount) || 0), 0);
+    return { total, pending, verified, rejected, amountTotal, verifiedAmount };
   }, [payments]);
 
+  const reusedUtrs = useMemo(() => findReusedUtrs(payments), [payments]);
+
+  const markStatus = (id, status) =>
+    setDetailPayment((prev) => (prev?.id === id ? { ...prev, status } : prev));
+
+  // Keeps the table and drawer on the stored receipt link after a share
+  const handleReceiptShared = (updated) => {
+    setPayments((list) =>
+      list.map((p) => (p.id === updated.id ? { ...p, receiptUrl: updated.receiptUrl } : p)),
+    );
+    setDetailPayment((prev) =>
+      prev?.id === updated.id ? { ...prev, receiptUrl: updated.receiptUrl } : prev,
+    );
+  };
+
   const openEventPayments = useCallback(async (item) => {
     const eventId = item.eventId;
     setSelectedEventId(eventId);
@@ -171,19 +304,11 @@ export default function AdminPayments() {
     setEventPaymentsModalOpen(true);
 
     try {
-      const res = await fetch(`${API_BASE}/by-event/${eventId}`, {
-        headers: getAuthHeaders(),
-      });
-      if (!res.ok) {
-        const txt = await res.text().catch(() => "");
-        throw new Error(
-          `Failed to load event payments (HTTP ${res.status})${txt ? ` - ${txt}` : ""}`,
-        );
-      }
-      const data = await res.json();
-      setEventPayments(Array.isArray(data) ? data : []);
+      const list = await paymentsApi.listByEvent(eventId);
+      setEventPayments(list);
     } catch (e) {
-      message.error(e?.message || "Failed to load event payments");
+      if (isSessionExpiredError(e)) return;
+      message.error(getErrorMessage(e, "Failed to load event payments"));
       setEventPayments([]);
     } finally {
       setEventPaymentsLoading(false);
@@ -193,15 +318,13 @@ export default function AdminPayments() {
   const verifyPayment = async (id) => {
     setActionLoading({ id, type: "verify" });
     try {
-      const res = await fetch(`${API_BASE}/${id}/verify`, {
-        method: "PUT",
-        headers: getAuthHeaders(),
-      });
-      if (!res.ok) throw new Error("Verification failed");
+      await paymentsApi.verify(id);
       message.success("Payment verified successfully");
-      fetchPayments(currentStatus);
+      markStatus(id, "VERIFIED");
+      fetchPayments(filters);
     } catch (e) {
-      message.error(e?.message || "Verification failed");
+      if (isSessionExpiredError(e)) return;
+      message.error(getErrorMessage(e, "Verification failed"));
     } finally {
       setActionLoading({ id: null, type: null });
     }
@@ -210,15 +333,13 @@ export default function AdminPayments() {
   const rejectPayment = async (id) => {
     setActionLoading({ id, type: "reject" });
     try {
-      const res = await fetch(`${API_BASE}/${id}/reject`, {
-        method: "PUT",
-        headers: getAuthHeaders(),
-      });
-      if (!res.ok) throw new Error("Reject failed");
+      await paymentsApi.reject(id);
       message.success("Payment rejected successfully");
-      fetchPayments(currentStatus);
+      markStatus(id, "REJECTED");
+      fetchPayments(filters);
     } catch (e) {
-      message.error(e?.message || "Reject failed");
+      if (isSessionExpiredError(e)) return;
+      message.error(getErrorMessage(e, "Reject failed"));
     } finally {
       setActionLoading({ id: null, type: null });
     }
@@ -227,32 +348,57 @@ export default function AdminPayments() {
   const deletePayment = async (id) => {
     setActionLoading({ id, type: "delete" });
     try {
-      const res = await fetch(`${API_BASE}/${id}`, {
-        method: "DELETE",
-        headers: getAuthHeaders(),
-      });
-      if (!res.ok) throw new Error("Delete failed");
+      await paymentsApi.remove(id);
       message.success("Payment deleted successfully");
-      fetchPayments(currentStatus);
+      setDetailPayment((prev) => (prev?.id === id ? null : prev));
+      fetchPayments(filters);
     } catch (e) {
-      message.error(e?.message || "Delete failed");
+      if (isSessionExpiredError(e)) return;
+      message.error(getErrorMessage(e, "Delete failed"));
     } finally {
       setActionLoading({ id: null, type: null });
     }
   };
 
-  const confirmVerify = (id) => {
+  // `reusedOn`: other payments with the same UTR, from the detail drawer
+  const confirmVerify = (id, reusedOn = []) => {
     Modal.confirm({
-      title: "Verify this payment?",
+      title: reusedOn.length
+        ? "This UTR is already on another payment. Verify anyway?"
+        : "Verify this payment?",
       icon: <ExclamationCircleOutlined />,
-      content: "Once verified, it should not be changed.",
-      okText: "Verify",
-      okButtonProps: { type: "primary" },
+      content: reusedOn.length
+        ? `The same reference appears on ${reusedOn.length} other payment(s). Verify only if you have confirmed both with the bank.`
+        : "Once verified, it should not be changed.",
+      okText: reusedOn.length ? "Verify anyway" : "Verify",
+      okButtonProps: reusedOn.length ? { danger: true } : { type: "primary" },
       cancelText: "Cancel",
       onOk: () => verifyPayment(id),
     });
   };
 
+  // The table only knows the payments loaded now, so ask the backend for
+  // every payment with this UTR before confirming, as the drawer does
+  const verifyFromTable = async (item) => {
+    const utr = normalizeUtr(item.utr);
+    if (!utr) {
+      confirmVerify(item.id);
+      return;
+    }
+    setActionLoading({ id: item.id, type: "verify" });
+    let reusedOn = [];
+    try {
+      const list = await paymentsApi.listByUtr(utr);
+      reusedOn = list.filter((p) => p.id !== item.id);
+    } catch (e) {
+      if (isSessionExpiredError(e)) return;
+      message.warning(getErrorMessage(e, "Could not check the UTR against other payments"));
+    } finally {
+      setActionLoading({ id: null, type: null });
+    }
+    confirmVerify(item.id, reusedOn);
+  };
+
   const confirmReject = (id) => {
     Modal.confirm({
       title: "Reject this payment?",
@@ -328,7 +474,8 @@ export default function AdminPayments() {
     () => [
       {
         title: "S No",
-      
+        key: "sno",
+        hideable: false,
         align: "center",
         render: (_, __, idx) => (page - 1) * pageSize + idx + 1,
       },
@@ -360,6 +507,34 @@ export default function AdminPayments() {
         render: (v) => <Text type="secondary">{fmtDateTime(v)}</Text>,
         responsive: ["lg"],
       },
+      {
+        title: "UTR / Receipt",
+        dataIndex: "utr",
+        align: "center",
+        render: (v, r) => {
+          const utr = normalizeUtr(v);
+          if (!utr) {
+            return (
+              <Text type="secondary">
+                {r.receiptNumber ? `Receipt ${r.receiptNumber}` : "-"}
+              </Text>
+            );
+          }
+          return (
+            <Space size={4}>
+              <Text style={{ fontFamily: "monospace" }}>{utr}</Text>
+              {reusedUtrs.has(utr) && (
+                <Tooltip title="Same UTR on another payment">
+                  <Tag color="error" style={{ marginInlineEnd: 0 }}>
+                    Reused
+                  </Tag>
+                </Tooltip>
+              )}
+            </Space>
+          );
+        },
+        responsive: ["lg"],
+      },
       {
         title: "Status",
         dataIndex: "status",
@@ -368,6 +543,8 @@ export default function AdminPayments() {
       },
       {
         title: "Actions",
+        key: "actions",
+        hideable: false,
         align: "center",
         render: (_, item) => {
           const verifying =
@@ -381,8 +558,14 @@ export default function AdminPayments() {
           const isFinal =
             item.status === "VERIFIED" || item.status === "REJECTED";
 
+          // Row clicks open the detail drawer; buttons here should not
           return (
-            <Space wrap size={8} style={{ justifyContent: "center" }}>
+            <Space
+              wrap
+              size={8}
+              style={{ justifyContent: "center" }}
+              onClick={(e) => e.stopPropagation()}
+            >
               <Tooltip title="View all payments for this event">
                 <Button
                   size="small"
@@ -391,57 +574,73 @@ export default function AdminPayments() {
                 />
               </Tooltip>
 
-              <Tooltip
-                title={isPending ? "Verify" : "Only pending can be verified"}
-              >
-                <Button
-                  type="primary"
-                  size="small"
-                  icon={<CheckCircleOutlined />}
-                  loading={verifying}
-                  disabled={!isPending}
-                  onClick={() => confirmVerify(item.id)}
+              {item.status === "VERIFIED" && (
+                <Tooltip title="Receipt">
+                  <Button
+                    size="small"
+                    icon={<FileTextOutlined />}
+                    onClick={() => setReceiptPayment(item)}
+                  />
+                </Tooltip>
+              )}
+
+              {can(PERMISSIONS.VERIFY_PAYMENTS) && (
+                <Tooltip
+                  title={isPending ? "Verify" : "Only pending can be verified"}
                 >
-                  {isMobile ? "" : "Verify"}
-                </Button>
-              </Tooltip>
+                  <Button
+                    type="primary"
+                    size="small"
+                    icon={<CheckCircleOutlined />}
+                    loading={verifying}
+                    disabled={!isPending}
+                    onClick={() => verifyFromTable(item)}
+                  >
+                    {isMobile ? "" : "Verify"}
+                  </Button>
+                </Tooltip>
+              )}
 
-              <Tooltip
-                title={isPending ? "Reject" : "Only pending can be rejected"}
-              >
-                <Button
-                  danger
-                  size="small"
-                  icon={<CloseCircleOutlined />}
-                  loading={rejecting}
-                  disabled={!isPending}
-                  onClick={() => confirmReject(item.id)}
+              {can(PERMISSIONS.REJECT_PAYMENTS) && (
+                <Tooltip
+                  title={isPending ? "Reject" : "Only pending can be rejected"}
                 >
-                  {isMobile ? "" : "Reject"}
-                </Button>
-              </Tooltip>
+                  <Button
+                    danger
+                    size="small"
+                    icon={<CloseCircleOutlined />}
+                    loading={rejecting}
+                    disabled={!isPending}
+                    onClick={() => confirmReject(item.id)}
+                  >
+                    {isMobile ? "" : "Reject"}
+                  </Button>
+                </Tooltip>
+              )}
 
-              <Tooltip
-                title={
-                  isFinal ? "Delete record" : "Recommended after final status"
-                }
-              >
-                <Button
-                  danger
-                  size="small"
-                  icon={<DeleteOutlined />}
-                  loading={deleting}
-                  onClick={() => confirmDelete(item.id)}
+              {can(PERMISSIONS.DELETE_PAYMENTS) && (
+                <Tooltip
+                  title={
+                    isFinal ? "Delete record" : "Recommended after final status"
+                  }
                 >
-                  {isMobile ? "" : "Delete"}
-                </Button>
-              </Tooltip>
+                  <Button
+                    danger
+                    size="small"
+                    icon={<DeleteOutlined />}
+                    loading={deleting}
+                    onClick={() => confirmDelete(item.id)}
+                  >
+                    {isMobile ? "" : "Delete"}
+                  </Button>
+                </Tooltip>
+              )}
             </Space>
           );
         },
       },
     ],
-    [actionLoading, isMobile, openEventPayments, page, pageSize],
+    [actionLoading, can, isMobile, openEventPayments, page, pageSize, reusedUtrs],
   );
 
   return (
@@ -467,7 +666,7 @@ export default function AdminPayments() {
         >
          <Row gutter={[16, 16]} align="middle">
   {/* LEFT */}
-  <Col xs={24} md={14}>
+  <Col xs={24} md={10}>
     <Space direction="vertical" size={2}>
       <Title level={4} style={{ margin: 0 }}>
         Payments Management
@@ -479,27 +678,46 @@ export default function AdminPayments() {
   </Col>
 
   {/* RIGHT */}
-  <Col xs={24} md={10}>
+  <Col xs={24} md={14}>
     <Row gutter={[8, 8]} justify="end">
-      <Col xs={24} sm={12}>
+      <Col flex="auto" style={{ minWidth: 160, maxWidth: isMobile ? "none" : 220 }}>
         <Select
-          value={currentStatus}
-          onChange={(value) => {
-            setCurrentStatus(value);
-            setPage(1);
-          }}
-          options={statusOptions}
+          value={filters.status}
+          onChange={(status) => updateFilters({ status })}
+          options={STATUS_OPTIONS}
           placeholder="Filter by status"
           style={{ width: "100%" }}
         />
       </Col>
 
-      <Col xs={24} sm={12}>
+      {can(PERMISSIONS.RECORD_PAYMENTS) && (
+        <Col flex="none">
+          <Button
+            type="primary"
+            icon={<PlusOutlined />}
+            onClick={() => setAddPaymentOpen(true)}
+          >
+            Add Payment
+          </Button>
+        </Col>
+      )}
+
+      {can(PERMISSIONS.VERIFY_PAYMENTS) && (
+        <Col flex="none">
+          <Button
+            icon={<FileSearchOutlined />}
+            onClick={() => setReconcileOpen(true)}
+          >
+            Reconcile
+          </Button>
+        </Col>
+      )}
+
+      <Col flex="none">
         <Button
           icon={<ReloadOutlined />}
-          onClick={() => fetchPayments(currentStatus)}
+          onClick={() => fetchPayments(filters)}
           loading={pageLoading}
-          block
         >
           {!isMobile && "Refresh"}
         </Button>
@@ -511,6 +729,96 @@ export default function AdminPayments() {
 
           <Divider style={{ margin: "14px 0" }} />
 
+          {/* FILTERS */}
+          <Row gutter={[8, 8]}>
+            <Col xs={24} md={12} lg={6}>
+              <Input
+                allowClear
+                prefix={<SearchOutlined />}
+                placeholder="Payer name or mobile"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+            </Col>
+            <Col xs={24} md={12} lg={6}>
+              <Select
+                allowClear
+                showSearch
+                optionFilterProp="label"
+                placeholder="All events"
+                value={filters.event || undefined}
+                onChange={(event) => updateFilters({ event })}
+                options={eventOptions(events)}
+                style={{ width: "100%" }}
+              />
+            </Col>
+            <Col xs={24} md={12} lg={6}>
+              <RangePicker
+                allowEmpty={[true, true]}
+                format="DD MMM YYYY"
+                placeholder={["Paid from", "Paid to"]}
+                presets={datePresets()}
+                value={[
+                  filters.from ? dayjs(filters.from) : null,
+                  filters.to ? dayjs(filters.to) : null,
+                ]}
+                onChange={(range) => {
+                  const preset = presetFor(range);
+                  updateFilters({
+                    range: preset,
+                    from: preset ? "" : range?.[0]?.format("YYYY-MM-DD") || "",
+                    to: preset ? "" : range?.[1]?.format("YYYY-MM-DD") || "",
+                  });
+                }}
+                style={{ width: "100%" }}
+              />
+            </Col>
+            <Col xs={24} md={12} lg={6}>
+              {/* Applied on blur / Enter so typing doesn't refetch per digit */}
+              <Space.Compact style={{ width: "100%" }}>
+                <InputNumber
+                  key={`min-${filters.min}`}
+                  min={0}
+                  prefix="₹"
+                  placeholder="Min amount"
+                  defaultValue={filters.min === "" ? null : Number(filters.min)}
+                  onBlur={(e) => updateFilters({ min: e.target.value.replace(/,/g, "") })}
+                  onPressEnter={(e) =>
+                    updateFilters({ min: e.target.value.replace(/,/g, "") })
+                  }
+                  style={{ width: "50%" }}
+                />
+                <InputNumber
+                  key={`max-${filters.max}`}
+                  min={0}
+                  prefix="₹"
+                  placeholder="Max amount"
+                  defaultValue={filters.max === "" ? null : Number(filters.max)}
+                  onBlur={(e) => updateFilters({ max: e.target.value.replace(/,/g, "") })}
+                  onPressEnter={(e) =>
+                    updateFilters({ max: e.target.value.replace(/,/g, "") })
+                  }
+                  style={{ width: "50%" }}
+                />
+              </Space.Compact>
+            </Col>
+          </Row>
+
+          {filtersLabel && (
+            <Space wrap style={{ marginTop: 10 }}>
+              <Text type="secondary">Totals for {filtersLabel}</Text>
+              <Button
+                type="link"
+                size="small"
+                onClick={() => applyFilters({ status: filters.status })}
+              >
+                Clear filters
+              </Button>
+            </Space>
+          )}
+
+          <div style={{ height: 12 }} />
+
           <Row gutter={[12, 12]}>
             <Col xs={12} md={6}>
               <Card
@@ -600,7 +908,7 @@ export default function AdminPayments() {
                     precision={0}
                   />
                   <Tag icon={<DollarOutlined />} color="green">
-                    Total Value
+                    Verified {fmtINR(summary.verifiedAmount)}
                   </Tag>
                 </Space>
               </Card>
@@ -615,11 +923,23 @@ export default function AdminPayments() {
               <Skeleton active paragraph={{ rows: 6 }} />
             </Card>
           ) : (
-            <Table
+            <ConfigurableTable
+              settings={tableSettings}
+              viewState={{
+                ...filters,
+                status: filters.status === "ALL" ? "" : filters.status,
+                // A preset's dates move with the calendar; save only its key
+                from: filters.range ? "" : filters.from,
+                to: filters.range ? "" : filters.to,
+              }}
+              onApplyView={applyFilters}
               columns={columns}
               dataSource={payments}
               rowKey="id"
-             
+              onRow={(record) => ({
+                onClick: () => setDetailPayment(record),
+                style: { cursor: "pointer" },
+              })}
               scroll={{ x: "100%" }}
               loading={pageLoading}
               bordered
@@ -629,7 +949,7 @@ export default function AdminPayments() {
                 showSizeChanger: true,
                 onChange: (p, ps) => {
                   setPage(p);
-                  setPageSize(ps);
+                  if (ps !== pageSize) tableSettings.update({ pageSize: ps });
                 },
                 showTotal: (total, range) =>
                   `${range[0]}-${range[1]} of ${total}`,
@@ -637,7 +957,7 @@ export default function AdminPayments() {
               locale={{
                 emptyText: (
                   <div style={{ padding: "24px 0", color: "rgba(0,0,0,0.45)" }}>
-                    No payment records found for selected status.
+                    No payment records match the selected filters.
                   </div>
                 ),
               }}
@@ -645,6 +965,42 @@ export default function AdminPayments() {
           )}
         </Card>
 
+        <PaymentDetailDrawer
+          payment={detailPayment}
+          statusTag={detailPayment && statusTag(detailPayment.status)}
+          isMobile={isMobile}
+          canVerify={can(PERMISSIONS.VERIFY_PAYMENTS)}
+          canReject={can(PERMISSIONS.REJECT_PAYMENTS)}
+          actionLoading={actionLoading}
+          onVerify={(p, reusedOn) => confirmVerify(p.id, reusedOn)}
+          onReject={(p) => confirmReject(p.id)}
+          onReceipt={setReceiptPayment}
+          onClose={() => setDetailPayment(null)}
+        />
+
+        <ReceiptModal
+          payment={receiptPayment}
+          onClose={() => setReceiptPayment(null)}
+          onShared={handleReceiptShared}
+        />
+
+        <AddPaymentModal
+          open={addPaymentOpen}
+          onClose={() => setAddPaymentOpen(false)}
+          onCreated={() => {
+            setAddPaymentOpen(false);
+            fetchPayments(filters);
+          }}
+        />
+
+        <ReconcileWizard
+          open={reconcileOpen}
+          onClose={(verified) => {
+            setReconcileOpen(false);
+            if (verified) fetchPayments(filters);
+          }}
+        />
+
         {/* Event Payments Modal */}
         <Modal
           title={
@@ -0,0 +1,323 @@
+import React, { useEffect, useState } from "react";
+import {
+  Alert,
+  Button,
+  Card,
+  Descriptions,
+  Drawer,
+  Empty,
+  Image,
+  Space,
+  Spin,
+  Tooltip,
+  Typography,
+} from "antd";
+import {
+  CheckCircleOutlined,
+  CloseCircleOutlined,
+  FileTextOutlined,
+  RotateLeftOutlined,
+  RotateRightOutlined,
+  WarningOutlined,
+} from "@ant-design/icons";
+import { getErrorMessage, isSessionExpiredError, paymentsApi } from "../../api";
+import { normalizeUtr } from "../../utils/payments";
+
+const { Title, Text } = Typography;
+
+const METHOD_LABELS = {
+  UPI: "UPI",
+  BANK_TRANSFER: "Bank transfer",
+  CASH: "Cash",
+  CHEQUE: "Cheque",
+};
+
+const fmtINR = (num) => `₹ ${Number(num || 0).toLocaleString("en-IN")}`;
+
+const fmtDateTime = (iso) =>
+  iso
+    ? new Date(iso).toLocaleString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "-";
+
+/**
+ * Proof of one payment: the payer's screenshot (click for the zoom / rotate
+ * viewer), UTR and method, with a warning when the UTR also appears on
+ * another payment.
+ *
+ * @param {Object} props
+ * @param {import("../../api/payments").Payment | null} props.payment  opens the drawer when set
+ * @param {React.ReactNode} props.statusTag
+ * @param {boolean} props.isMobile
+ * @param {boolean} props.canVerify
+ * @param {boolean} props.canReject
+ * @param {{ id: string | null, type: string | null }} props.actionLoading
+ * @param {(payment: object, reusedOn: object[]) => void} props.onVerify
+ * @param {(payment: object) => void} props.onReject
+ * @param {(payment: object) => void} props.onReceipt  verified payments only
+ * @param {() => void} props.onClose
+ */
+export default function PaymentDetailDrawer({
+  payment,
+  statusTag,
+  isMobile,
+  canVerify,
+  canReject,
+  actionLoading,
+  onVerify,
+  onReject,
+  onReceipt,
+  onClose,
+}) {
+  const [rotation, setRotation] = useState(0);
+  // { key, others, error }; `key` ties the result to the payment on screen
+  const [utrCheck, setUtrCheck] = useState(null);
+
+  const utr = normalizeUtr(payment?.utr);
+  const paymentId = payment?.id;
+
+  useEffect(() => {
+    if (!paymentId || !utr) return undefined;
+    let cancelled = false;
+    paymentsApi
+      .listByUtr(utr)
+      .then((list) => {
+        if (cancelled) return;
+        setUtrCheck({
+          key: `${paymentId}|${utr}`,
+          others: list.filter((p) => p.id !== paymentId),
+          error: "",
+        });
+      })
+      .catch((err) => {
+        if (isSessionExpiredError(err) || cancelled) return;
+        setUtrCheck({
+          key: `${paymentId}|${utr}`,
+          others: [],
+          error: getErrorMessage(err, "Could not check the UTR"),
+        });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [paymentId, utr]);
+
+  // Cash and cheque entries are recorded by an admin with a paper receipt
+  const manual = payment?.method === "CASH" || payment?.method === "CHEQUE";
+  const check = utrCheck?.key === `${paymentId}|${utr}` ? utrCheck : null;
+  const reusedOn = check?.others || [];
+  const isPending = payment?.status === "PENDING_VERIFICATION";
+  const busy = actionLoading.id === paymentId;
+
+  const rotate = (delta) => setRotation((r) => (r + delta + 360) % 360);
+
+  return (
+    <Drawer
+      title="Payment Details"
+      open={!!payment}
+      onClose={onClose}
+      width={isMobile ? "100%" : 520}
+      afterOpenChange={(open) => !open && setRotation(0)}
+      extra={
+        payment?.status === "VERIFIED" ? (
+          <Button icon={<FileTextOutlined />} onClick={() => onReceipt(payment)}>
+            Receipt
+          </Button>
+        ) : (
+          payment &&
+          isPending && (
+            <Space>
+              {canReject && (
+                <Button
+                  danger
+                  icon={<CloseCircleOutlined />}
+                  loading={busy && actionLoading.type === "reject"}
+                  onClick={() => onReject(payment)}
+                >
+                  Reject
+                </Button>
+              )}
+              {canVerify && (
+                <Button
+                  type="primary"
+                  icon={<CheckCircleOutlined />}
+                  loading={busy && actionLoading.type === "verify"}
+                  disabled={!!utr && !check}
+                  onClick={() => onVerify(payment, reusedOn)}
+                >
+                  Verify
+                </Button>
+              )}
+            </Space>
+          )
+        )
+      }
+    >
+      {payment && (
+        <Space direction="vertical" size={20} style={{ width: "100%" }}>
+          <div>
+            <Space wrap align="center">
+              <Title level={3} style={{ margin: 0 }}>
+                {fmtINR(payment.amount)}
+              </Title>
+              {statusTag}
+            </Space>
+            <div>
+              <Text type="secondary">
+                {payment.payerName || "-"} · {payment.payerMobile || "-"}
+              </Text>
+            </div>
+          </div>
+
+          {manual ? (
+            payment.auditNote && (
+              <Alert
+                type="info"
+                showIcon
+                message="Recorded manually"
+                description={payment.auditNote}
+              />
+            )
+          ) : !utr ? (
+            <Alert
+              type="warning"
+              showIcon
+              message="No UTR recorded"
+              description="Check the screenshot carefully before verifying."
+            />
+          ) : !check ? (
+            <Space>
+              <Spin size="small" />
+              <Text type="secondary">Checking the UTR against other payments...</Text>
+            </Space>
+          ) : check.error ? (
+            <Alert type="warning" showIcon message={check.error} />
+          ) : reusedOn.length ? (
+            <Alert
+              type="error"
+              showIcon
+              icon={<WarningOutlined />}
+              message={`This UTR is already on ${reusedOn.length} other payment${
+                reusedOn.length === 1 ? "" : "s"
+              }`}
+              description={
+                <Space direction="vertical" size={2}>
+                  {reusedOn.map((p) => (
+                    <Text key={p.id}>
+                      {p.payerName || "-"} · {fmtINR(p.amount)} ·{" "}
+                      {fmtDateTime(p.paidOnDate)} · {p.status}
+                    </Text>
+                  ))}
+                </Space>
+              }
+            />
+          ) : (
+            <Alert type="success" showIcon message="UTR not used on any other payment" />
+          )}
+
+          <Descriptions column={1} size="small" bordered>
+            <Descriptions.Item label="UTR / Reference">
+              {utr ? (
+                <Text copyable style={{ fontFamily: "monospace" }}>
+                  {utr}
+                </Text>
+              ) : (
+                "-"
+              )}
+            </Descriptions.Item>
+            <Descriptions.Item label="Method">
+              {METHOD_LABELS[payment.method] || payment.method || "-"}
+            </Descriptions.Item>
+            {manual && (
+              <>
+                <Descriptions.Item label="Received By">
+                  {payment.receivedBy || "-"}
+                </Descriptions.Item>
+                <Descriptions.Item label="Receipt No.">
+                  {payment.receiptNumber || "-"}
+                </Descriptions.Item>
+              </>
+            )}
+            {payment.method === "CHEQUE" && (
+              <Descriptions.Item label="Cheque No.">
+                {payment.chequeNumber || "-"}
+              </Descriptions.Item>
+            )}
+            <Descriptions.Item label="Paid On">
+              {fmtDateTime(payment.paidOnDate)}
+            </Descriptions.Item>
+            <Descriptions.Item label="Event ID">{payment.eventId || "-"}</Descriptions.Item>
+            <Descriptions.Item label="Payment ID">{payment.id}</Descriptions.Item>
+          </Descriptions>
+
+          {(!manual || payment.screenshotUrl) && (
+            <Card
+              bordered={false}
+              title="Screenshot"
+              style={{ borderRadius: 12, border: "1px solid rgba(0,0,0,0.06)" }}
+              extra={
+                payment.screenshotUrl && (
+                  <Space size={4}>
+                    <Tooltip title="Rotate left">
+                      <Button
+                        size="small"
+                        icon={<RotateLeftOutlined />}
+                        onClick={() => rotate(-90)}
+                      />
+                    </Tooltip>
+                    <Tooltip title="Rotate right">
+                      <Button
+                        size="small"
+                        icon={<RotateRightOutlined />}
+                        onClick={() => rotate(90)}
+                      />
+                    </Tooltip>
+                  </Space>
+                )
+              }
+            >
+              {payment.screenshotUrl ? (
+                <Space direction="vertical" align="center" style={{ width: "100%" }}>
+                  <div
+                    style={{
+                      width: "100%",
+                      minHeight: 320,
+                      display: "flex",
+                      alignItems: "center",
+                      justifyContent: "center",
+                      overflow: "hidden",
+                    }}
+                  >
+                    <Image
+                      src={payment.screenshotUrl}
+                      alt="Payment screenshot"
+                      style={{
+                        maxHeight: 420,
+                        maxWidth: "100%",
+                        transform: `rotate(${rotation}deg)`,
+                        transition: "transform 0.2s",
+                      }}
+                    />
+                  </div>
+                  <Text type="secondary" style={{ fontSize: 12 }}>
+                    Click the image to zoom; the viewer can also rotate and flip.
+                  </Text>
+                </Space>
+              ) : (
+                <Empty
+                  image={Empty.PRESENTED_IMAGE_SIMPLE}
+                  description="No screenshot uploaded"
+                />
+              )}
+            </Card>
+          )}
+        </Space>
+      )}
+    </Drawer>
+  );
+}
@@ -0,0 +1,194 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Alert, Button, Modal, Space, Spin, Typography, message } from "antd";
+import {
+  DownloadOutlined,
+  PrinterOutlined,
+  WhatsAppOutlined,
+} from "@ant-design/icons";
+import {
+  eventsApi,
+  footerApi,
+  getErrorMessage,
+  isSessionExpiredError,
+  paymentsApi,
+} from "../../api";
+import {
+  buildReceiptPdf,
+  receiptFileName,
+  receiptNumberFor,
+  whatsappShareUrl,
+} from "../../utils/receipts";
+
+const { Text } = Typography;
+
+const fmtINR = (num) => `₹ ${Number(num || 0).toLocaleString("en-IN")}`;
+
+/**
+ * Receipt for a VERIFIED payment: preview, download, print, and a WhatsApp
+ * message to the payer with a link to the PDF. The first share stores the
+ * PDF on the payment; later shares reuse that link.
+ *
+ * @param {Object} props
+ * @param {import("../../api/payments").Payment | null} props.payment  opens the modal when set
+ * @param {() => void} props.onClose
+ * @param {(payment: import("../../api/payments").Payment) => void} props.onShared  payment with `receiptUrl`
+ */
+export default function ReceiptModal({ payment, onClose, onShared }) {
+  const paymentId = payment?.id;
+  const iframeRef = useRef(null);
+  const [sharing, setSharing] = useState(false);
+  // { key, payment, eventTitle, footer, doc, previewUrl, error }; `key`
+  // ties it to the payment shown
+  const [loaded, setLoaded] = useState(null);
+
+  useEffect(() => {
+    if (!paymentId) return undefined;
+    let cancelled = false;
+    // Fresh copy for verifiedBy / verifiedAt; header and event are nice-to-have
+    Promise.all([
+      paymentsApi.get(paymentId),
+      footerApi.get().catch(() => ({})),
+      eventsApi.list().catch(() => []),
+    ])
+      .then(async ([fresh, footer, events]) => {
+        if (cancelled) return;
+        const eventTitle = events.find((e) => e.id === fresh.eventId)?.title;
+        const doc =
+          fresh.status === "VERIFIED"
+            ? await buildReceiptPdf({ payment: fresh, eventTitle, footer: footer || {} })
+            : null;
+        if (cancelled) return;
+        setLoaded({
+          key: paymentId,
+          payment: fresh,
+          eventTitle,
+          footer: footer || {},
+          doc,
+          previewUrl: doc ? URL.createObjectURL(doc.output("blob")) : null,
+          error: "",
+        });
+      })
+      .catch((err) => {
+        if (isSessionExpiredError(err) || cancelled) return;
+        setLoaded({
+          key: paymentId,
+          error: getErrorMessage(err, "Could not load the payment"),
+        });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [paymentId]);
+
+  const data = loaded?.key === paymentId ? loaded : null;
+  const receipt = data?.doc ? data : null;
+
+  const share = async () => {
+    const current = receipt.payment;
+    // Opened now, before any await, so the popup blocker lets it through
+    const win = window.open("", "_blank");
+    setSharing(true);
+    try {
+      let link = current.receiptUrl;
+      if (!link) {
+        const updated = await paymentsApi.uploadReceipt(
+          current.id,
+          receipt.doc.output("blob"),
+          receiptFileName(current),
+        );
+        link = updated?.receiptUrl;
+        if (!link) throw new Error("No receipt link returned");
+        setLoaded((l) => ({ ...l, payment: { ...l.payment, receiptUrl: link } }));
+        onShared({ ...current, ...updated });
+      }
+      const towards = receipt.eventTitle ? ` towards ${receipt.eventTitle}` : "";
+      const text = [
+        current.payerName ? `Namaste ${current.payerName},` : "Namaste,",
+        `Thank you for your contribution of ${fmtINR(current.amount)}${towards}.`,
+        `Receipt ${receiptNumberFor(current)}: ${link}`,
+      ].join("\n");
+      const url = whatsappShareUrl(current.payerMobile, text);
+      if (win) win.location.href = url;
+      else window.location.href = url;
+    } catch (err) {
+      win?.close();
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Could not share the receipt"));
+    } finally {
+      setSharing(false);
+    }
+  };
+
+  return (
+    <Modal
+      open={!!payment}
+      title={receipt ? `Receipt ${receiptNumberFor(receipt.payment)}` : "Receipt"}
+      width={640}
+      onCancel={onClose}
+      afterClose={() => {
+        if (loaded?.previewUrl) URL.revokeObjectURL(loaded.previewUrl);
+        setLoaded(null);
+      }}
+      destroyOnClose
+      footer={
+        receipt && [
+          <Button
+            key="print"
+            icon={<PrinterOutlined />}
+            onClick={() => iframeRef.current?.contentWindow?.print()}
+          >
+            Print
+          </Button>,
+          <Button
+            key="download"
+            icon={<DownloadOutlined />}
+            onClick={() => receipt.doc.save(receiptFileName(receipt.payment))}
+          >
+            Download PDF
+          </Button>,
+          <Button
+            key="share"
+            type="primary"
+            icon={<WhatsAppOutlined />}
+            loading={sharing}
+            onClick={share}
+            style={{ background: "#25D366" }}
+          >
+            Share on WhatsApp
+          </Button>,
+        ]
+      }
+    >
+      {!data ? (
+        <Space>
+          <Spin size="small" />
+          <Text type="secondary">Preparing the receipt...</Text>
+        </Space>
+      ) : data.error ? (
+        <Alert type="error" showIcon message={data.error} />
+      ) : !receipt ? (
+        <Alert
+          type="warning"
+          showIcon
+          message="Receipts are issued only for verified payments"
+        />
+      ) : (
+        <Space direction="vertical" size={8} style={{ width: "100%" }}>
+          {!receipt.footer.address && (
+            <Alert
+              type="info"
+              showIcon
+              message="No village address in Footer Settings; the receipt header shows the name only."
+            />
+          )}
+          <iframe
+            ref={iframeRef}
+            title="Receipt preview"
+            src={receipt.previewUrl}
+            style={{ width: "100%", height: 520, border: "1px solid #f0f0f0", borderRadius: 8 }}
+          />
+        </Space>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,482 @@
+import React, { useMemo, useState } from "react";
+import {
+  Alert,
+  Button,
+  Col,
+  Modal,
+  Row,
+  Segmented,
+  Select,
+  Space,
+  Steps,
+  Table,
+  Tag,
+  Typography,
+  Upload,
+  message,
+} from "antd";
+import { DownloadOutlined, InboxOutlined } from "@ant-design/icons";
+import { getErrorMessage, isSessionExpiredError, paymentsApi } from "../../api";
+import useBulkRunner from "../../hooks/useBulkRunner";
+import BulkResultReport from "../../components/BulkResultReport";
+import {
+  SPREADSHEET_ACCEPT,
+  downloadFile,
+  guessColumns,
+  readSpreadsheet,
+  toCsv,
+} from "../../utils/spreadsheet";
+import { normalizeUtr } from "../../utils/payments";
+import {
+  DATE_TOLERANCE_DAYS,
+  buildStatementLines,
+  matchStatement,
+} from "../../utils/reconcile";
+
+const { Text } = Typography;
+
+const MAX_ROWS = 5000;
+
+const FIELDS = [
+  { key: "date", label: "Date", required: true },
+  { key: "amount", label: "Credit / Amount", required: true },
+  { key: "utr", label: "UTR / Reference" },
+  { key: "description", label: "Description / Narration" },
+];
+
+const HEADER_ALIASES = {
+  date: ["date", "txn date", "transaction date", "value date", "posting date", "tran date"],
+  amount: ["credit", "credit amount", "deposit", "deposits", "cr amount", "amount", "amount (inr)"],
+  utr: ["utr", "utr no", "utr number", "rrn", "upi ref no", "reference", "ref no", "reference no", "transaction id", "chq / ref no"],
+  description: ["description", "narration", "remarks", "particulars", "details", "transaction details"],
+};
+
+const STEPS = [
+  { title: "Upload" },
+  { title: "Map Columns" },
+  { title: "Review" },
+  { title: "Verify" },
+];
+
+const fmtINR = (num) => `₹ ${Number(num || 0).toLocaleString("en-IN")}`;
+
+const fmtDate = (value) =>
+  value
+    ? new Date(value).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+      })
+    : "-";
+
+const paymentLabel = (p) =>
+  [p.payerName || "-", fmtINR(p.amount), fmtDate(p.paidOnDate), normalizeUtr(p.utr)]
+    .filter(Boolean)
+    .join(" · ");
+
+/**
+ * Matches a bank / UPI statement against payments awaiting verification
+ * and verifies the confirmed matches one by one.
+ *
+ * @param {{ open: boolean, onClose: (verified: boolean) => void }} props
+ */
+export default function ReconcileWizard({ open, onClose }) {
+  const [step, setStep] = useState(0);
+  const [sheet, setSheet] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [matching, setMatching] = useState(false);
+  const [matches, setMatches] = useState([]);
+  const [skipped, setSkipped] = useState([]);
+  const [pending, setPending] = useState([]);
+  // line key -> chosen payment id, and the lines ticked for verification
+  const [choice, setChoice] = useState({});
+  const [selected, setSelected] = useState([]);
+  const [filter, setFilter] = useState("matched");
+  const bulk = useBulkRunner();
+
+  const counts = useMemo(
+    () =>
+      matches.reduce(
+        (acc, m) => ({ ...acc, [m.status]: acc[m.status] + 1 }),
+        { matched: 0, ambiguous: 0, unmatched: 0 },
+      ),
+    [matches],
+  );
+
+  const paymentById = useMemo(
+    () => new Map(pending.map((p) => [p.id, p])),
+    [pending],
+  );
+
+  const unclaimed = useMemo(() => {
+    const chosen = new Set(Object.values(choice));
+    return pending.filter((p) => !chosen.has(p.id));
+  }, [pending, choice]);
+
+  const reset = () => {
+    setStep(0);
+    setSheet(null);
+    setMapping({});
+    setMatches([]);
+    setSkipped([]);
+    setPending([]);
+    setChoice({});
+    setSelected([]);
+    setFilter("matched");
+    bulk.reset();
+  };
+
+  const close = () => {
+    if (bulk.running) return;
+    const verified = bulk.results.some((r) => r.status === "success");
+    reset();
+    onClose(verified);
+  };
+
+  const handleFile = async (file) => {
+    try {
+      const parsed = await readSpreadsheet(file);
+      if (!parsed.headers.length || !parsed.rows.length) {
+        message.error("The file has no data rows");
+      } else if (parsed.rows.length > MAX_ROWS) {
+        message.error(`Reconcile at most ${MAX_ROWS} rows at a time`);
+      } else {
+        setSheet({ fileName: file.name, ...parsed });
+        setMapping(guessColumns(parsed.headers, HEADER_ALIASES));
+        setStep(1);
+      }
+    } catch {
+      message.error("Could not read the file. Use CSV or Excel (.xlsx, .xls).");
+    }
+    // Parsed in the browser; the statement is never uploaded
+    return false;
+  };
+
+  const review = async () => {
+    const built = buildStatementLines(sheet.rows, mapping);
+    if (!built.lines.length) {
+      message.error("No credit rows found. Check the Date and Amount columns.");
+      return;
+    }
+    setMatching(true);
+    try {
+      const payments = await paymentsApi.list({ status: "PENDING_VERIFICATION" });
+      const result = matchStatement(built.lines, payments);
+      const matched = result.filter((m) => m.status === "matched");
+      setPending(payments);
+      setMatches(result);
+      setSkipped(built.skipped);
+      setChoice(Object.fromEntries(matched.map((m) => [m.key, m.candidates[0].id])));
+      setSelected(matched.map((m) => m.key));
+      setFilter(matched.length ? "matched" : "ambiguous");
+      setStep(2);
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Could not load pending payments"));
+    } finally {
+      setMatching(false);
+    }
+  };
+
+  const choose = (line, paymentId) => {
+    if (!paymentId) {
+      setChoice((c) => {
+        const next = { ...c };
+        delete next[line.key];
+        return next;
+      });
+      setSelected((keys) => keys.filter((k) => k !== line.key));
+      return;
+    }
+    const takenBy = Object.entries(choice).find(
+      ([key, id]) => id === paymentId && Number(key) !== line.key,
+    );
+    if (takenBy) {
+      message.warning(`That payment is already matched to row ${takenBy[0]}`);
+      return;
+    }
+    setChoice((c) => ({ ...c, [line.key]: paymentId }));
+    setSelected((keys) => (keys.includes(line.key) ? keys : [...keys, line.key]));
+  };
+
+  const startVerify = () => {
+    setStep(3);
+    bulk.run(
+      matches
+        .filter((m) => selected.includes(m.key) && choice[m.key])
+        .map((m) => ({ line: m, payment: paymentById.get(choice[m.key]) })),
+      ({ payment }) => paymentsApi.verify(payment.id),
+    );
+  };
+
+  const downloadReport = () => {
+    const lines = [
+      ["Statement Row", "Statement Amount", "UTR", "Payer", "Payment ID", "Result", "Reason"],
+      ...bulk.results.map((r) => [
+        r.item.line.line,
+        r.item.line.amount,
+        r.item.line.utr,
+        r.item.payment.payerName,
+        r.item.payment.id,
+        r.status,
+        r.reason || "",
+      ]),
+    ];
+    downloadFile(toCsv(lines), `reconciliation-${Date.now()}.csv`);
+  };
+
+  const headerOptions = (sheet?.headers || []).map((h, i) => ({
+    value: i,
+    label: h || `Column ${i + 1}`,
+  }));
+  const mappingComplete = FIELDS.every(
+    (f) => !f.required || mapping[f.key] !== undefined,
+  );
+
+  const lineColumns = [
+    { title: "Row", dataIndex: "line", width: 64, align: "center" },
+    { title: "Date", dataIndex: "date", render: fmtDate, width: 120 },
+    { title: "Amount", dataIndex: "amount", render: fmtINR, align: "right", width: 110 },
+    {
+      title: "UTR",
+      dataIndex: "utr",
+      render: (v) => <Text style={{ fontFamily: "monospace" }}>{v || "-"}</Text>,
+      responsive: ["md"],
+    },
+    {
+      title: "Payment",
+      render: (_, m) => {
+        if (m.status === "unmatched") {
+          return <Text type="secondary">{m.reason}</Text>;
+        }
+        if (m.status === "matched") {
+          return (
+            <Space direction="vertical" size={0}>
+              <Text>{paymentLabel(m.candidates[0])}</Text>
+              <Tag color="green" style={{ width: "fit-content" }}>
+                by {m.via}
+              </Tag>
+            </Space>
+          );
+        }
+        return (
+          <Space direction="vertical" size={4} style={{ width: "100%" }}>
+            <Text type="warning" style={{ fontSize: 12 }}>
+              {m.reason}
+            </Text>
+            <Select
+              allowClear
+              placeholder="Choose the payment"
+              value={choice[m.key]}
+              onChange={(id) => choose(m, id)}
+              options={m.candidates.map((p) => ({ value: p.id, label: paymentLabel(p) }))}
+              style={{ width: "100%", minWidth: 240 }}
+            />
+          </Space>
+        );
+      },
+    },
+  ];
+
+  const visibleLines = matches.filter((m) => m.status === filter);
+  const toVerify = selected.filter((k) => choice[k]).length;
+
+  const footer = {
+    0: [
+      <Button key="cancel" onClick={close}>
+        Cancel
+      </Button>,
+    ],
+    1: [
+      <Button key="back" onClick={() => setStep(0)}>
+        Back
+      </Button>,
+      <Button
+        key="next"
+        type="primary"
+        disabled={!mappingComplete}
+        loading={matching}
+        onClick={review}
+      >
+        Match Payments
+      </Button>,
+    ],
+    2: [
+      <Button key="back" onClick={() => setStep(1)}>
+        Back
+      </Button>,
+      <Button key="verify" type="primary" disabled={!toVerify} onClick={startVerify}>
+        Verify {toVerify} Payment{toVerify === 1 ? "" : "s"}
+      </Button>,
+    ],
+    3: [
+      <Button
+        key="report"
+        icon={<DownloadOutlined />}
+        disabled={bulk.running}
+        onClick={downloadReport}
+      >
+        Download Report
+      </Button>,
+      <Button key="close" type="primary" disabled={bulk.running} onClick={close}>
+        {bulk.running ? "Verifying..." : "Done"}
+      </Button>,
+    ],
+  }[step];
+
+  return (
+    <Modal
+      open={open}
+      title="Reconcile Bank Statement"
+      width={1000}
+      maskClosable={false}
+      closable={!bulk.running}
+      keyboard={!bulk.running}
+      onCancel={close}
+      footer={footer}
+    >
+      <Steps size="small" current={step} items={STEPS} style={{ marginBottom: 24 }} />
+
+      {step === 0 && (
+        <Upload.Dragger
+          accept={SPREADSHEET_ACCEPT}
+          beforeUpload={handleFile}
+          showUploadList={false}
+          maxCount={1}
+        >
+          <p className="ant-upload-drag-icon">
+            <InboxOutlined />
+          </p>
+          <p className="ant-upload-text">Click or drop a bank / UPI statement</p>
+          <p className="ant-upload-hint">
+            CSV or Excel export from the bank app. Only credits are matched,
+            against payments still pending verification.
+          </p>
+        </Upload.Dragger>
+      )}
+
+      {step === 1 && sheet && (
+        <Space direction="vertical" size={16} style={{ width: "100%" }}>
+          <Text type="secondary">
+            {sheet.fileName}: {sheet.rows.length} row
+            {sheet.rows.length === 1 ? "" : "s"}. Without a UTR column, a
+            12-digit reference in the description is used.
+          </Text>
+          <Row gutter={[16, 16]}>
+            {FIELDS.map((f) => (
+              <Col xs={24} sm={12} key={f.key}>
+                <Text strong>
+                  {f.label}
+                  {f.required && <Text type="danger"> *</Text>}
+                </Text>
+                <Select
+                  allowClear={!f.required}
+                  placeholder={f.required ? "Select a column" : "Not in file"}
+                  options={headerOptions}
+                  value={mapping[f.key]}
+                  onChange={(index) => setMapping((m) => ({ ...m, [f.key]: index }))}
+                  style={{ width: "100%", marginTop: 4 }}
+                />
+              </Col>
+            ))}
+          </Row>
+          <Table
+            size="small"
+            title={() => "First rows with this mapping"}
+            pagination={false}
+            rowKey="line"
+            dataSource={sheet.rows.slice(0, 5).map((cells, i) => ({ line: i + 1, cells }))}
+            columns={FIELDS.map((f) => ({
+              title: f.label,
+              render: (_, r) =>
+                mapping[f.key] === undefined ? "-" : r.cells[mapping[f.key]] || "-",
+            }))}
+          />
+        </Space>
+      )}
+
+      {step === 2 && (
+        <Space direction="vertical" size={12} style={{ width: "100%" }}>
+          <Alert
+            type={counts.ambiguous || counts.unmatched ? "warning" : "success"}
+            showIcon
+            message={`${counts.matched} matched, ${counts.ambiguous} need a decision, ${counts.unmatched} unmatched of ${matches.length} credits`}
+            description={`Matched on UTR first, then on amount within ${DATE_TOLERANCE_DAYS} days. ${
+              skipped.length
+                ? `${skipped.length} row(s) skipped as debits or unreadable. `
+                : ""
+            }Untick anything you are not sure of; nothing is verified until you confirm.`}
+          />
+          <Segmented
+            value={filter}
+            onChange={setFilter}
+            options={[
+              { value: "matched", label: `Matched (${counts.matched})` },
+              { value: "ambiguous", label: `Ambiguous (${counts.ambiguous})` },
+              { value: "unmatched", label: `Unmatched (${counts.unmatched})` },
+              { value: "unclaimed", label: `Payments without a line (${unclaimed.length})` },
+            ]}
+          />
+          {filter === "unclaimed" ? (
+            <Table
+              size="small"
+              rowKey="id"
+              dataSource={unclaimed}
+              pagination={{ pageSize: 10, size: "small", showSizeChanger: false }}
+              columns={[
+                { title: "Payer", dataIndex: "payerName" },
+                { title: "Mobile", dataIndex: "payerMobile", responsive: ["md"] },
+                { title: "Amount", dataIndex: "amount", render: fmtINR, align: "right" },
+                { title: "Paid On", dataIndex: "paidOnDate", render: fmtDate },
+                {
+                  title: "UTR",
+                  dataIndex: "utr",
+                  render: (v) => normalizeUtr(v) || "-",
+                  responsive: ["md"],
+                },
+              ]}
+            />
+          ) : (
+            <Table
+              size="small"
+              rowKey="key"
+              dataSource={visibleLines}
+              columns={lineColumns}
+              rowSelection={
+                filter === "unmatched"
+                  ? undefined
+                  : {
+                      selectedRowKeys: selected,
+                      preserveSelectedRowKeys: true,
+                      onChange: (keys) => setSelected(keys),
+                      getCheckboxProps: (m) => ({ disabled: !choice[m.key] }),
+                    }
+              }
+              pagination={{ pageSize: 10, size: "small", showSizeChanger: false }}
+              scroll={{ x: "100%" }}
+            />
+          )}
+        </Space>
+      )}
+
+      {step === 3 && (
+        <BulkResultReport
+          running={bulk.running}
+          total={bulk.total}
+          results={bulk.results}
+          renderItem={({ line, payment }) => (
+            <Space direction="vertical" size={0}>
+              <Text strong>
+                {payment.payerName || "-"} · {fmtINR(payment.amount)}
+              </Text>
+              <Text type="secondary" style={{ fontSize: 12 }}>
+                Statement row {line.line}
+                {line.utr ? ` · UTR ${line.utr}` : ""}
+              </Text>
+            </Space>
+          )}
+        />
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,364 @@
+import React, { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import {
+  Alert,
+  Button,
+  Card,
+  ConfigProvider,
+  Form,
+  Input,
+  Space,
+  Steps,
+  Typography,
+} from "antd";
+import {
+  PhoneOutlined,
+  LockOutlined,
+  SafetyOutlined,
+} from "@ant-design/icons";
+import { getErrorMessage, otpSender } from "../../api";
+import useCountdown from "../../hooks/useCountdown";
+
+const { Title, Text } = Typography;
+
+const DEFAULT_RESEND_SECONDS = 30;
+const MAX_RESENDS = 3;
+const MAX_VERIFY_ATTEMPTS = 5;
+
+const MOBILE_RULES = [
+  { required: true, message: "Please enter mobile number" },
+  { pattern: /^[6-9]\d{9}$/, message: "Enter a valid 10-digit mobile number" },
+];
+
+const ForgotPassword = () => {
+  const navigate = useNavigate();
+
+  const [step, setStep] = useState(0);
+  const [mobile, setMobile] = useState("");
+  const [resetToken, setResetToken] = useState("");
+
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [info, setInfo] = useState("");
+
+  // OTPs sent per number, kept across "Change mobile number" so going back
+  // and asking again for the same number still counts as a resend
+  const [sendsByMobile, setSendsByMobile] = useState({});
+  const [attemptsLeft, setAttemptsLeft] = useState(MAX_VERIFY_ATTEMPTS);
+  // The resend cooldown belongs to the number it was started for; another
+  // number can be sent an OTP right away
+  const [cooldown, startCooldown] = useCountdown();
+  const [cooldownMobile, setCooldownMobile] = useState("");
+  const waitFor = (target) => (target === cooldownMobile ? cooldown : 0);
+
+  const sendOtp = async (targetMobile) => {
+    setLoading(true);
+    setError("");
+    setInfo("");
+    try {
+      const res = await otpSender.requestOtp(targetMobile);
+      setMobile(targetMobile);
+      setSendsByMobile((m) => ({ ...m, [targetMobile]: (m[targetMobile] || 0) + 1 }));
+      setAttemptsLeft(MAX_VERIFY_ATTEMPTS);
+      startCooldown(res?.resendAfterSeconds ?? DEFAULT_RESEND_SECONDS);
+      setCooldownMobile(targetMobile);
+      setInfo(`OTP sent to ${targetMobile}`);
+      setStep(1);
+      return true;
+    } catch (err) {
+      const retryAfter = err?.response?.data?.retryAfterSeconds;
+      if (retryAfter) {
+        startCooldown(retryAfter);
+        setCooldownMobile(targetMobile);
+      }
+      setError(getErrorMessage(err, "Could not send OTP. Please try again."));
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resendsUsedFor = (target) => Math.max(0, (sendsByMobile[target] || 0) - 1);
+
+  const onRequest = (values) => {
+    const target = values.mobile.trim();
+    if (sendsByMobile[target] && resendsUsedFor(target) >= MAX_RESENDS) {
+      setError("OTP resend limit reached for this number. Please try again later.");
+      return;
+    }
+    if (waitFor(target) > 0) {
+      setError(`Please wait ${waitFor(target)}s before requesting another OTP.`);
+      return;
+    }
+    sendOtp(target);
+  };
+
+  const onResend = async () => {
+    if (waitFor(mobile) > 0 || resendsUsedFor(mobile) >= MAX_RESENDS) return;
+    await sendOtp(mobile);
+  };
+
+  const onVerify = async (values) => {
+    if (attemptsLeft <= 0) return;
+    setLoading(true);
+    setError("");
+    setInfo("");
+    try {
+      const res = await otpSender.verifyOtp(mobile, values.otp.trim());
+      setResetToken(res.resetToken);
+      setStep(2);
+    } catch (err) {
+      const serverLeft = err?.response?.data?.attemptsLeft;
+      const left =
+        typeof serverLeft === "number" ? serverLeft : attemptsLeft - 1;
+      setAttemptsLeft(Math.max(0, left));
+      setError(
+        left > 0
+          ? `${getErrorMessage(err, "Incorrect OTP")}. ${left} attempt${left === 1 ? "" : "s"} left.`
+          : "Too many incorrect attempts. Please request a new OTP.",
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onReset = async (values) => {
+    setLoading(true);
+    setError("");
+    try {
+      await otpSender.resetPassword({ resetToken, password: values.password });
+      setStep(3);
+    } catch (err) {
+      setError(getErrorMessage(err, "Could not reset password"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resendsLeft = MAX_RESENDS - resendsUsedFor(mobile);
+
+  return (
+    <ConfigProvider
+      theme={{
+        token: {
+          colorPrimary: "#008cba",
+        },
+      }}
+    >
+      <div
+        style={{
+          minHeight: "100vh",
+          background: "#f8f9fa",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          padding: "12px",
+        }}
+      >
+        <Card
+          style={{
+            width: 420,
+            maxWidth: "95%",
+            borderRadius: 16,
+            boxShadow: "0 4px 16px rgba(0,0,0,0.1)",
+          }}
+          bodyStyle={{ padding: "32px" }}
+        >
+          <Space direction="vertical" size="large" style={{ width: "100%" }}>
+            <div style={{ textAlign: "center" }}>
+              <Title level={3} style={{ margin: 0, color: "#1a1a1a" }}>
+                Reset Password
+              </Title>
+              <Text type="secondary">We'll send an OTP to your mobile</Text>
+            </div>
+
+            <Steps
+              size="small"
+              current={step}
+              items={[
+                { title: "Mobile" },
+                { title: "OTP" },
+                { title: "Password" },
+              ]}
+            />
+
+            {error && (
+              <Alert
+                message={error}
+                type="error"
+                showIcon
+                style={{ borderRadius: 8 }}
+              />
+            )}
+            {info && !error && (
+              <Alert
+                message={info}
+                type="info"
+                showIcon
+                style={{ borderRadius: 8 }}
+              />
+            )}
+
+            {step === 0 && (
+              <Form layout="vertical" onFinish={onRequest}>
+                <Form.Item label="Mobile Number" name="mobile" rules={MOBILE_RULES}>
+                  <Input
+                    prefix={<PhoneOutlined />}
+                    placeholder="Registered mobile number"
+                    size="large"
+                    maxLength={10}
+                  />
+                </Form.Item>
+                <Button
+                  type="primary"
+                  htmlType="submit"
+                  block
+                  size="large"
+                  loading={loading}
+                >
+                  Send OTP
+                </Button>
+              </Form>
+            )}
+
+            {step === 1 && (
+              <Form layout="vertical" onFinish={onVerify}>
+                <Form.Item
+                  label="OTP"
+                  name="otp"
+                  rules={[
+                    { required: true, message: "Please enter the OTP" },
+                    { pattern: /^\d{4,8}$/, message: "Enter the numeric OTP" },
+                  ]}
+                >
+                  <Input
+                    prefix={<SafetyOutlined />}
+                    placeholder="Enter OTP"
+                    size="large"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    disabled={attemptsLeft <= 0}
+                  />
+                </Form.Item>
+                <Button
+                  type="primary"
+                  htmlType="submit"
+                  block
+                  size="large"
+                  loading={loading}
+                  disabled={attemptsLeft <= 0}
+                >
+                  Verify OTP
+                </Button>
+                <div style={{ textAlign: "center", marginTop: 12 }}>
+                  <Button
+                    type="link"
+                    onClick={onResend}
+                    disabled={cooldown > 0 || resendsLeft <= 0 || loading}
+                  >
+                    {resendsLeft <= 0
+                      ? "Resend limit reached"
+                      : cooldown > 0
+                        ? `Resend OTP in ${cooldown}s`
+                        : `Resend OTP (${resendsLeft} left)`}
+                  </Button>
+                  <br />
+                  <Button
+                    type="link"
+                    size="small"
+                    onClick={() => {
+                      setStep(0);
+                      setError("");
+                      setInfo("");
+                    }}
+                  >
+                    Change mobile number
+                  </Button>
+                </div>
+              </Form>
+            )}
+
+            {step === 2 && (
+              <Form layout="vertical" onFinish={onReset}>
+                <Form.Item
+                  label="New Password"
+                  name="password"
+                  rules={[
+                    { required: true, message: "Please enter new password" },
+                    { min: 8, message: "Use at least 8 characters" },
+                  ]}
+                  hasFeedback
+                >
+                  <Input.Password
+                    prefix={<LockOutlined />}
+                    placeholder="New password"
+                    size="large"
+                  />
+                </Form.Item>
+                <Form.Item
+                  label="Confirm Password"
+                  name="confirm"
+                  dependencies={["password"]}
+                  hasFeedback
+                  rules={[
+                    { required: true, message: "Please confirm password" },
+                    ({ getFieldValue }) => ({
+                      validator: (_, value) =>
+                        !value || getFieldValue("password") === value
+                          ? Promise.resolve()
+                          : Promise.reject(new Error("Passwords do not match")),
+                    }),
+                  ]}
+                >
+                  <Input.Password
+                    prefix={<LockOutlined />}
+                    placeholder="Confirm password"
+                    size="large"
+                  />
+                </Form.Item>
+                <Button
+                  type="primary"
+                  htmlType="submit"
+                  block
+                  size="large"
+                  loading={loading}
+                >
+                  Set New Password
+                </Button>
+              </Form>
+            )}
+
+            {step === 3 && (
+              <Space direction="vertical" style={{ width: "100%" }}>
+                <Alert
+                  message="Password updated. Please log in with your new password."
+                  type="success"
+                  showIcon
+                  style={{ borderRadius: 8 }}
+                />
+                <Button
+                  type="primary"
+                  block
+                  size="large"
+                  onClick={() => navigate("/login", { replace: true })}
+                >
+                  Back to Login
+                </Button>
+              </Space>
+            )}
+
+            {step < 3 && (
+              <div style={{ textAlign: "center" }}>
+                <Link to="/login" style={{ fontWeight: 600 }}>
+                  Back to Login
+                </Link>
+              </div>
+            )}
+          </Space>
+        </Card>
+      </div>
+    </ConfigProvider>
+  );
+};
+
+export default ForgotPassword;
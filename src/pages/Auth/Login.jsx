@@ -1,6 +1,5 @@
 import React, { useState } from "react";
-import { useNavigate, Link } from "react-router-dom";
-import axios from "axios";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
 import {
   Alert,
   Button,
@@ -12,44 +11,155 @@ import {
   Spin,
   Typography,
 } from "antd";
-import { UserOutlined, LockOutlined } from "@ant-design/icons";
+import {
+  UserOutlined,
+  LockOutlined,
+  SafetyOutlined,
+} from "@ant-design/icons";
+import { authApi, getErrorMessage } from "../../api";
+import { safeReturnTo, setSession } from "../../auth/session";
+import {
+  clearLoginFailures,
+  getLoginBackoff,
+  recordLoginFailure,
+} from "../../auth/loginThrottle";
+import useCountdown from "../../hooks/useCountdown";
 
 const { Title, Text } = Typography;
 
+const REASON_MESSAGES = {
+  expired: "Your session has expired. Please log in again.",
+  forbidden: "This account does not have admin access.",
+};
+
+// 423 Locked / 429 Too Many Requests say how long the account is locked
+const lockoutSeconds = (err) => {
+  const res = err?.response;
+  if (res?.status !== 423 && res?.status !== 429) return 0;
+  const data = res.data || {};
+  const seconds =
+    Number(data.retryAfterSeconds) ||
+    Math.ceil((new Date(data.lockedUntil) - Date.now()) / 1000) ||
+    Number(res.headers?.["retry-after"]);
+  return seconds > 0 ? seconds : 60;
+};
+
+const fmtWait = (seconds) => {
+  const m = Math.floor(seconds / 60);
+  const s = String(seconds % 60).padStart(2, "0");
+  return m ? `${m}:${s} min` : `${seconds}s`;
+};
+
 const Login = () => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const returnTo = safeReturnTo(searchParams.get("returnTo"));
+  const notice = REASON_MESSAGES[searchParams.get("reason")] || "";
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  const [attemptsLeft, setAttemptsLeft] = useState(null);
+  const [locked, setLocked] = useState(false);
+  const [waitSeconds, startWait] = useCountdown();
+
+  // Set once the password is accepted for an account with 2FA on
+  const [challenge, setChallenge] = useState(null);
+  const [useBackupCode, setUseBackupCode] = useState(false);
+
+  const checkBackoff = (mobile) => {
+    const backoff = getLoginBackoff(mobile);
+    if (backoff > 0) {
+      setLocked(false);
+      startWait(backoff);
+    }
+    return backoff > 0;
+  };
+
+  const finishLogin = (data, mobile) => {
+    clearLoginFailures(mobile);
+    setSession(data);
+    navigate(returnTo, { replace: true });
+  };
+
+  const handleFailure = (err, mobile, fallback) => {
+    const lockFor = lockoutSeconds(err);
+    if (lockFor > 0) {
+      setLocked(true);
+      startWait(lockFor);
+      setError(
+        getErrorMessage(err, "Too many failed attempts. Account locked."),
+      );
+      return;
+    }
+
+    setError(getErrorMessage(err, fallback));
+    // Network errors and timeouts are not guesses
+    if (!err?.response) return;
+
+    const left = err.response.data?.attemptsLeft;
+    if (typeof left === "number") setAttemptsLeft(left);
+    setLocked(false);
+    startWait(recordLoginFailure(mobile));
+  };
 
   const onFinish = async (values) => {
+    const mobile = values.mobile.trim();
+    if (checkBackoff(mobile)) return;
+
     setLoading(true);
     setError("");
+    setAttemptsLeft(null);
 
     try {
-      const response = await axios.post(
-        "https://sirivaram-backed.onrender.com/api/auth/login",
-        {
-          mobile: values.mobile,
-          password: values.password,
-        },
-      );
+      const data = await authApi.login({
+        mobile,
+        password: values.password,
+      });
+
+      if (data?.twoFactorRequired) {
+        setChallenge({ token: data.challengeToken, mobile });
+        return;
+      }
+      finishLogin(data, mobile);
+    } catch (err) {
+      handleFailure(err, mobile, "Invalid mobile number or password");
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      const data = response.data;
+  const onVerifyCode = async (values) => {
+    if (checkBackoff(challenge.mobile)) return;
 
-      localStorage.setItem("token", data.token);
-      localStorage.setItem("user", JSON.stringify(data));
+    setLoading(true);
+    setError("");
+    setAttemptsLeft(null);
 
-      navigate("/reports");
+    try {
+      const data = await authApi.verifyTwoFactor({
+        challengeToken: challenge.token,
+        code: values.code.trim(),
+      });
+      finishLogin(data, challenge.mobile);
     } catch (err) {
-      console.error(err);
-      setError(
-        err.response?.data?.message || "Invalid mobile number or password",
-      );
+      // The challenge only lives a few minutes; start over with the password
+      if (err?.response?.status === 410) {
+        setChallenge(null);
+        setError("Verification timed out. Please log in again.");
+        return;
+      }
+      handleFailure(err, challenge.mobile, "Incorrect code");
     } finally {
       setLoading(false);
     }
   };
 
+  const backToPassword = () => {
+    setChallenge(null);
+    setUseBackupCode(false);
+    setError("");
+    setAttemptsLeft(null);
+  };
+
   return (
     <ConfigProvider
       theme={{
@@ -83,13 +193,34 @@ const Login = () => {
               <Title level={3} style={{ margin: 0, color: "#1a1a1a" }}>
                 Admin Login
               </Title>
-              <Text type="secondary">Sign in to Sirivaram Admin Panel</Text>
+              <Text type="secondary">
+                {challenge
+                  ? "Two-step verification"
+                  : "Sign in to Sirivaram Admin Panel"}
+              </Text>
             </div>
 
+            {/* Session notice */}
+            {notice && !error && (
+              <Alert
+                message={notice}
+                type="warning"
+                showIcon
+                style={{ borderRadius: 8 }}
+              />
+            )}
+
             {/* Error */}
             {error && (
               <Alert
                 message={error}
+                description={
+                  locked && waitSeconds > 0
+                    ? `Try again in ${fmtWait(waitSeconds)}.`
+                    : attemptsLeft !== null
+                      ? `${attemptsLeft} attempt${attemptsLeft === 1 ? "" : "s"} left before this account is locked.`
+                      : undefined
+                }
                 type="error"
                 showIcon
                 style={{ borderRadius: 8 }}
@@ -97,45 +228,110 @@ const Login = () => {
             )}
 
             {/* Form */}
-            <Form layout="vertical" onFinish={onFinish}>
-              <Form.Item
-                label="Mobile Number"
-                name="mobile"
-                rules={[
-                  { required: true, message: "Please enter mobile number" },
-                ]}
-              >
-                <Input
-                  prefix={<UserOutlined />}
-                  placeholder="Enter mobile number"
-                  size="large"
-                />
-              </Form.Item>
-
-              <Form.Item
-                label="Password"
-                name="password"
-                rules={[{ required: true, message: "Please enter password" }]}
-              >
-                <Input.Password
-                  prefix={<LockOutlined />}
-                  placeholder="Enter password"
-                  size="large"
-                />
-              </Form.Item>
-
-              <Form.Item>
-                <Button
-                  type="primary"
-                  htmlType="submit"
-                  block
-                  size="large"
-                  loading={loading}
+            {challenge ? (
+              <Form key="code" layout="vertical" onFinish={onVerifyCode}>
+                <Form.Item
+                  label={useBackupCode ? "Backup Code" : "Authentication Code"}
+                  name="code"
+                  extra={
+                    useBackupCode
+                      ? "Each backup code can be used once."
+                      : "Open your authenticator app and enter the 6-digit code."
+                  }
+                  rules={[
+                    { required: true, message: "Please enter the code" },
+                    useBackupCode
+                      ? { min: 6, message: "Enter the full backup code" }
+                      : { pattern: /^\d{6}$/, message: "Enter the 6-digit code" },
+                  ]}
                 >
-                  Login
-                </Button>
-              </Form.Item>
-            </Form>
+                  <Input
+                    prefix={<SafetyOutlined />}
+                    placeholder={useBackupCode ? "Backup code" : "123456"}
+                    size="large"
+                    autoFocus
+                    autoComplete="one-time-code"
+                    inputMode={useBackupCode ? "text" : "numeric"}
+                    maxLength={useBackupCode ? 20 : 6}
+                  />
+                </Form.Item>
+
+                <Form.Item>
+                  <Button
+                    type="primary"
+                    htmlType="submit"
+                    block
+                    size="large"
+                    loading={loading}
+                    disabled={waitSeconds > 0}
+                  >
+                    {waitSeconds > 0
+                      ? `Try again in ${fmtWait(waitSeconds)}`
+                      : "Verify"}
+                  </Button>
+                </Form.Item>
+
+                <div style={{ display: "flex", justifyContent: "space-between" }}>
+                  <Button type="link" style={{ padding: 0 }} onClick={backToPassword}>
+                    Back
+                  </Button>
+                  <Button
+                    type="link"
+                    style={{ padding: 0 }}
+                    onClick={() => setUseBackupCode((v) => !v)}
+                  >
+                    {useBackupCode ? "Use authenticator app" : "Use a backup code"}
+                  </Button>
+                </div>
+              </Form>
+            ) : (
+              <Form key="password" layout="vertical" onFinish={onFinish}>
+                <Form.Item
+                  label="Mobile Number"
+                  name="mobile"
+                  rules={[
+                    { required: true, message: "Please enter mobile number" },
+                  ]}
+                >
+                  <Input
+                    prefix={<UserOutlined />}
+                    placeholder="Enter mobile number"
+                    size="large"
+                  />
+                </Form.Item>
+
+                <Form.Item
+                  label="Password"
+                  name="password"
+                  rules={[{ required: true, message: "Please enter password" }]}
+                >
+                  <Input.Password
+                    prefix={<LockOutlined />}
+                    placeholder="Enter password"
+                    size="large"
+                  />
+                </Form.Item>
+
+                <div style={{ textAlign: "right", marginTop: -12, marginBottom: 16 }}>
+                  <Link to="/forgot-password">Forgot password?</Link>
+                </div>
+
+                <Form.Item>
+                  <Button
+                    type="primary"
+                    htmlType="submit"
+                    block
+                    size="large"
+                    loading={loading}
+                    disabled={waitSeconds > 0}
+                  >
+                    {waitSeconds > 0
+                      ? `Try again in ${fmtWait(waitSeconds)}`
+                      : "Login"}
+                  </Button>
+                </Form.Item>
+              </Form>
+            )}
 
             {/* Register Link */}
             {/* <div style={{ textAlign: "center" }}>
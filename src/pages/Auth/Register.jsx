@@ -1,6 +1,5 @@
-import React, { useState } from "react";
-import { useNavigate, Link } from "react-router-dom";
-import axios from "axios";
+import React, { useCallback, useEffect, useState } from "react";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
 import {
   Alert,
   Button,
@@ -18,30 +17,84 @@ import {
   LockOutlined,
   HomeOutlined,
   EnvironmentOutlined,
+  KeyOutlined,
 } from "@ant-design/icons";
+import { authApi, getErrorMessage, invitesApi } from "../../api";
+import { ROLE_LABELS } from "../../auth/permissions";
 
 const { Title, Text } = Typography;
 
+const INVITE_REQUIRED =
+  "Registration needs a valid invite code from an existing admin.";
+
 const Register = () => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [form] = Form.useForm();
 
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
 
+  // { status: "idle" | "checking" | "valid" | "invalid", code, role, message }
+  const [invite, setInvite] = useState({ status: "idle" });
+
+  const checkInvite = useCallback(
+    async (rawCode) => {
+      const code = String(rawCode || "").trim();
+      if (!code) {
+        setInvite({ status: "invalid", message: INVITE_REQUIRED });
+        return;
+      }
+
+      setInvite({ status: "checking", code });
+      try {
+        const result = await invitesApi.validate(code);
+        if (result?.valid && result.role) {
+          setInvite({ status: "valid", code, role: result.role });
+        } else {
+          setInvite({
+            status: "invalid",
+            code,
+            message: result?.message || "This invite is invalid or has expired.",
+          });
+        }
+      } catch (err) {
+        setInvite({
+          status: "invalid",
+          code,
+          message: getErrorMessage(
+            err,
+            "This invite is invalid, already used or expired.",
+          ),
+        });
+      }
+    },
+    [],
+  );
+
+  // Invite links look like /register?invite=CODE
+  useEffect(() => {
+    const code = searchParams.get("invite");
+    if (code) {
+      form.setFieldsValue({ inviteCode: code });
+      checkInvite(code);
+    }
+  }, [searchParams, form, checkInvite]);
+
   const onFinish = async (values) => {
-    setLoading(true);
     setError("");
     setSuccess("");
 
+    if (invite.status !== "valid") {
+      setError(INVITE_REQUIRED);
+      return;
+    }
+
+    setLoading(true);
     try {
-      await axios.post(
-        "https://sirivaram-backed.onrender.com/api/auth/register",
-        {
-          ...values,
-          role: "ADMIN",
-        },
-      );
+      // No role in the payload: the backend grants the one on the invite
+      await authApi.register({ ...values, inviteCode: invite.code });
 
       setSuccess("Registration successful! Please login.");
       setTimeout(() => navigate("/login"), 1500);
@@ -107,8 +160,40 @@ const Register = () => {
               />
             )}
 
+            {invite.status === "invalid" && (
+              <Alert
+                message={invite.message}
+                type="warning"
+                showIcon
+                style={{ borderRadius: 8 }}
+              />
+            )}
+
             {/* Form */}
-            <Form layout="vertical" onFinish={onFinish}>
+            <Form form={form} layout="vertical" onFinish={onFinish}>
+              <Form.Item
+                label="Invite Code"
+                name="inviteCode"
+                rules={[{ required: true, message: "Please enter invite code" }]}
+                extra={
+                  invite.status === "valid"
+                    ? `Invite verified: you will join as ${
+                        ROLE_LABELS[invite.role] || invite.role
+                      }`
+                    : "Ask an existing admin for an invite link or code"
+                }
+              >
+                <Input.Search
+                  prefix={<KeyOutlined />}
+                  placeholder="Invite Code"
+                  size="large"
+                  enterButton="Verify"
+                  loading={invite.status === "checking"}
+                  onChange={() => setInvite({ status: "idle" })}
+                  onSearch={checkInvite}
+                />
+              </Form.Item>
+
               <Form.Item
                 label="Full Name"
                 name="name"
@@ -178,6 +263,7 @@ const Register = () => {
                   block
                   size="large"
                   loading={loading}
+                  disabled={invite.status !== "valid"}
                 >
                   Register
                 </Button>
@@ -21,7 +21,6 @@ import {
   Space,
   Spin,
   Switch,
-  Table,
   Tag,
   Tooltip,
   Typography,
@@ -43,14 +42,14 @@ import {
   CheckCircleOutlined,
   ClockCircleOutlined,
 } from "@ant-design/icons";
+import { blogsApi, getErrorMessage, isSessionExpiredError } from "../../api";
+import useTableSettings from "../../hooks/useTableSettings";
+import ConfigurableTable from "../../components/ConfigurableTable";
 
 const { Title, Text } = Typography;
 const { useBreakpoint } = Grid;
 const { TextArea } = Input;
 
-const BLOG_API = "https://sirivaram-backed.onrender.com/api/blogs";
-const ADMIN_BLOG_API = "https://sirivaram-backed.onrender.com/api/admin/blogs";
-
 const emptyForm = {
   id: null,
   title: "",
@@ -114,7 +113,8 @@ export default function AdminBlogs() {
   const debouncedSearch = useDebouncedValue(search);
 
   const [page, setPage] = useState(1);
-  const [pageSize, setPageSize] = useState(10);
+  const tableSettings = useTableSettings("blogs");
+  const { pageSize } = tableSettings;
 
   const [modalOpen, setModalOpen] = useState(false);
   const [mode, setMode] = useState("create");
@@ -132,26 +132,15 @@ export default function AdminBlogs() {
     };
   }, []);
 
-  const getAuthHeaders = () => {
-    const token = localStorage.getItem("token");
-    return token ? { Authorization: `Bearer ${token}` } : {};
-  };
-
   const fetchItems = useCallback(async () => {
     setPageLoading(true);
     setError("");
     try {
-      const res = await fetch(BLOG_API, {
-        headers: { ...getAuthHeaders() },
-      });
-
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-
-      const data = await res.json();
-      const list = Array.isArray(data) ? data : [];
+      const list = await blogsApi.list();
       if (aliveRef.current) setItems(list);
     } catch (err) {
-      setError(err.message || "Failed to load blogs");
+      if (isSessionExpiredError(err)) return;
+      setError(getErrorMessage(err, "Failed to load blogs"));
       if (aliveRef.current) setItems([]);
     } finally {
       if (aliveRef.current) {
@@ -216,9 +205,6 @@ export default function AdminBlogs() {
     setSaveLoading(true);
     try {
       const isEdit = mode === "edit";
-      const url = isEdit ? `${ADMIN_BLOG_API}/${form.id}` : ADMIN_BLOG_API;
-      const method = isEdit ? "PUT" : "POST";
-
       const payload = {
         title: trimOrEmpty(form.title),
         description: trimOrEmpty(form.description),
@@ -228,25 +214,15 @@ export default function AdminBlogs() {
         isActive: Boolean(form.isActive),
       };
 
-      const res = await fetch(url, {
-        method,
-        headers: {
-          "Content-Type": "application/json",
-          ...getAuthHeaders(),
-        },
-        body: JSON.stringify(payload),
-      });
-
-      if (!res.ok) {
-        const txt = await res.text().catch(() => "");
-        throw new Error(`Save failed - ${res.status}${txt ? ` ${txt}` : ""}`);
-      }
+      if (isEdit) await blogsApi.update(form.id, payload);
+      else await blogsApi.create(payload);
 
       message.success(isEdit ? "Blog updated" : "Blog created");
       setModalOpen(false);
       fetchItems();
     } catch (e) {
-      message.error(e.message || "Operation failed");
+      if (isSessionExpiredError(e)) return;
+      message.error(getErrorMessage(e, "Operation failed"));
     } finally {
       if (aliveRef.current) setSaveLoading(false);
     }
@@ -260,14 +236,11 @@ export default function AdminBlogs() {
       onOk: async () => {
         setDeleteLoadingId(id);
         try {
-          const res = await fetch(`${ADMIN_BLOG_API}/${id}`, {
-            method: "DELETE",
-            headers: getAuthHeaders(),
-          });
-          if (!res.ok) throw new Error("Delete failed");
+          await blogsApi.remove(id);
           message.success("Deleted successfully");
           fetchItems();
-        } catch {
+        } catch (err) {
+          if (isSessionExpiredError(err)) return;
           message.error("Could not delete");
         } finally {
           if (aliveRef.current) setDeleteLoadingId(null);
@@ -279,21 +252,14 @@ export default function AdminBlogs() {
   const toggleActive = async (item, next) => {
     setToggleLoadingId(item.id);
     try {
-      const res = await fetch(`${ADMIN_BLOG_API}/${item.id}`, {
-        method: "PUT",
-        headers: {
-          "Content-Type": "application/json",
-          ...getAuthHeaders(),
-        },
-        body: JSON.stringify({
-          ...item,
-          isActive: next,
-        }),
+      await blogsApi.update(item.id, {
+        ...item,
+        isActive: next,
       });
-      if (!res.ok) throw new Error();
       message.success(next ? "Activated" : "Deactivated");
       fetchItems();
-    } catch {
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
       message.error("Status update failed");
     } finally {
       if (aliveRef.current) setToggleLoadingId(null);
@@ -335,7 +301,8 @@ export default function AdminBlogs() {
     () => [
       {
         title: "S.No",
-      
+        key: "sno",
+        hideable: false,
         align: "center",
         
         render: (_, __, idx) => (page - 1) * pageSize + idx + 1,
@@ -363,13 +330,14 @@ export default function AdminBlogs() {
       },
       {
         title: "Media",
+        key: "media",
       align:"center",
        
         render: (_, item) => mediaCell(item),
       },
       {
         title: "Status",
-      
+        key: "isActive",
         align: "center",
       
         render: (_, item) => (
@@ -386,7 +354,8 @@ export default function AdminBlogs() {
       },
       {
         title: "Actions",
-  
+        key: "actions",
+        hideable: false,
         align: "center",
         
         render: (_, item) => (
@@ -498,11 +467,16 @@ export default function AdminBlogs() {
           {firstLoad ? (
             <Skeleton active paragraph={{ rows: 8 }} />
           ) : (
-            <Table
+            <ConfigurableTable
+              settings={tableSettings}
+              viewState={{ search: search.trim() }}
+              onApplyView={(state) => {
+                setSearch(state.search || "");
+                setPage(1);
+              }}
               columns={columns}
               dataSource={filtered}
               rowKey="id"
-          
               scroll={{ x: "100%" }}
               loading={pageLoading}
               pagination={{
@@ -511,7 +485,7 @@ export default function AdminBlogs() {
                 showSizeChanger: true,
                 onChange: (p, ps) => {
                   setPage(p);
-                  setPageSize(ps);
+                  if (ps !== pageSize) tableSettings.update({ pageSize: ps });
                 },
                 showTotal: (total, range) =>
                   `${range[0]}-${range[1]} of ${total}`,
@@ -5,7 +5,6 @@ import React, {
   useRef,
   useState,
 } from "react";
-import axios from "axios";
 import dayjs from "dayjs"; // ← fixed: missing import
 import {
   Button,
@@ -22,7 +21,6 @@ import {
   Row,
   Space,
   Switch,
-  Table,
   Tag,
   Tooltip,
   Typography,
@@ -41,14 +39,16 @@ import {
   DollarOutlined,
   ExclamationCircleOutlined,
 } from "@ant-design/icons";
+import { eventsApi, getErrorMessage, isSessionExpiredError } from "../../api";
+import usePermissions from "../../auth/usePermissions";
+import useTableSettings from "../../hooks/useTableSettings";
+import ConfigurableTable from "../../components/ConfigurableTable";
+import { PERMISSIONS } from "../../auth/permissions";
 
 const { Title, Text } = Typography;
 const { useBreakpoint } = Grid;
 const { TextArea } = Input;
 
-const API_PUBLIC = "https://sirivaram-backed.onrender.com/api/events";
-const API_ADMIN = "https://sirivaram-backed.onrender.com/api/admin/events";
-
 const emptyForm = {
   id: null,
   title: "",
@@ -100,6 +100,10 @@ export default function AdminEvents() {
   const screens = useBreakpoint();
   const isMobile = !screens.md;
   const isSmall = !screens.sm;
+  const { can } = usePermissions();
+  const canManage = can(PERMISSIONS.MANAGE_EVENTS);
+  // Treasurers may only touch ticket price, income and expense
+  const canEditFinances = canManage || can(PERMISSIONS.EDIT_EVENT_FINANCES);
 
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -110,7 +114,8 @@ export default function AdminEvents() {
   const debouncedSearch = useDebouncedValue(search);
 
   const [page, setPage] = useState(1);
-  const [pageSize, setPageSize] = useState(10);
+  const tableSettings = useTableSettings("events");
+  const { pageSize } = tableSettings;
 
   const [modalOpen, setModalOpen] = useState(false);
   const [mode, setMode] = useState("create");
@@ -128,17 +133,12 @@ export default function AdminEvents() {
     };
   }, []);
 
-  const getHeaders = () => {
-    const token = localStorage.getItem("token");
-    return token ? { Authorization: `Bearer ${token}` } : {};
-  };
-
   const fetchEvents = useCallback(async () => {
     setLoading(true);
     try {
-      const res = await axios.get(API_PUBLIC, { headers: getHeaders() });
-      setEvents(Array.isArray(res.data) ? res.data : []);
+      setEvents(await eventsApi.list());
     } catch (err) {
+      if (isSessionExpiredError(err)) return;
       message.error("Failed to load events");
       setEvents([]);
     } finally {
@@ -207,9 +207,6 @@ export default function AdminEvents() {
     setSaveLoading(true);
     try {
       const isEdit = mode === "edit";
-      const url = isEdit ? `${API_ADMIN}/${form.id}` : API_ADMIN;
-      const method = isEdit ? "PUT" : "POST";
-
       const payload = {
         title: trimOrEmpty(form.title),
         description: trimOrEmpty(form.description),
@@ -224,13 +221,15 @@ export default function AdminEvents() {
         isPublic: !!form.isPublic,
       };
 
-      await axios({ url, method, data: payload, headers: getHeaders() });
+      if (isEdit) await eventsApi.update(form.id, payload);
+      else await eventsApi.create(payload);
 
       message.success(isEdit ? "Event updated" : "Event created");
       setModalOpen(false);
       fetchEvents();
     } catch (err) {
-      message.error(err.response?.data?.message || "Save failed");
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Save failed"));
     } finally {
       if (alive.current) setSaveLoading(false);
     }
@@ -245,10 +244,11 @@ export default function AdminEvents() {
       onOk: async () => {
         setDeleteId(id);
         try {
-          await axios.delete(`${API_ADMIN}/${id}`, { headers: getHeaders() });
+          await eventsApi.remove(id);
           message.success("Event deleted");
           fetchEvents();
-        } catch {
+        } catch (err) {
+          if (isSessionExpiredError(err)) return;
           message.error("Delete failed");
         } finally {
           if (alive.current) setDeleteId(null);
@@ -261,6 +261,8 @@ export default function AdminEvents() {
     () => [
       {
         title: "S.No",
+        key: "sno",
+        hideable: false,
         align: "center",
         render: (_, __, idx) => (page - 1) * pageSize + idx + 1,
       },
@@ -280,6 +282,7 @@ export default function AdminEvents() {
       },
       {
         title: "Dates",
+        key: "dates",
         align: "center",
         render: (_, ev) => (
           <Space direction="vertical" size={0}>
@@ -307,11 +310,13 @@ export default function AdminEvents() {
       },
       {
         title: "Ticket",
+        key: "ticketPrice",
         align: "center",
         render: (_, ev) => <Text strong>{fmtINR(ev.ticketPrice)}</Text>,
       },
       {
         title: "Visibility",
+        key: "isPublic",
         align: "center",
         render: (_, ev) =>
           ev.isPublic ? (
@@ -322,31 +327,37 @@ export default function AdminEvents() {
       },
       {
         title: "Actions",
+        key: "actions",
+        hideable: false,
         align: "center",
         render: (_, ev) => (
           <Space size="small">
         
-            <Tooltip title="Edit">
-              <Button
-                type="text"
-                icon={<EditOutlined />}
-                onClick={() => openEdit(ev)}
-              />
-            </Tooltip>
-            <Tooltip title="Delete">
-              <Button
-                type="text"
-                danger
-                icon={<DeleteOutlined />}
-                loading={deleteId === ev.id}
-                onClick={() => remove(ev.id)}
-              />
-            </Tooltip>
+            {canEditFinances && (
+              <Tooltip title={canManage ? "Edit" : "Edit finances"}>
+                <Button
+                  type="text"
+                  icon={<EditOutlined />}
+                  onClick={() => openEdit(ev)}
+                />
+              </Tooltip>
+            )}
+            {canManage && (
+              <Tooltip title="Delete">
+                <Button
+                  type="text"
+                  danger
+                  icon={<DeleteOutlined />}
+                  loading={deleteId === ev.id}
+                  onClick={() => remove(ev.id)}
+                />
+              </Tooltip>
+            )}
           </Space>
         ),
       },
     ],
-    [page, pageSize, deleteId]
+    [page, pageSize, deleteId, canManage, canEditFinances]
   );
 
  
@@ -395,16 +406,18 @@ export default function AdminEvents() {
         />
       </Col>
 
-      <Col xs={12} sm={5} md={5}>
-        <Button
-          type="primary"
-          icon={<PlusOutlined />}
-          onClick={openCreate}
-          block
-        >
-          {!isSmall && "New Event"}
-        </Button>
-      </Col>
+      {canManage && (
+        <Col xs={12} sm={5} md={5}>
+          <Button
+            type="primary"
+            icon={<PlusOutlined />}
+            onClick={openCreate}
+            block
+          >
+            {!isSmall && "New Event"}
+          </Button>
+        </Col>
+      )}
 
       <Col xs={12} sm={5} md={5}>
         <Button
@@ -423,7 +436,13 @@ export default function AdminEvents() {
 
           <Divider style={{ margin: "16px 0" }} />
 
-          <Table
+          <ConfigurableTable
+            settings={tableSettings}
+            viewState={{ search: search.trim() }}
+            onApplyView={(state) => {
+              setSearch(state.search || "");
+              setPage(1);
+            }}
             columns={columns}
             dataSource={filteredEvents}
             rowKey={(r) => r.id || `${r.title}-${r.startDate}`}
@@ -436,7 +455,7 @@ export default function AdminEvents() {
                 showSizeChanger: true,
                 onChange: (p, ps) => {
                   setPage(p);
-                  setPageSize(ps);
+                  if (ps !== pageSize) tableSettings.update({ pageSize: ps });
                 },
                 showTotal: (total, range) =>
                   `${range[0]}-${range[1]} of ${total}`,
@@ -468,7 +487,7 @@ export default function AdminEvents() {
                     value={form.title}
                     onChange={(e) => setForm((p) => ({ ...p, title: e.target.value }))}
                     placeholder="e.g. Annual Sports Meet 2025"
-                    disabled={saveLoading}
+                    disabled={saveLoading || !canManage}
                   />
                 </Form.Item>
               </Col>
@@ -481,7 +500,7 @@ export default function AdminEvents() {
                     value={form.year}
                     onChange={(v) => setForm((p) => ({ ...p, year: toNumber(v) }))}
                     style={{ width: "100%" }}
-                    disabled={saveLoading}
+                    disabled={saveLoading || !canManage}
                   />
                 </Form.Item>
               </Col>
@@ -493,7 +512,7 @@ export default function AdminEvents() {
                     value={form.startDate}
                     onChange={(v) => setForm((p) => ({ ...p, startDate: v }))}
                     disabledDate={(d) => d && form.endDate && d.isAfter(form.endDate)}
-                    disabled={saveLoading}
+                    disabled={saveLoading || !canManage}
                   />
                 </Form.Item>
               </Col>
@@ -505,7 +524,7 @@ export default function AdminEvents() {
                     value={form.endDate}
                     onChange={(v) => setForm((p) => ({ ...p, endDate: v }))}
                     disabledDate={(d) => d && form.startDate && d.isBefore(form.startDate)}
-                    disabled={saveLoading}
+                    disabled={saveLoading || !canManage}
                   />
                 </Form.Item>
               </Col>
@@ -517,7 +536,7 @@ export default function AdminEvents() {
                     value={form.venue}
                     onChange={(e) => setForm((p) => ({ ...p, venue: e.target.value }))}
                     placeholder="e.g. School Ground, Hyderabad"
-                    disabled={saveLoading}
+                    disabled={saveLoading || !canManage}
                   />
                 </Form.Item>
               </Col>
@@ -566,7 +585,7 @@ export default function AdminEvents() {
                     onChange={(v) => setForm((p) => ({ ...p, isPublic: v }))}
                     checkedChildren="Public"
                     unCheckedChildren="Private"
-                    disabled={saveLoading}
+                    disabled={saveLoading || !canManage}
                   />
                 </Form.Item>
               </Col>
@@ -578,7 +597,7 @@ export default function AdminEvents() {
                     value={form.qrImageUrl}
                     onChange={(e) => setForm((p) => ({ ...p, qrImageUrl: e.target.value }))}
                     placeholder="https://..."
-                    disabled={saveLoading}
+                    disabled={saveLoading || !canManage}
                   />
                 </Form.Item>
               </Col>
@@ -590,7 +609,7 @@ export default function AdminEvents() {
                     value={form.description}
                     onChange={(e) => setForm((p) => ({ ...p, description: e.target.value }))}
                     placeholder="Event details, highlights, instructions..."
-                    disabled={saveLoading}
+                    disabled={saveLoading || !canManage}
                   />
                 </Form.Item>
               </Col>
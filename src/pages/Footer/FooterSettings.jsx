@@ -1,11 +1,9 @@
 import React, {
   useCallback,
   useEffect,
-  useMemo,
   useRef,
   useState,
 } from "react";
-import axios from "axios";
 import {
   Alert,
   Button,
@@ -29,13 +27,11 @@ import {
   SaveOutlined,
   ExclamationCircleOutlined,
 } from "@ant-design/icons";
+import { footerApi, getErrorMessage, isSessionExpiredError } from "../../api";
 
 const { Title, Text } = Typography;
 const { useBreakpoint } = Grid;
 
-const GET_FOOTER_URL = "https://sirivaram-backed.onrender.com/api/footer";
-const ADMIN_PUT_URL = "https://sirivaram-backed.onrender.com/api/admin/footer";
-
 const safeStr = (v) => (typeof v === "string" ? v : "");
 
 const normalize = (data) => ({
@@ -67,52 +63,30 @@ export default function FooterSettings() {
     };
   }, []);
 
-  const getToken = () => localStorage.getItem("token");
-
-  const authHeaders = useMemo(() => {
-    const token = getToken();
-    return token ? { Authorization: `Bearer ${token}` } : {};
-  }, []);
-
   const loadFooter = useCallback(async () => {
     setLoading(true);
     setApiError("");
 
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 15000);
-
     try {
-      const res = await axios.get(GET_FOOTER_URL, {
-        headers: { ...authHeaders },
-        signal: controller.signal,
-      });
-
-      const data = normalize(res.data || {});
+      const data = normalize((await footerApi.get()) || {});
       if (aliveRef.current) {
         form.setFieldsValue(data);
       }
     } catch (e) {
-      const msg =
-        e?.name === "CanceledError"
-          ? "Request cancelled"
-          : e?.name === "AbortError"
-          ? "Request timed out. Please try again."
-          : e?.response?.data?.message ||
-            e?.message ||
-            "Failed to load footer details.";
+      if (isSessionExpiredError(e)) return;
+      const msg = getErrorMessage(e, "Failed to load footer details.");
 
       if (aliveRef.current) {
         setApiError(msg);
         form.setFieldsValue(normalize({}));
       }
     } finally {
-      clearTimeout(timeout);
       if (aliveRef.current) {
         setLoading(false);
         setFirstLoad(false);
       }
     }
-  }, [authHeaders, form]);
+  }, [form]);
 
   useEffect(() => {
     loadFooter();
@@ -150,21 +124,14 @@ export default function FooterSettings() {
         twitter: safeStr(values.twitter).trim(), // ✅ added
       };
 
-      await axios.put(ADMIN_PUT_URL, payload, {
-        headers: {
-          "Content-Type": "application/json",
-          ...authHeaders,
-        },
-      });
+      await footerApi.update(payload);
 
       message.success("Footer details saved successfully");
       await loadFooter();
     } catch (e) {
+      if (isSessionExpiredError(e)) return;
       const msg =
-        e?.errorFields?.[0]?.errors?.[0] ||
-        e?.response?.data?.message ||
-        e?.message ||
-        "Save failed";
+        e?.errorFields?.[0]?.errors?.[0] || getErrorMessage(e, "Save failed");
 
       if (aliveRef.current) setApiError(String(msg));
       message.error(String(msg));
@@ -21,7 +21,6 @@ import {
   Row,
   Space,
   Spin,
-  Table,
   Tag,
   Tooltip,
   Typography,
@@ -40,14 +39,14 @@ import {
   VideoCameraOutlined,
   CalendarOutlined,
 } from "@ant-design/icons";
+import { galleryApi, getErrorMessage, isSessionExpiredError } from "../../api";
+import useTableSettings from "../../hooks/useTableSettings";
+import ConfigurableTable from "../../components/ConfigurableTable";
 
 const { Title, Text } = Typography;
 const { useBreakpoint } = Grid;
 const { TextArea } = Input;
 
-const API_PUBLIC = "https://sirivaram-backed.onrender.com/api/gallery";
-const API_ADMIN  = "https://sirivaram-backed.onrender.com/api/admin/gallery";
-
 const safeText = (v) => (typeof v === "string" ? v : "");
 const trimOrEmpty = (v) => safeText(v).trim();
 const toNumber = (v) => Number(v) || 0;
@@ -96,7 +95,8 @@ export default function AdminGallery() {
   const debouncedSearch = useDebouncedValue(search);
 
   const [page, setPage] = useState(1);
-  const [pageSize, setPageSize] = useState(10);
+  const tableSettings = useTableSettings("gallery");
+  const { pageSize } = tableSettings;
 
   const [modalOpen, setModalOpen] = useState(false);
   const [mode, setMode] = useState("create"); // "create" | "edit"
@@ -112,19 +112,13 @@ export default function AdminGallery() {
     return () => { alive.current = false; };
   }, []);
 
-  const getHeaders = () => {
-    const token = localStorage.getItem("token");
-    return token ? { Authorization: `Bearer ${token}` } : {};
-  };
-
   const fetchItems = useCallback(async () => {
     setLoading(true);
     try {
-      const res = await fetch(API_PUBLIC, { headers: getHeaders() });
-      if (!res.ok) throw new Error(`Status ${res.status}`);
-      const data = await res.json();
-      if (alive.current) setItems(Array.isArray(data) ? data : []);
+      const list = await galleryApi.list();
+      if (alive.current) setItems(list);
     } catch (err) {
+      if (isSessionExpiredError(err)) return;
       message.error("Could not load gallery items");
       if (alive.current) setItems([]);
     } finally {
@@ -185,9 +179,6 @@ export default function AdminGallery() {
     setSaveLoading(true);
     try {
       const isEdit = mode === "edit";
-      const url = isEdit ? `${API_ADMIN}/${form.id}` : API_ADMIN;
-      const method = isEdit ? "PUT" : "POST";
-
       const payload = {
         title: trimOrEmpty(form.title),
         description: trimOrEmpty(form.description),
@@ -196,22 +187,15 @@ export default function AdminGallery() {
         year: toNumber(form.year),
       };
 
-      const res = await fetch(url, {
-        method,
-        headers: { "Content-Type": "application/json", ...getHeaders() },
-        body: JSON.stringify(payload),
-      });
-
-      if (!res.ok) {
-        const txt = await res.text().catch(() => "");
-        throw new Error(`Save failed (${res.status})${txt ? ` – ${txt}` : ""}`);
-      }
+      if (isEdit) await galleryApi.update(form.id, payload);
+      else await galleryApi.create(payload);
 
       message.success(isEdit ? "Item updated" : "Item created");
       setModalOpen(false);
       fetchItems();
     } catch (err) {
-      message.error(err.message || "Operation failed");
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Operation failed"));
     } finally {
       if (alive.current) setSaveLoading(false);
     }
@@ -225,14 +209,11 @@ export default function AdminGallery() {
       onOk: async () => {
         setDeleteId(id);
         try {
-          const res = await fetch(`${API_ADMIN}/${id}`, {
-            method: "DELETE",
-            headers: getHeaders(),
-          });
-          if (!res.ok) throw new Error();
+          await galleryApi.remove(id);
           message.success("Deleted successfully");
           fetchItems();
-        } catch {
+        } catch (err) {
+          if (isSessionExpiredError(err)) return;
           message.error("Delete failed");
         } finally {
           if (alive.current) setDeleteId(null);
@@ -244,7 +225,8 @@ export default function AdminGallery() {
   const columns = useMemo(() => [
     {
       title: "S.No",
-     
+      key: "sno",
+      hideable: false,
       align: "center",
     
       render: (_, __, idx) => (page - 1) * pageSize + idx + 1,
@@ -272,6 +254,7 @@ export default function AdminGallery() {
     },
     {
       title: "Media",
+      key: "media",
      align: "center",
      
       render: (_, item) => {
@@ -305,7 +288,8 @@ export default function AdminGallery() {
     },
     {
       title: "Actions",
-    
+      key: "actions",
+      hideable: false,
       align: "center",
      
       render: (_, item) => (
@@ -395,7 +379,13 @@ export default function AdminGallery() {
 
           <Divider style={{ margin: "16px 0" }} />
 
-          <Table
+          <ConfigurableTable
+            settings={tableSettings}
+            viewState={{ search: search.trim() }}
+            onApplyView={(state) => {
+              setSearch(state.search || "");
+              setPage(1);
+            }}
             columns={columns}
             dataSource={filteredItems}
             rowKey={r => r.id || `${r.title}-${r.year}`}
@@ -408,7 +398,7 @@ export default function AdminGallery() {
                 showSizeChanger: true,
                 onChange: (p, ps) => {
                   setPage(p);
-                  setPageSize(ps);
+                  if (ps !== pageSize) tableSettings.update({ pageSize: ps });
                 },
                 showTotal: (total, range) =>
                   `${range[0]}-${range[1]} of ${total}`,
@@ -0,0 +1,358 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  Alert,
+  Button,
+  Card,
+  Col,
+  ConfigProvider,
+  Divider,
+  Form,
+  Grid,
+  Input,
+  Modal,
+  Row,
+  Select,
+  Skeleton,
+  Space,
+  Table,
+  Tag,
+  Tooltip,
+  Typography,
+  message,
+} from "antd";
+import {
+  ReloadOutlined,
+  UserAddOutlined,
+  CopyOutlined,
+  StopOutlined,
+  ExclamationCircleOutlined,
+} from "@ant-design/icons";
+import {
+  getErrorMessage,
+  invitesApi,
+  isSessionExpiredError,
+} from "../../api";
+import { ROLE_LABELS, ROLE_OPTIONS } from "../../auth/permissions";
+
+const { Title, Text } = Typography;
+const { useBreakpoint } = Grid;
+
+const EXPIRY_OPTIONS = [
+  { value: 24, label: "24 hours" },
+  { value: 72, label: "3 days" },
+  { value: 168, label: "7 days" },
+];
+
+const fmtDateTime = (iso) =>
+  iso
+    ? new Date(iso).toLocaleString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "-";
+
+const inviteLink = (code) =>
+  `${window.location.origin}/register?invite=${encodeURIComponent(code)}`;
+
+const inviteStatus = (invite) => {
+  if (invite.status) return String(invite.status).toUpperCase();
+  if (invite.revokedAt) return "REVOKED";
+  if (invite.usedAt) return "USED";
+  if (invite.expiresAt && new Date(invite.expiresAt) <= new Date()) {
+    return "EXPIRED";
+  }
+  return "ACTIVE";
+};
+
+const STATUS_COLORS = {
+  ACTIVE: "processing",
+  USED: "success",
+  EXPIRED: "default",
+  REVOKED: "error",
+};
+
+const copyText = async (text) => {
+  try {
+    await navigator.clipboard.writeText(text);
+    message.success("Invite link copied");
+  } catch {
+    message.warning("Could not copy. Please copy the link manually.");
+  }
+};
+
+export default function AdminInvites() {
+  const screens = useBreakpoint();
+  const isMobile = !screens.md;
+
+  const [form] = Form.useForm();
+
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [firstLoad, setFirstLoad] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [revokingId, setRevokingId] = useState(null);
+  const [lastCreated, setLastCreated] = useState(null);
+
+  const aliveRef = useRef(true);
+  useEffect(() => {
+    aliveRef.current = true;
+    return () => {
+      aliveRef.current = false;
+    };
+  }, []);
+
+  const fetchInvites = useCallback(async () => {
+    setLoading(true);
+    try {
+      const list = await invitesApi.list();
+      if (aliveRef.current) setInvites(list);
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Failed to load invites"));
+    } finally {
+      if (aliveRef.current) {
+        setLoading(false);
+        setFirstLoad(false);
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchInvites();
+  }, [fetchInvites]);
+
+  const createInvite = async (values) => {
+    setCreating(true);
+    try {
+      const invite = await invitesApi.create(values);
+      if (aliveRef.current) setLastCreated(invite);
+      message.success("Invite generated");
+      fetchInvites();
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Could not generate invite"));
+    } finally {
+      if (aliveRef.current) setCreating(false);
+    }
+  };
+
+  const confirmRevoke = useCallback(
+    (invite) => {
+      Modal.confirm({
+        title: "Revoke this invite?",
+        icon: <ExclamationCircleOutlined />,
+        content: "The code will stop working immediately.",
+        okText: "Revoke",
+        okButtonProps: { danger: true },
+        cancelText: "Cancel",
+        onOk: async () => {
+          setRevokingId(invite.id);
+          try {
+            await invitesApi.revoke(invite.id);
+            message.success("Invite revoked");
+            fetchInvites();
+          } catch (err) {
+            if (isSessionExpiredError(err)) return;
+            message.error(getErrorMessage(err, "Revoke failed"));
+          } finally {
+            if (aliveRef.current) setRevokingId(null);
+          }
+        },
+      });
+    },
+    [fetchInvites],
+  );
+
+  const columns = useMemo(
+    () => [
+      {
+        title: "Code",
+        dataIndex: "code",
+        align: "center",
+        render: (v) => (
+          <Text strong style={{ fontFamily: "monospace" }}>
+            {v || "-"}
+          </Text>
+        ),
+      },
+      {
+        title: "Role",
+        dataIndex: "role",
+        align: "center",
+        render: (v) => <Tag color="blue">{ROLE_LABELS[v] || v || "-"}</Tag>,
+      },
+      {
+        title: "Status",
+        align: "center",
+        render: (_, invite) => {
+          const status = inviteStatus(invite);
+          return <Tag color={STATUS_COLORS[status]}>{status}</Tag>;
+        },
+      },
+      {
+        title: "Expires",
+        dataIndex: "expiresAt",
+        align: "center",
+        render: (v) => <Text type="secondary">{fmtDateTime(v)}</Text>,
+        responsive: ["md"],
+      },
+      {
+        title: "Used By",
+        dataIndex: "usedBy",
+        align: "center",
+        render: (v) => v || "-",
+        responsive: ["lg"],
+      },
+      {
+        title: "Actions",
+        align: "center",
+        render: (_, invite) => {
+          const active = inviteStatus(invite) === "ACTIVE";
+          return (
+            <Space size={8}>
+              <Tooltip title="Copy invite link">
+                <Button
+                  size="small"
+                  icon={<CopyOutlined />}
+                  disabled={!active}
+                  onClick={() => copyText(inviteLink(invite.code))}
+                />
+              </Tooltip>
+              <Tooltip title={active ? "Revoke" : "Only active invites"}>
+                <Button
+                  danger
+                  size="small"
+                  icon={<StopOutlined />}
+                  disabled={!active}
+                  loading={revokingId === invite.id}
+                  onClick={() => confirmRevoke(invite)}
+                />
+              </Tooltip>
+            </Space>
+          );
+        },
+      },
+    ],
+    [confirmRevoke, revokingId],
+  );
+
+  return (
+    <ConfigProvider theme={{ token: { borderRadius: 12 } }}>
+      <div style={{ width: "100%", padding: isMobile ? 12 : 24, minHeight: "100vh" }}>
+        <Card
+          bordered={false}
+          style={{ borderRadius: 12, boxShadow: "0 1px 10px rgba(0,0,0,0.06)" }}
+          bodyStyle={{ padding: isMobile ? 12 : 20 }}
+        >
+          <Row gutter={[16, 16]} align="middle">
+            <Col xs={24} md={14}>
+              <Space direction="vertical" size={2}>
+                <Title level={4} style={{ margin: 0 }}>
+                  Admin Invites
+                </Title>
+                <Text type="secondary">
+                  New admins can only register with a single-use invite code.
+                </Text>
+              </Space>
+            </Col>
+            <Col xs={24} md={10}>
+              <Row justify="end">
+                <Col xs={24} sm={12}>
+                  <Button
+                    icon={<ReloadOutlined />}
+                    onClick={fetchInvites}
+                    loading={loading}
+                    block
+                  >
+                    {!isMobile && "Refresh"}
+                  </Button>
+                </Col>
+              </Row>
+            </Col>
+          </Row>
+
+          <Divider style={{ margin: "14px 0" }} />
+
+          <Form
+            form={form}
+            layout={isMobile ? "vertical" : "inline"}
+            initialValues={{ expiresInHours: 72 }}
+            onFinish={createInvite}
+          >
+            <Form.Item
+              label="Role"
+              name="role"
+              rules={[{ required: true, message: "Select a role" }]}
+            >
+              <Select
+                options={ROLE_OPTIONS}
+                placeholder="Role to grant"
+                style={{ minWidth: 200 }}
+              />
+            </Form.Item>
+            <Form.Item label="Valid for" name="expiresInHours">
+              <Select options={EXPIRY_OPTIONS} style={{ minWidth: 140 }} />
+            </Form.Item>
+            <Form.Item>
+              <Button
+                type="primary"
+                htmlType="submit"
+                icon={<UserAddOutlined />}
+                loading={creating}
+                style={{ backgroundColor: "#008cba" }}
+              >
+                Generate Invite
+              </Button>
+            </Form.Item>
+          </Form>
+
+          {lastCreated?.code && (
+            <Alert
+              type="success"
+              showIcon
+              style={{ marginTop: 16, borderRadius: 12 }}
+              message={`Invite for ${ROLE_LABELS[lastCreated.role] || lastCreated.role} created`}
+              description={
+                <Space direction="vertical" style={{ width: "100%" }}>
+                  <Text>
+                    Code: <Text strong copyable>{lastCreated.code}</Text>
+                    {" · "}expires {fmtDateTime(lastCreated.expiresAt)}
+                  </Text>
+                  <Input
+                    readOnly
+                    value={inviteLink(lastCreated.code)}
+                    addonAfter={
+                      <CopyOutlined
+                        onClick={() => copyText(inviteLink(lastCreated.code))}
+                      />
+                    }
+                  />
+                </Space>
+              }
+            />
+          )}
+
+          <div style={{ height: 16 }} />
+
+          {firstLoad ? (
+            <Skeleton active paragraph={{ rows: 6 }} />
+          ) : (
+            <Table
+              columns={columns}
+              dataSource={invites}
+              rowKey={(r) => r.id || r.code}
+              loading={loading}
+              bordered
+              scroll={{ x: "100%" }}
+              pagination={{ pageSize: 10, showSizeChanger: false }}
+              locale={{ emptyText: "No invites generated yet" }}
+            />
+          )}
+        </Card>
+      </div>
+    </ConfigProvider>
+  );
+}
@@ -32,12 +32,17 @@ import {
   RightOutlined,
 } from "@ant-design/icons";
 import { motion } from "framer-motion";
+import {
+  dashboardApi,
+  getErrorMessage,
+  isSessionExpiredError,
+} from "../../api";
+import usePermissions from "../../auth/usePermissions";
+import { canOpenPath } from "../../auth/permissions";
 
 const { Title, Text } = Typography;
 const { useBreakpoint } = Grid;
 
-const DASHBOARD_API = "https://sirivaram-backed.onrender.com/api/admin/dashboard/summary";
-
 const toNumber = (v) => Number(v) || 0;
 const fmtNumber = (num) => toNumber(num).toLocaleString("en-IN");
 
@@ -146,36 +151,24 @@ export default function AdminReports() {
     });
   }, [lastUpdated]);
 
-  const getAuthHeaders = useCallback(() => {
-    const token = localStorage.getItem("token");
-    return token ? { Authorization: `Bearer ${token}` } : {};
-  }, []);
-
   const fetchSummary = useCallback(async () => {
     setLoading(true);
     setError("");
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 12000);
 
     try {
-      const res = await fetch(DASHBOARD_API, {
-        headers: getAuthHeaders(),
-        signal: controller.signal,
-      });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const json = await res.json();
+      const json = await dashboardApi.summary();
       setData(json);
       setLastUpdated(new Date());
       message.success("Dashboard refreshed");
     } catch (e) {
-      setError(e.name === "AbortError" ? "Request timeout" : e.message || "Failed to load data");
+      if (isSessionExpiredError(e)) return;
+      setError(getErrorMessage(e, "Failed to load data"));
       setData(null);
     } finally {
-      clearTimeout(timeout);
       setLoading(false);
       setFirstLoad(false);
     }
-  }, [getAuthHeaders]);
+  }, []);
 
   useEffect(() => {
     fetchSummary();
@@ -183,6 +176,11 @@ export default function AdminReports() {
 
   const handleNavigate = useCallback((path) => navigate(path), [navigate]);
 
+  // Shortcuts only for sections this admin's role may open
+  const { roles } = usePermissions();
+  const linkTo = (path) =>
+    canOpenPath(path, roles) ? () => handleNavigate(path) : undefined;
+
   const containerVariants = {
     hidden: { opacity: 0, y: 16 },
     visible: { opacity: 1, y: 0, transition: { staggerChildren: 0.08, delayChildren: 0.15 } },
@@ -269,9 +267,11 @@ export default function AdminReports() {
             <Section
               title="Users Overview"
               extra={
-                <Button type="link" icon={<SettingOutlined />} onClick={() => handleNavigate("/users")}>
-                  Manage Users
-                </Button>
+                canOpenPath("/users", roles) && (
+                  <Button type="link" icon={<SettingOutlined />} onClick={linkTo("/users")}>
+                    Manage Users
+                  </Button>
+                )
               }
             >
               <StatCard
@@ -280,7 +280,7 @@ export default function AdminReports() {
                 icon={<UserOutlined />}
                 valueColor="#1677ff"
                 tooltip="Total registered users"
-                onClick={() => handleNavigate("/users")}
+                onClick={linkTo("/users")}
                 bgColor="#e6f7ff"
               />
               <StatCard
@@ -290,7 +290,7 @@ export default function AdminReports() {
                 valueColor="#faad14"
                 statusLabel="Pending"
                 hint="Action required"
-                onClick={() => handleNavigate("/users")}
+                onClick={linkTo("/users")}
                 bgColor="#fff7e6"
               />
               <StatCard
@@ -299,7 +299,7 @@ export default function AdminReports() {
                 icon={<CheckCircleOutlined />}
                 valueColor="#52c41a"
                 statusLabel="Approved"
-                onClick={() => handleNavigate("/users")}
+                onClick={linkTo("/users")}
                 bgColor="#f6ffed"
               />
               <StatCard
@@ -308,7 +308,7 @@ export default function AdminReports() {
                 icon={<CloseCircleOutlined />}
                 valueColor="#ff4d4f"
                 statusLabel="Rejected"
-                onClick={() => handleNavigate("/users")}
+                onClick={linkTo("/users")}
                 bgColor="#fff1f0"
               />
             </Section>
@@ -317,30 +317,34 @@ export default function AdminReports() {
             <Section
               title="Events Overview"
               extra={
-                <Button type="link" icon={<SettingOutlined />} onClick={() => handleNavigate("/events")}>
-                  Manage Events
-                </Button>
+                canOpenPath("/events", roles) && (
+                  <Button type="link" icon={<SettingOutlined />} onClick={linkTo("/events")}>
+                    Manage Events
+                  </Button>
+                )
               }
             >
-              <StatCard title="Total Events" value={data.totalEvents} icon={<CalendarOutlined />} valueColor="#722ed1" onClick={() => handleNavigate("/events")} bgColor="#f9f0ff" />
-              <StatCard title="Active Events" value={toNumber(data.activeEvents)} icon={<CheckCircleOutlined />} valueColor="#52c41a" statusLabel="Active" onClick={() => handleNavigate("/events")} bgColor="#f6ffed" />
-              <StatCard title="Completed Events" value={toNumber(data.completedEvents)} icon={<CheckCircleOutlined />} valueColor="#1677ff" onClick={() => handleNavigate("/events")} bgColor="#e6f7ff" />
-              <StatCard title="Pending Events" value={toNumber(data.pendingEvents)} icon={<ExclamationCircleOutlined />} valueColor="#faad14" statusLabel="Pending" onClick={() => handleNavigate("/events")} bgColor="#fff7e6" />
+              <StatCard title="Total Events" value={data.totalEvents} icon={<CalendarOutlined />} valueColor="#722ed1" onClick={linkTo("/events")} bgColor="#f9f0ff" />
+              <StatCard title="Active Events" value={toNumber(data.activeEvents)} icon={<CheckCircleOutlined />} valueColor="#52c41a" statusLabel="Active" onClick={linkTo("/events")} bgColor="#f6ffed" />
+              <StatCard title="Completed Events" value={toNumber(data.completedEvents)} icon={<CheckCircleOutlined />} valueColor="#1677ff" onClick={linkTo("/events")} bgColor="#e6f7ff" />
+              <StatCard title="Pending Events" value={toNumber(data.pendingEvents)} icon={<ExclamationCircleOutlined />} valueColor="#faad14" statusLabel="Pending" onClick={linkTo("/events")} bgColor="#fff7e6" />
             </Section>
 
             {/* Payments Section */}
             <Section
               title="Payments Overview"
               extra={
-                <Button type="link" icon={<SettingOutlined />} onClick={() => handleNavigate("/payments")}>
-                  Manage Payments
-                </Button>
+                canOpenPath("/payments", roles) && (
+                  <Button type="link" icon={<SettingOutlined />} onClick={linkTo("/payments")}>
+                    Manage Payments
+                  </Button>
+                )
               }
             >
-              <StatCard title="Total Payments" value={data.totalPayments} icon={<DollarOutlined />} valueColor="#1677ff" onClick={() => handleNavigate("/payments")} bgColor="#e6f7ff" />
-              <StatCard title="Pending Payments" value={data.pendingPayments} icon={<ExclamationCircleOutlined />} valueColor="#faad14" statusLabel="Pending" onClick={() => handleNavigate("/payments")} bgColor="#fff7e6" />
-              <StatCard title="Verified Payments" value={data.verifiedPayments} icon={<CheckCircleOutlined />} valueColor="#52c41a" statusLabel="Verified" onClick={() => handleNavigate("/payments")} bgColor="#f6ffed" />
-              <StatCard title="Rejected Payments" value={data.rejectedPayments} icon={<CloseCircleOutlined />} valueColor="#ff4d4f" statusLabel="Rejected" onClick={() => handleNavigate("/payments")} bgColor="#fff1f0" />
+              <StatCard title="Total Payments" value={data.totalPayments} icon={<DollarOutlined />} valueColor="#1677ff" onClick={linkTo("/payments")} bgColor="#e6f7ff" />
+              <StatCard title="Pending Payments" value={data.pendingPayments} icon={<ExclamationCircleOutlined />} valueColor="#faad14" statusLabel="Pending" onClick={linkTo("/payments")} bgColor="#fff7e6" />
+              <StatCard title="Verified Payments" value={data.verifiedPayments} icon={<CheckCircleOutlined />} valueColor="#52c41a" statusLabel="Verified" onClick={linkTo("/payments")} bgColor="#f6ffed" />
+              <StatCard title="Rejected Payments" value={data.rejectedPayments} icon={<CloseCircleOutlined />} valueColor="#ff4d4f" statusLabel="Rejected" onClick={linkTo("/payments")} bgColor="#fff1f0" />
             </Section>
 
             {/* Quick Actions */}
@@ -352,20 +356,22 @@ export default function AdminReports() {
                     { icon: <UserOutlined />, text: "Manage Users", path: "/users" },
                     { icon: <CalendarOutlined />, text: "Manage Events", path: "/events" },
                     { icon: <DollarOutlined />, text: "Verify Payments", path: "/payments" },
-                  ].map((item, i) => (
-                    <Col xs={24} sm={8} key={i}>
-                      <Button
-                        block
+                  ]
+                    .filter((item) => canOpenPath(item.path, roles))
+                    .map((item, i) => (
+                      <Col xs={24} sm={8} key={i}>
+                        <Button
+                          block
                        
-                        icon={item.icon}
-                        size="large"
-                        onClick={() => handleNavigate(item.path)}
-                        style={{ height: 52, fontWeight: 600,backgroundColor:"#008cba",color:"white", borderRadius: 10 }}
-                      >
-                        {item.text}
-                      </Button>
-                    </Col>
-                  ))}
+                          icon={item.icon}
+                          size="large"
+                          onClick={() => handleNavigate(item.path)}
+                          style={{ height: 52, fontWeight: 600,backgroundColor:"#008cba",color:"white", borderRadius: 10 }}
+                        >
+                          {item.text}
+                        </Button>
+                      </Col>
+                    ))}
                 </Row>
               </Card>
             </motion.div>
@@ -0,0 +1,286 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  Button,
+  Card,
+  Col,
+  ConfigProvider,
+  DatePicker,
+  Divider,
+  Grid,
+  Input,
+  Row,
+  Skeleton,
+  Space,
+  Statistic,
+  Table,
+  Tag,
+  Tooltip,
+  Typography,
+  message,
+} from "antd";
+import { ReloadOutlined, SearchOutlined, LockOutlined } from "@ant-design/icons";
+import {
+  getErrorMessage,
+  isSessionExpiredError,
+  securityApi,
+} from "../../api";
+
+const { Title, Text } = Typography;
+const { useBreakpoint } = Grid;
+const { RangePicker } = DatePicker;
+
+const fmtDateTime = (iso) =>
+  iso
+    ? new Date(iso).toLocaleString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    : "-";
+
+const useDebouncedValue = (value, delay = 300) => {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const t = window.setTimeout(() => setDebounced(value), delay);
+    return () => window.clearTimeout(t);
+  }, [value, delay]);
+  return debounced;
+};
+
+const REASON_LABELS = {
+  BAD_PASSWORD: "Wrong password",
+  UNKNOWN_USER: "Unknown number",
+  LOCKED: "Account locked",
+  NOT_ADMIN: "Not an admin",
+};
+
+export default function LoginSecurity() {
+  const screens = useBreakpoint();
+  const isMobile = !screens.md;
+
+  const [attempts, setAttempts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [firstLoad, setFirstLoad] = useState(true);
+  const [search, setSearch] = useState("");
+  const debouncedSearch = useDebouncedValue(search.trim(), 400);
+  const [range, setRange] = useState(null);
+
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(20);
+
+  const aliveRef = useRef(true);
+  useEffect(() => {
+    aliveRef.current = true;
+    return () => {
+      aliveRef.current = false;
+    };
+  }, []);
+
+  const fetchAttempts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const list = await securityApi.failedLogins({
+        mobile: debouncedSearch,
+        from: range?.[0]?.startOf("day").toISOString(),
+        to: range?.[1]?.endOf("day").toISOString(),
+      });
+      if (!aliveRef.current) return;
+      setAttempts(list);
+      setPage(1);
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Failed to load login attempts"));
+    } finally {
+      if (aliveRef.current) {
+        setLoading(false);
+        setFirstLoad(false);
+      }
+    }
+  }, [debouncedSearch, range]);
+
+  useEffect(() => {
+    fetchAttempts();
+  }, [fetchAttempts]);
+
+  const summary = useMemo(() => {
+    const mobiles = new Set(attempts.map((a) => a.mobile).filter(Boolean));
+    const ips = new Set(attempts.map((a) => a.ipAddress).filter(Boolean));
+    return {
+      total: attempts.length,
+      mobiles: mobiles.size,
+      ips: ips.size,
+      lockouts: attempts.filter((a) => a.lockedOut).length,
+    };
+  }, [attempts]);
+
+  const columns = useMemo(
+    () => [
+      {
+        title: "Time",
+        dataIndex: "attemptedAt",
+        align: "center",
+        sorter: (a, b) => new Date(a.attemptedAt) - new Date(b.attemptedAt),
+        defaultSortOrder: "descend",
+        render: (v) => <Text type="secondary">{fmtDateTime(v)}</Text>,
+      },
+      {
+        title: "Mobile",
+        dataIndex: "mobile",
+        align: "center",
+        render: (v) => <Text strong>{v || "-"}</Text>,
+      },
+      {
+        title: "Reason",
+        dataIndex: "reason",
+        align: "center",
+        render: (v, a) => (
+          <Space size={4}>
+            <Tag color={v === "LOCKED" ? "red" : "orange"}>
+              {REASON_LABELS[v] || v || "Failed"}
+            </Tag>
+            {a.lockedOut && (
+              <Tag color="red" icon={<LockOutlined />}>
+                Locked
+              </Tag>
+            )}
+          </Space>
+        ),
+      },
+      {
+        title: "IP Address",
+        dataIndex: "ipAddress",
+        align: "center",
+        render: (v) => v || "-",
+        responsive: ["md"],
+      },
+      {
+        title: "Device",
+        dataIndex: "userAgent",
+        ellipsis: { showTitle: false },
+        render: (v) =>
+          v ? (
+            <Tooltip title={v}>
+              <Text type="secondary">{v}</Text>
+            </Tooltip>
+          ) : (
+            "-"
+          ),
+        responsive: ["lg"],
+      },
+    ],
+    [],
+  );
+
+  return (
+    <ConfigProvider theme={{ token: { borderRadius: 12 } }}>
+      <div style={{ width: "100%", padding: isMobile ? 12 : 24, minHeight: "100vh" }}>
+        <Card
+          bordered={false}
+          style={{ borderRadius: 12, boxShadow: "0 1px 10px rgba(0,0,0,0.06)" }}
+          bodyStyle={{ padding: isMobile ? 12 : 20 }}
+        >
+          <Row gutter={[16, 16]} align="middle">
+            <Col xs={24} md={10}>
+              <Space direction="vertical" size={2}>
+                <Title level={4} style={{ margin: 0 }}>
+                  Login Security
+                </Title>
+                <Text type="secondary">
+                  Failed admin sign-in attempts and lockouts.
+                </Text>
+              </Space>
+            </Col>
+            <Col xs={24} md={14}>
+              <Row gutter={[8, 8]} justify="end">
+                <Col xs={24} sm={8}>
+                  <Input
+                    allowClear
+                    prefix={<SearchOutlined />}
+                    placeholder="Mobile number"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                  />
+                </Col>
+                <Col xs={18} sm={11}>
+                  <RangePicker
+                    value={range}
+                    onChange={setRange}
+                    style={{ width: "100%" }}
+                  />
+                </Col>
+                <Col xs={6} sm={5}>
+                  <Button
+                    icon={<ReloadOutlined />}
+                    onClick={fetchAttempts}
+                    loading={loading}
+                    block
+                  >
+                    {!isMobile && "Refresh"}
+                  </Button>
+                </Col>
+              </Row>
+            </Col>
+          </Row>
+
+          <Divider style={{ margin: "14px 0" }} />
+
+          <Row gutter={[12, 12]}>
+            <Col xs={12} md={6}>
+              <Card size="small" style={{ borderRadius: 12 }}>
+                <Statistic title="Failed Attempts" value={summary.total} />
+              </Card>
+            </Col>
+            <Col xs={12} md={6}>
+              <Card size="small" style={{ borderRadius: 12 }}>
+                <Statistic title="Numbers Tried" value={summary.mobiles} />
+              </Card>
+            </Col>
+            <Col xs={12} md={6}>
+              <Card size="small" style={{ borderRadius: 12 }}>
+                <Statistic title="Source IPs" value={summary.ips} />
+              </Card>
+            </Col>
+            <Col xs={12} md={6}>
+              <Card size="small" style={{ borderRadius: 12 }}>
+                <Statistic
+                  title="Lockouts"
+                  value={summary.lockouts}
+                  valueStyle={summary.lockouts ? { color: "#cf1322" } : undefined}
+                />
+              </Card>
+            </Col>
+          </Row>
+
+          <div style={{ height: 16 }} />
+
+          {firstLoad ? (
+            <Skeleton active paragraph={{ rows: 6 }} />
+          ) : (
+            <Table
+              columns={columns}
+              dataSource={attempts}
+              rowKey={(a) => a.id || `${a.mobile}-${a.attemptedAt}`}
+              loading={loading}
+              bordered
+              scroll={{ x: "100%" }}
+              pagination={{
+                current: page,
+                pageSize,
+                showSizeChanger: true,
+                pageSizeOptions: [20, 50, 100],
+                onChange: (p, ps) => {
+                  setPage(p);
+                  setPageSize(ps);
+                },
+              }}
+              locale={{ emptyText: "No failed attempts" }}
+            />
+          )}
+        </Card>
+      </div>
+    </ConfigProvider>
+  );
+}
@@ -0,0 +1,484 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  Button,
+  Card,
+  Col,
+  ConfigProvider,
+  Divider,
+  Form,
+  Grid,
+  Input,
+  Modal,
+  Row,
+  Skeleton,
+  Space,
+  Table,
+  Tag,
+  Typography,
+  message,
+} from "antd";
+import {
+  ReloadOutlined,
+  SaveOutlined,
+  LockOutlined,
+  LogoutOutlined,
+  DesktopOutlined,
+  ExclamationCircleOutlined,
+} from "@ant-design/icons";
+import {
+  getErrorMessage,
+  isSessionExpiredError,
+  profileApi,
+} from "../../api";
+import { updateStoredUser } from "../../auth/session";
+import { ROLE_LABELS } from "../../auth/permissions";
+import TwoFactorSettings from "./TwoFactorSettings";
+
+const { Title, Text } = Typography;
+const { useBreakpoint } = Grid;
+
+const fmtDateTime = (iso) =>
+  iso
+    ? new Date(iso).toLocaleString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "-";
+
+const cardStyle = {
+  borderRadius: 12,
+  boxShadow: "0 1px 10px rgba(0,0,0,0.06)",
+};
+
+export default function ProfileSettings() {
+  const screens = useBreakpoint();
+  const isMobile = !screens.md;
+
+  const [profileForm] = Form.useForm();
+  const [passwordForm] = Form.useForm();
+
+  const [profile, setProfile] = useState(null);
+  const [profileLoading, setProfileLoading] = useState(true);
+  const [savingProfile, setSavingProfile] = useState(false);
+  const [changingPassword, setChangingPassword] = useState(false);
+
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
+  const [revokingId, setRevokingId] = useState(null);
+  const [revokingOthers, setRevokingOthers] = useState(false);
+
+  const aliveRef = useRef(true);
+  useEffect(() => {
+    aliveRef.current = true;
+    return () => {
+      aliveRef.current = false;
+    };
+  }, []);
+
+  const fetchProfile = useCallback(async () => {
+    setProfileLoading(true);
+    try {
+      const data = await profileApi.get();
+      if (!aliveRef.current) return;
+      setProfile(data);
+      profileForm.setFieldsValue({
+        name: data?.name,
+        mobile: data?.mobile,
+        address: data?.address,
+        village: data?.village,
+      });
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Failed to load profile"));
+    } finally {
+      if (aliveRef.current) setProfileLoading(false);
+    }
+  }, [profileForm]);
+
+  const fetchSessions = useCallback(async () => {
+    setSessionsLoading(true);
+    try {
+      const list = await profileApi.listSessions();
+      if (aliveRef.current) setSessions(list);
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Failed to load sessions"));
+    } finally {
+      if (aliveRef.current) setSessionsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProfile();
+    fetchSessions();
+  }, [fetchProfile, fetchSessions]);
+
+  const saveProfile = async (values) => {
+    const payload = {
+      name: values.name.trim(),
+      address: values.address?.trim() || "",
+      village: values.village?.trim() || "",
+    };
+    setSavingProfile(true);
+    try {
+      const updated = await profileApi.update(payload);
+      const next = { ...profile, ...payload, ...(updated || {}) };
+      updateStoredUser({
+        name: next.name,
+        address: next.address,
+        village: next.village,
+      });
+      if (aliveRef.current) setProfile(next);
+      message.success("Profile updated");
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Could not update profile"));
+    } finally {
+      if (aliveRef.current) setSavingProfile(false);
+    }
+  };
+
+  const changePassword = async (values) => {
+    setChangingPassword(true);
+    try {
+      await profileApi.changePassword({
+        currentPassword: values.currentPassword,
+        newPassword: values.newPassword,
+      });
+      passwordForm.resetFields();
+      message.success("Password changed");
+      fetchSessions();
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      const msg = getErrorMessage(err, "Could not change password");
+      // 401 here means a wrong current password, not an expired session
+      if ([400, 401].includes(err?.response?.status)) {
+        passwordForm.setFields([{ name: "currentPassword", errors: [msg] }]);
+      } else {
+        message.error(msg);
+      }
+    } finally {
+      if (aliveRef.current) setChangingPassword(false);
+    }
+  };
+
+  const confirmRevoke = useCallback(
+    (session) => {
+      Modal.confirm({
+        title: "Log out this device?",
+        icon: <ExclamationCircleOutlined />,
+        content: session.device || "The session will be ended immediately.",
+        okText: "Log out",
+        okButtonProps: { danger: true },
+        cancelText: "Cancel",
+        onOk: async () => {
+          setRevokingId(session.id);
+          try {
+            await profileApi.revokeSession(session.id);
+            message.success("Session ended");
+            fetchSessions();
+          } catch (err) {
+            if (isSessionExpiredError(err)) return;
+            message.error(getErrorMessage(err, "Could not end session"));
+          } finally {
+            if (aliveRef.current) setRevokingId(null);
+          }
+        },
+      });
+    },
+    [fetchSessions],
+  );
+
+  const confirmRevokeOthers = () => {
+    Modal.confirm({
+      title: "Log out all other devices?",
+      icon: <ExclamationCircleOutlined />,
+      content: "Only this browser will stay signed in.",
+      okText: "Log out others",
+      okButtonProps: { danger: true },
+      cancelText: "Cancel",
+      onOk: async () => {
+        setRevokingOthers(true);
+        try {
+          await profileApi.revokeOtherSessions();
+          message.success("Other sessions ended");
+          fetchSessions();
+        } catch (err) {
+          if (isSessionExpiredError(err)) return;
+          message.error(getErrorMessage(err, "Could not end sessions"));
+        } finally {
+          if (aliveRef.current) setRevokingOthers(false);
+        }
+      },
+    });
+  };
+
+  const otherSessions = sessions.filter((s) => !s.current).length;
+
+  const sessionColumns = useMemo(
+    () => [
+      {
+        title: "Device",
+        dataIndex: "device",
+        render: (v, s) => (
+          <Space>
+            <DesktopOutlined />
+            <Text>{v || "Unknown device"}</Text>
+            {s.current && <Tag color="green">This device</Tag>}
+          </Space>
+        ),
+      },
+      {
+        title: "IP Address",
+        dataIndex: "ipAddress",
+        align: "center",
+        render: (v) => v || "-",
+        responsive: ["md"],
+      },
+      {
+        title: "Signed In",
+        dataIndex: "createdAt",
+        align: "center",
+        render: (v) => <Text type="secondary">{fmtDateTime(v)}</Text>,
+        responsive: ["lg"],
+      },
+      {
+        title: "Last Active",
+        dataIndex: "lastActiveAt",
+        align: "center",
+        render: (v) => <Text type="secondary">{fmtDateTime(v)}</Text>,
+      },
+      {
+        title: "Actions",
+        align: "center",
+        render: (_, s) =>
+          s.current ? (
+            "-"
+          ) : (
+            <Button
+              danger
+              size="small"
+              icon={<LogoutOutlined />}
+              loading={revokingId === s.id}
+              onClick={() => confirmRevoke(s)}
+            >
+              {!isMobile && "Log out"}
+            </Button>
+          ),
+      },
+    ],
+    [confirmRevoke, revokingId, isMobile],
+  );
+
+  return (
+    <ConfigProvider theme={{ token: { borderRadius: 12 } }}>
+      <div style={{ width: "100%", padding: isMobile ? 12 : 24, minHeight: "100vh" }}>
+        <Space direction="vertical" size={16} style={{ width: "100%" }}>
+          <Card
+            bordered={false}
+            style={cardStyle}
+            bodyStyle={{ padding: isMobile ? 12 : 20 }}
+          >
+            <Space direction="vertical" size={2}>
+              <Title level={4} style={{ margin: 0 }}>
+                My Profile
+              </Title>
+              <Text type="secondary">
+                {profile?.role
+                  ? `Signed in as ${ROLE_LABELS[profile.role] || profile.role}`
+                  : "Manage your account details"}
+              </Text>
+            </Space>
+
+            <Divider style={{ margin: "14px 0" }} />
+
+            {profileLoading && !profile ? (
+              <Skeleton active paragraph={{ rows: 4 }} />
+            ) : (
+              <Form form={profileForm} layout="vertical" onFinish={saveProfile}>
+                <Row gutter={16}>
+                  <Col xs={24} md={12}>
+                    <Form.Item
+                      label="Full Name"
+                      name="name"
+                      rules={[
+                        { required: true, whitespace: true, message: "Please enter your name" },
+                      ]}
+                    >
+                      <Input placeholder="Full name" />
+                    </Form.Item>
+                  </Col>
+                  <Col xs={24} md={12}>
+                    <Form.Item
+                      label="Mobile Number"
+                      name="mobile"
+                      extra="Contact a super admin to change your mobile number."
+                    >
+                      <Input disabled />
+                    </Form.Item>
+                  </Col>
+                  <Col xs={24} md={12}>
+                    <Form.Item label="Village" name="village">
+                      <Input placeholder="Village" />
+                    </Form.Item>
+                  </Col>
+                  <Col xs={24} md={12}>
+                    <Form.Item label="Address" name="address">
+                      <Input.TextArea placeholder="Address" autoSize={{ minRows: 1, maxRows: 3 }} />
+                    </Form.Item>
+                  </Col>
+                </Row>
+                <Button
+                  type="primary"
+                  htmlType="submit"
+                  icon={<SaveOutlined />}
+                  loading={savingProfile}
+                  style={{ backgroundColor: "#008cba" }}
+                >
+                  Save Profile
+                </Button>
+              </Form>
+            )}
+          </Card>
+
+          <Card
+            bordered={false}
+            style={cardStyle}
+            bodyStyle={{ padding: isMobile ? 12 : 20 }}
+          >
+            <Title level={5} style={{ marginTop: 0 }}>
+              Change Password
+            </Title>
+            <Form
+              form={passwordForm}
+              layout="vertical"
+              onFinish={changePassword}
+              style={{ maxWidth: 420 }}
+            >
+              <Form.Item
+                label="Current Password"
+                name="currentPassword"
+                rules={[{ required: true, message: "Please enter current password" }]}
+              >
+                <Input.Password prefix={<LockOutlined />} autoComplete="current-password" />
+              </Form.Item>
+              <Form.Item
+                label="New Password"
+                name="newPassword"
+                dependencies={["currentPassword"]}
+                hasFeedback
+                rules={[
+                  { required: true, message: "Please enter new password" },
+                  { min: 8, message: "Use at least 8 characters" },
+                  ({ getFieldValue }) => ({
+                    validator: (_, value) =>
+                      !value || getFieldValue("currentPassword") !== value
+                        ? Promise.resolve()
+                        : Promise.reject(
+                            new Error("New password must differ from the current one"),
+                          ),
+                  }),
+                ]}
+              >
+                <Input.Password prefix={<LockOutlined />} autoComplete="new-password" />
+              </Form.Item>
+              <Form.Item
+                label="Confirm New Password"
+                name="confirm"
+                dependencies={["newPassword"]}
+                hasFeedback
+                rules={[
+                  { required: true, message: "Please confirm password" },
+                  ({ getFieldValue }) => ({
+                    validator: (_, value) =>
+                      !value || getFieldValue("newPassword") === value
+                        ? Promise.resolve()
+                        : Promise.reject(new Error("Passwords do not match")),
+                  }),
+                ]}
+              >
+                <Input.Password prefix={<LockOutlined />} autoComplete="new-password" />
+              </Form.Item>
+              <Button
+                type="primary"
+                htmlType="submit"
+                loading={changingPassword}
+                style={{ backgroundColor: "#008cba" }}
+              >
+                Change Password
+              </Button>
+            </Form>
+          </Card>
+
+          <TwoFactorSettings
+            enabled={!!profile?.twoFactorEnabled}
+            onChange={(twoFactorEnabled) =>
+              setProfile((p) => ({ ...p, twoFactorEnabled }))
+            }
+          />
+
+          <Card
+            bordered={false}
+            style={cardStyle}
+            bodyStyle={{ padding: isMobile ? 12 : 20 }}
+          >
+            <Row gutter={[16, 16]} align="middle">
+              <Col xs={24} md={12}>
+                <Space direction="vertical" size={2}>
+                  <Title level={5} style={{ margin: 0 }}>
+                    Active Sessions
+                  </Title>
+                  <Text type="secondary">
+                    Devices currently signed in to your account.
+                  </Text>
+                </Space>
+              </Col>
+              <Col xs={24} md={12}>
+                <Row gutter={[8, 8]} justify="end">
+                  <Col xs={12} sm={8}>
+                    <Button
+                      icon={<ReloadOutlined />}
+                      onClick={fetchSessions}
+                      loading={sessionsLoading}
+                      block
+                    >
+                      {!isMobile && "Refresh"}
+                    </Button>
+                  </Col>
+                  <Col xs={12} sm={12}>
+                    <Button
+                      danger
+                      icon={<LogoutOutlined />}
+                      onClick={confirmRevokeOthers}
+                      loading={revokingOthers}
+                      disabled={otherSessions === 0}
+                      block
+                    >
+                      {isMobile ? "Others" : "Log out other devices"}
+                    </Button>
+                  </Col>
+                </Row>
+              </Col>
+            </Row>
+
+            <div style={{ height: 16 }} />
+
+            <Table
+              columns={sessionColumns}
+              dataSource={sessions}
+              rowKey="id"
+              loading={sessionsLoading}
+              bordered
+              scroll={{ x: "100%" }}
+              pagination={false}
+              locale={{ emptyText: "No active sessions" }}
+            />
+          </Card>
+        </Space>
+      </div>
+    </ConfigProvider>
+  );
+}
@@ -0,0 +1,285 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  Alert,
+  Button,
+  Card,
+  Col,
+  Form,
+  Input,
+  Modal,
+  QRCode,
+  Row,
+  Space,
+  Tag,
+  Typography,
+  message,
+} from "antd";
+import {
+  SafetyCertificateOutlined,
+  CopyOutlined,
+  DownloadOutlined,
+  LockOutlined,
+} from "@ant-design/icons";
+import {
+  getErrorMessage,
+  isSessionExpiredError,
+  profileApi,
+} from "../../api";
+
+const { Title, Text, Paragraph } = Typography;
+
+const CODE_RULES = [
+  { required: true, message: "Enter the code from your app" },
+  { pattern: /^\d{6}$/, message: "Enter the 6-digit code" },
+];
+
+const showBackupCodes = (codes) => {
+  const text = codes.join("\n");
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      message.success("Backup codes copied");
+    } catch {
+      message.warning("Could not copy. Please copy the codes manually.");
+    }
+  };
+
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "sirivaram-admin-backup-codes.txt";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  Modal.info({
+    title: "Save your backup codes",
+    width: 460,
+    content: (
+      <Space direction="vertical" style={{ width: "100%" }}>
+        <Text type="secondary">
+          Each code works once if you lose access to your authenticator app.
+          They will not be shown again.
+        </Text>
+        <Row gutter={[8, 8]}>
+          {codes.map((c) => (
+            <Col span={12} key={c}>
+              <Text code style={{ fontSize: 15 }}>
+                {c}
+              </Text>
+            </Col>
+          ))}
+        </Row>
+        <Space>
+          <Button icon={<CopyOutlined />} onClick={copy}>
+            Copy
+          </Button>
+          <Button icon={<DownloadOutlined />} onClick={download}>
+            Download
+          </Button>
+        </Space>
+      </Space>
+    ),
+    okText: "I saved them",
+  });
+};
+
+/**
+ * TOTP enrollment card for the profile page.
+ *
+ * @param {{ enabled: boolean, onChange: (enabled: boolean) => void }} props
+ */
+export default function TwoFactorSettings({ enabled, onChange }) {
+  const [setup, setSetup] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+
+  // "disable" | "regenerate" while the confirm dialog is open
+  const [dialog, setDialog] = useState(null);
+  const [dialogLoading, setDialogLoading] = useState(false);
+
+  const [confirmForm] = Form.useForm();
+  const [dialogForm] = Form.useForm();
+
+  const aliveRef = useRef(true);
+  useEffect(() => {
+    aliveRef.current = true;
+    return () => {
+      aliveRef.current = false;
+    };
+  }, []);
+
+  const startSetup = async () => {
+    setStarting(true);
+    try {
+      const data = await profileApi.setupTwoFactor();
+      if (aliveRef.current) setSetup(data);
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Could not start 2FA setup"));
+    } finally {
+      if (aliveRef.current) setStarting(false);
+    }
+  };
+
+  const confirmSetup = async (values) => {
+    setConfirming(true);
+    try {
+      const res = await profileApi.confirmTwoFactor(values.code);
+      if (!aliveRef.current) return;
+      setSetup(null);
+      confirmForm.resetFields();
+      onChange(true);
+      message.success("Two-factor authentication enabled");
+      showBackupCodes(res?.backupCodes || []);
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      confirmForm.setFields([
+        { name: "code", errors: [getErrorMessage(err, "Incorrect code")] },
+      ]);
+    } finally {
+      if (aliveRef.current) setConfirming(false);
+    }
+  };
+
+  const closeDialog = () => {
+    setDialog(null);
+    dialogForm.resetFields();
+  };
+
+  const submitDialog = async (values) => {
+    setDialogLoading(true);
+    try {
+      if (dialog === "disable") {
+        await profileApi.disableTwoFactor(values);
+        onChange(false);
+        message.success("Two-factor authentication disabled");
+      } else {
+        const res = await profileApi.regenerateBackupCodes(values.code);
+        showBackupCodes(res?.backupCodes || []);
+      }
+      if (aliveRef.current) closeDialog();
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Verification failed"));
+    } finally {
+      if (aliveRef.current) setDialogLoading(false);
+    }
+  };
+
+  return (
+    <Card
+      bordered={false}
+      style={{ borderRadius: 12, boxShadow: "0 1px 10px rgba(0,0,0,0.06)" }}
+    >
+      <Space align="center" style={{ marginBottom: 8 }}>
+        <Title level={5} style={{ margin: 0 }}>
+          Two-Factor Authentication
+        </Title>
+        {enabled ? <Tag color="green">On</Tag> : <Tag>Off</Tag>}
+      </Space>
+      <Paragraph type="secondary">
+        Ask for a code from an authenticator app (Google Authenticator, Authy,
+        Microsoft Authenticator) after your password.
+      </Paragraph>
+
+      {enabled ? (
+        <Space wrap>
+          <Button onClick={() => setDialog("regenerate")}>
+            New backup codes
+          </Button>
+          <Button danger onClick={() => setDialog("disable")}>
+            Disable 2FA
+          </Button>
+        </Space>
+      ) : setup ? (
+        <Row gutter={[24, 16]} align="middle">
+          <Col xs={24} sm={10} style={{ textAlign: "center" }}>
+            <QRCode value={setup.otpauthUrl} style={{ margin: "0 auto" }} />
+          </Col>
+          <Col xs={24} sm={14}>
+            <Space direction="vertical" style={{ width: "100%" }}>
+              <Text>1. Scan the QR code with your authenticator app.</Text>
+              <Text type="secondary">
+                Can't scan? Enter this key:{" "}
+                <Text code copyable>
+                  {setup.secret}
+                </Text>
+              </Text>
+              <Text>2. Enter the 6-digit code it shows.</Text>
+              <Form form={confirmForm} layout="inline" onFinish={confirmSetup}>
+                <Form.Item name="code" rules={CODE_RULES}>
+                  <Input
+                    placeholder="123456"
+                    maxLength={6}
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    style={{ width: 140 }}
+                  />
+                </Form.Item>
+                <Form.Item>
+                  <Button
+                    type="primary"
+                    htmlType="submit"
+                    loading={confirming}
+                    style={{ backgroundColor: "#008cba" }}
+                  >
+                    Confirm
+                  </Button>
+                </Form.Item>
+              </Form>
+              <Button type="link" style={{ padding: 0 }} onClick={() => setSetup(null)}>
+                Cancel
+              </Button>
+            </Space>
+          </Col>
+        </Row>
+      ) : (
+        <Button
+          type="primary"
+          icon={<SafetyCertificateOutlined />}
+          loading={starting}
+          onClick={startSetup}
+          style={{ backgroundColor: "#008cba" }}
+        >
+          Enable 2FA
+        </Button>
+      )}
+
+      <Modal
+        open={!!dialog}
+        title={dialog === "disable" ? "Disable two-factor authentication" : "Generate new backup codes"}
+        okText={dialog === "disable" ? "Disable" : "Generate"}
+        okButtonProps={{ danger: dialog === "disable", loading: dialogLoading }}
+        onOk={() => dialogForm.submit()}
+        onCancel={closeDialog}
+        destroyOnClose
+      >
+        {dialog === "regenerate" && (
+          <Alert
+            type="warning"
+            showIcon
+            style={{ marginBottom: 16 }}
+            message="Your old backup codes will stop working."
+          />
+        )}
+        <Form form={dialogForm} layout="vertical" onFinish={submitDialog}>
+          {dialog === "disable" && (
+            <Form.Item
+              label="Password"
+              name="password"
+              rules={[{ required: true, message: "Please enter your password" }]}
+            >
+              <Input.Password prefix={<LockOutlined />} autoComplete="current-password" />
+            </Form.Item>
+          )}
+          <Form.Item label="Authenticator code" name="code" rules={CODE_RULES}>
+            <Input maxLength={6} inputMode="numeric" autoComplete="one-time-code" />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </Card>
+  );
+}
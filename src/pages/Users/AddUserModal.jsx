@@ -0,0 +1,81 @@
+import React, { useState } from "react";
+import { Form, Input, Modal, Typography, message } from "antd";
+import { getErrorMessage, isSessionExpiredError, usersApi } from "../../api";
+import { normalizeMobile } from "../../utils/mobile";
+import { NAME_RULES, mobileRules } from "./userRules";
+
+const { Text } = Typography;
+
+/**
+ * Registers a villager on their behalf with the fields Register.jsx asks for.
+ *
+ * @param {{ open: boolean, onClose: () => void, onCreated: (user: object) => void }} props
+ */
+export default function AddUserModal({ open, onClose, onCreated }) {
+  const [form] = Form.useForm();
+  const [saving, setSaving] = useState(false);
+
+  const create = async (values) => {
+    setSaving(true);
+    try {
+      const payload = {
+        name: values.name.trim(),
+        mobile: normalizeMobile(values.mobile),
+        village: values.village?.trim() || "",
+        address: values.address?.trim() || "",
+      };
+      const user = await usersApi.create(payload);
+      message.success(`${payload.name} added`);
+      onCreated(user || payload);
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Could not add user"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      open={open}
+      title="Add User"
+      okText="Add User"
+      okButtonProps={{ loading: saving }}
+      cancelButtonProps={{ disabled: saving }}
+      onOk={() => form.submit()}
+      onCancel={onClose}
+      afterClose={() => form.resetFields()}
+      destroyOnClose
+    >
+      <Text type="secondary">
+        For villagers who can't register themselves. They can set a password
+        later with "Forgot password".
+      </Text>
+      <Form
+        form={form}
+        layout="vertical"
+        onFinish={create}
+        style={{ marginTop: 16 }}
+      >
+        <Form.Item label="Full Name" name="name" rules={NAME_RULES}>
+          <Input placeholder="Full name" />
+        </Form.Item>
+        <Form.Item
+          label="Mobile Number"
+          name="mobile"
+          rules={mobileRules()}
+          validateDebounce={400}
+          hasFeedback
+        >
+          <Input placeholder="10-digit mobile number" inputMode="tel" maxLength={16} />
+        </Form.Item>
+        <Form.Item label="Village" name="village">
+          <Input placeholder="Village" />
+        </Form.Item>
+        <Form.Item label="Address" name="address">
+          <Input.TextArea placeholder="Address" autoSize={{ minRows: 2, maxRows: 4 }} />
+        </Form.Item>
+      </Form>
+    </Modal>
+  );
+}
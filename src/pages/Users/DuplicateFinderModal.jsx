@@ -0,0 +1,201 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  Alert,
+  Button,
+  Empty,
+  Modal,
+  Space,
+  Spin,
+  Table,
+  Tag,
+  Typography,
+  message,
+} from "antd";
+import { MergeCellsOutlined, ReloadOutlined } from "@ant-design/icons";
+import { getErrorMessage, isSessionExpiredError, usersApi } from "../../api";
+import { NAME_MATCH_THRESHOLD, findDuplicates } from "../../utils/duplicates";
+import MergeUsersModal from "./MergeUsersModal";
+
+const { Text } = Typography;
+
+// Pairs an admin marked "not the same person", so later scans skip them
+const DISMISSED_KEY = "dismissedDuplicates";
+
+const readDismissed = () => {
+  try {
+    return new Set(JSON.parse(localStorage.getItem(DISMISSED_KEY) || "[]"));
+  } catch {
+    return new Set();
+  }
+};
+
+const userCell = (u) => (
+  <Space direction="vertical" size={0}>
+    <Text strong>{u.name || "-"}</Text>
+    <Text type="secondary" style={{ fontSize: 12, fontFamily: "monospace" }}>
+      {u.mobile || "-"}
+    </Text>
+    <Text type="secondary" style={{ fontSize: 12 }}>
+      {[u.village, u.status].filter(Boolean).join(" · ") || "-"}
+    </Text>
+  </Space>
+);
+
+/**
+ * Scans every user for likely duplicates and opens the merge screen for a
+ * chosen pair.
+ *
+ * @param {{ open: boolean, onClose: (merged: boolean) => void }} props
+ */
+export default function DuplicateFinderModal({ open, onClose }) {
+  const [scanning, setScanning] = useState(false);
+  const [scanned, setScanned] = useState(0);
+  const [pairs, setPairs] = useState([]);
+  const [error, setError] = useState("");
+  const [dismissed, setDismissed] = useState(readDismissed);
+  const [mergePair, setMergePair] = useState(null);
+  const [merged, setMerged] = useState(false);
+
+  const scan = useCallback(async () => {
+    setScanning(true);
+    setError("");
+    try {
+      const users = await usersApi.searchAll({});
+      setScanned(users.length);
+      setPairs(findDuplicates(users));
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      setError(getErrorMessage(err, "Could not load users"));
+    } finally {
+      setScanning(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) scan();
+  }, [open, scan]);
+
+  const visible = useMemo(
+    () => pairs.filter((p) => !dismissed.has(p.key)),
+    [pairs, dismissed],
+  );
+
+  const dismiss = (pair) => {
+    const next = new Set(dismissed).add(pair.key);
+    localStorage.setItem(DISMISSED_KEY, JSON.stringify([...next]));
+    setDismissed(next);
+    message.info("Marked as different people");
+  };
+
+  const handleMerged = (kept, removedId) => {
+    setMergePair(null);
+    setMerged(true);
+    // Any other pair with the removed record is gone; the kept one may
+    // still match others, so show its merged values
+    setPairs((prev) =>
+      prev
+        .filter((p) => p.a.id !== removedId && p.b.id !== removedId)
+        .map((p) => ({
+          ...p,
+          a: p.a.id === kept.id ? kept : p.a,
+          b: p.b.id === kept.id ? kept : p.b,
+        })),
+    );
+  };
+
+  const close = () => {
+    onClose(merged);
+    setMerged(false);
+    setPairs([]);
+  };
+
+  const columns = [
+    { title: "Record", render: (_, p) => userCell(p.a) },
+    { title: "Possible duplicate", render: (_, p) => userCell(p.b) },
+    {
+      title: "Why",
+      render: (_, p) => (
+        <Space direction="vertical" size={4}>
+          {p.sameMobile && <Tag color="red">Same mobile</Tag>}
+          {p.nameScore >= NAME_MATCH_THRESHOLD && (
+            <Tag color="orange">
+              Name {Math.round(p.nameScore * 100)}% alike, same village
+            </Tag>
+          )}
+        </Space>
+      ),
+    },
+    {
+      title: "Actions",
+      align: "center",
+      render: (_, p) => (
+        <Space wrap>
+          <Button
+            type="primary"
+            icon={<MergeCellsOutlined />}
+            onClick={() => setMergePair(p)}
+          >
+            Merge
+          </Button>
+          <Button onClick={() => dismiss(p)}>Not duplicates</Button>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <Modal
+      open={open}
+      title="Duplicate Users"
+      width={980}
+      onCancel={close}
+      footer={[
+        <Button key="rescan" icon={<ReloadOutlined />} loading={scanning} onClick={scan}>
+          Scan again
+        </Button>,
+        <Button key="close" type="primary" onClick={close}>
+          Done
+        </Button>,
+      ]}
+    >
+      <Space direction="vertical" size={12} style={{ width: "100%" }}>
+        <Text type="secondary">
+          Matches users with the same mobile number, or names that read alike
+          in the same village. Check both records before merging.
+        </Text>
+
+        {error ? (
+          <Alert type="error" showIcon message={error} />
+        ) : scanning ? (
+          <Space direction="vertical" align="center" style={{ width: "100%", padding: 40 }}>
+            <Spin />
+            <Text type="secondary">Scanning users...</Text>
+          </Space>
+        ) : visible.length ? (
+          <>
+            <Text>
+              {visible.length} possible duplicate{visible.length === 1 ? "" : "s"} among{" "}
+              {scanned} users
+            </Text>
+            <Table
+              size="small"
+              rowKey="key"
+              columns={columns}
+              dataSource={visible}
+              pagination={{ pageSize: 10, size: "small", showSizeChanger: false }}
+              scroll={{ x: "100%" }}
+            />
+          </>
+        ) : (
+          <Empty description={`No duplicates found among ${scanned} users`} />
+        )}
+      </Space>
+
+      <MergeUsersModal
+        pair={mergePair}
+        onClose={() => setMergePair(null)}
+        onMerged={handleMerged}
+      />
+    </Modal>
+  );
+}
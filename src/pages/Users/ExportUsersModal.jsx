@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from "react";
+import {
+  Alert,
+  Checkbox,
+  Col,
+  Modal,
+  Radio,
+  Row,
+  Space,
+  Typography,
+  message,
+} from "antd";
+import { getErrorMessage, isSessionExpiredError, usersApi } from "../../api";
+import { getStoredUser } from "../../auth/session";
+import { ROLE_LABELS } from "../../auth/permissions";
+import { exportTable } from "../../utils/exporters";
+
+const { Text } = Typography;
+
+const fmtDate = (iso) =>
+  iso
+    ? new Date(iso).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+      })
+    : "";
+
+const EXPORT_COLUMNS = [
+  { key: "name", title: "Name" },
+  { key: "mobile", title: "Mobile" },
+  { key: "village", title: "Village" },
+  { key: "address", title: "Address" },
+  { key: "householdName", title: "Household" },
+  { key: "role", title: "Role", value: (u) => ROLE_LABELS[u.role] || u.role || "USER" },
+  { key: "status", title: "Status" },
+  { key: "createdAt", title: "Registered On", value: (u) => fmtDate(u.createdAt) },
+];
+
+const DEFAULT_COLUMNS = ["name", "mobile", "village", "status"];
+
+const FORMAT_OPTIONS = [
+  { value: "csv", label: "CSV" },
+  { value: "xlsx", label: "Excel" },
+  { value: "pdf", label: "PDF (print)" },
+];
+
+/**
+ * Exports every user matching the table's current filters, not just the
+ * visible page.
+ *
+ * @param {Object} props
+ * @param {"csv" | "xlsx" | "pdf" | null} props.format  opens the modal when set
+ * @param {import("../../api/users").UserQuery} props.query
+ * @param {number} props.total       rows matching the query
+ * @param {string} props.filtersLabel
+ * @param {() => void} props.onClose
+ */
+export default function ExportUsersModal({
+  format,
+  query,
+  total,
+  filtersLabel,
+  onClose,
+}) {
+  const [selectedFormat, setSelectedFormat] = useState(format || "csv");
+  const [columns, setColumns] = useState(DEFAULT_COLUMNS);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    if (format) setSelectedFormat(format);
+  }, [format]);
+
+  const runExport = async () => {
+    setExporting(true);
+    try {
+      const users = await usersApi.searchAll(query);
+      const rows = users.map((u, i) => ({ ...u, sno: i + 1 }));
+      const admin = getStoredUser();
+      await exportTable(selectedFormat, {
+        columns: [
+          { key: "sno", title: "S No" },
+          ...EXPORT_COLUMNS.filter((c) => columns.includes(c.key)),
+        ],
+        rows,
+        meta: {
+          title: "Sirivaram Members",
+          generatedBy: admin?.name || admin?.mobile || "Admin",
+          filters: filtersLabel,
+        },
+      });
+      message.success(`Exported ${rows.length} users`);
+      onClose();
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Export failed"));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Modal
+      open={!!format}
+      title="Export Users"
+      okText="Export"
+      okButtonProps={{ loading: exporting, disabled: !columns.length || !total }}
+      cancelButtonProps={{ disabled: exporting }}
+      onOk={runExport}
+      onCancel={onClose}
+    >
+      <Space direction="vertical" size={16} style={{ width: "100%" }}>
+        <Alert
+          type="info"
+          showIcon
+          message={`${total} user${total === 1 ? "" : "s"} match the current view`}
+          description={filtersLabel ? `Filters: ${filtersLabel}` : "No filters applied"}
+        />
+
+        <div>
+          <Text strong>Format</Text>
+          <div style={{ marginTop: 8 }}>
+            <Radio.Group
+              optionType="button"
+              options={FORMAT_OPTIONS}
+              value={selectedFormat}
+              onChange={(e) => setSelectedFormat(e.target.value)}
+            />
+          </div>
+        </div>
+
+        <div>
+          <Text strong>Columns</Text>
+          <Checkbox.Group
+            value={columns}
+            onChange={setColumns}
+            style={{ width: "100%", marginTop: 8 }}
+          >
+            <Row gutter={[8, 8]}>
+              {EXPORT_COLUMNS.map((c) => (
+                <Col span={12} key={c.key}>
+                  <Checkbox value={c.key}>{c.title}</Checkbox>
+                </Col>
+              ))}
+            </Row>
+          </Checkbox.Group>
+        </div>
+
+        <Text type="secondary" style={{ fontSize: 12 }}>
+          The file includes when it was generated and by whom.
+        </Text>
+      </Space>
+    </Modal>
+  );
+}
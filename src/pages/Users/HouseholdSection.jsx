@@ -0,0 +1,291 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import {
+  Button,
+  Card,
+  Empty,
+  List,
+  Modal,
+  Skeleton,
+  Space,
+  Tag,
+  Tooltip,
+  Typography,
+  message,
+} from "antd";
+import {
+  CrownOutlined,
+  DisconnectOutlined,
+  FilterOutlined,
+  HomeOutlined,
+  ExclamationCircleOutlined,
+} from "@ant-design/icons";
+import { getErrorMessage, householdsApi, isSessionExpiredError } from "../../api";
+import LinkHouseholdModal from "./LinkHouseholdModal";
+
+const { Title, Text } = Typography;
+
+/**
+ * Household block of the user drawer: the family, its head, shared address
+ * and members, with link / unlink / change-head actions for admins allowed
+ * to manage households.
+ *
+ * @param {Object} props
+ * @param {import("../../api/users").User} props.user
+ * @param {boolean} props.canManage
+ * @param {(changes: object) => void} props.onChanged  patch for `user`; the table is reloaded
+ * @param {(member: import("../../api/users").User) => void} props.onOpenMember
+ * @param {(household: { id: string, name: string }) => void} props.onFilter
+ */
+export default function HouseholdSection({
+  user,
+  canManage,
+  onChanged,
+  onOpenMember,
+  onFilter,
+}) {
+  const [household, setHousehold] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [linkOpen, setLinkOpen] = useState(false);
+  const householdRef = useRef(null);
+
+  const load = useCallback(async (householdId) => {
+    householdRef.current = householdId;
+    if (!householdId) {
+      setHousehold(null);
+      return;
+    }
+    setLoading(true);
+    try {
+      const data = await householdsApi.get(householdId);
+      if (householdRef.current === householdId) setHousehold(data);
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      if (householdRef.current === householdId) {
+        setHousehold(null);
+        message.error(getErrorMessage(err, "Could not load household"));
+      }
+    } finally {
+      if (householdRef.current === householdId) setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load(user.householdId);
+    return () => {
+      householdRef.current = null;
+    };
+  }, [user.householdId, load]);
+
+  const members = household?.members || [];
+
+  const makeHead = async (member) => {
+    setBusyId(member.id);
+    try {
+      await householdsApi.update(household.id, { headUserId: member.id });
+      message.success(`${member.name || "Member"} is now head of household`);
+      onChanged({ householdHead: member.id === user.id });
+      load(household.id);
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Could not change the head"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const removeMember = async (member) => {
+    setBusyId(member.id);
+    try {
+      await householdsApi.removeMember(household.id, member.id);
+      message.success(`${member.name || "Member"} removed from ${household.name}`);
+      if (member.id === user.id) {
+        onChanged({ householdId: null, householdName: null, householdHead: false });
+      } else {
+        onChanged({});
+        load(household.id);
+      }
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Could not remove member"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const confirmRemove = (member) => {
+    const isHead = member.id === household.headUserId;
+    Modal.confirm({
+      title: `Remove ${member.name || "this member"} from ${household.name}?`,
+      icon: <ExclamationCircleOutlined />,
+      content:
+        isHead && members.length > 1
+          ? "They are the head of household. Choose a new head afterwards."
+          : "Their own user record is not changed.",
+      okText: "Remove",
+      okButtonProps: { danger: true },
+      onOk: () => removeMember(member),
+    });
+  };
+
+  const linkModal = (
+    <LinkHouseholdModal
+      open={linkOpen}
+      users={[user]}
+      onClose={() => setLinkOpen(false)}
+      onLinked={(linked) => {
+        setLinkOpen(false);
+        onChanged({
+          householdId: linked.id,
+          householdName: linked.name,
+          householdHead: linked.headUserId === user.id,
+        });
+        if (linked.id === user.householdId) load(linked.id);
+      }}
+    />
+  );
+
+  let body;
+  if (loading && !household) {
+    body = <Skeleton active paragraph={{ rows: 3 }} />;
+  } else if (!household) {
+    body = (
+      <Empty
+        image={Empty.PRESENTED_IMAGE_SIMPLE}
+        description="Not part of a household"
+      >
+        {canManage && (
+          <Button icon={<HomeOutlined />} onClick={() => setLinkOpen(true)}>
+            Link to household
+          </Button>
+        )}
+      </Empty>
+    );
+  } else {
+    body = (
+      <Card
+        bordered={false}
+        style={{
+          borderRadius: 16,
+          background: "#fafafa",
+          border: "1px solid rgba(0,0,0,0.06)",
+        }}
+        bodyStyle={{ padding: 16 }}
+      >
+        <Space direction="vertical" size={12} style={{ width: "100%" }}>
+          <Space wrap style={{ width: "100%", justifyContent: "space-between" }}>
+            <Space direction="vertical" size={0}>
+              <Text strong style={{ fontSize: 16 }}>
+                <HomeOutlined /> {household.name}
+              </Text>
+              {household.village && (
+                <Text type="secondary" style={{ fontSize: 12 }}>
+                  {household.village}
+                </Text>
+              )}
+            </Space>
+            <Tooltip title="Show only this household in the table">
+              <Button
+                size="small"
+                icon={<FilterOutlined />}
+                onClick={() => onFilter(household)}
+              >
+                Filter table
+              </Button>
+            </Tooltip>
+          </Space>
+
+          <div>
+            <Text
+              type="secondary"
+              style={{ fontSize: 12, fontWeight: 600, textTransform: "uppercase" }}
+            >
+              Shared Address
+            </Text>
+            <div style={{ marginTop: 4 }}>
+              <Text>{household.address || "-"}</Text>
+            </div>
+          </div>
+
+          <List
+            size="small"
+            header={
+              <Text
+                type="secondary"
+                style={{ fontSize: 12, fontWeight: 600, textTransform: "uppercase" }}
+              >
+                Members ({members.length})
+              </Text>
+            }
+            dataSource={members}
+            rowKey="id"
+            renderItem={(member) => {
+              const isHead = member.id === household.headUserId;
+              const isCurrent = member.id === user.id;
+              return (
+                <List.Item
+                  actions={
+                    canManage
+                      ? [
+                          !isHead && (
+                            <Button
+                              key="head"
+                              type="link"
+                              size="small"
+                              loading={busyId === member.id}
+                              onClick={() => makeHead(member)}
+                            >
+                              Make head
+                            </Button>
+                          ),
+                          <Button
+                            key="remove"
+                            type="link"
+                            size="small"
+                            danger
+                            disabled={busyId === member.id}
+                            icon={<DisconnectOutlined />}
+                            onClick={() => confirmRemove(member)}
+                          />,
+                        ].filter(Boolean)
+                      : undefined
+                  }
+                >
+                  <Space direction="vertical" size={0}>
+                    <Space size={6} wrap>
+                      {isCurrent ? (
+                        <Text strong>{member.name || "-"}</Text>
+                      ) : (
+                        <Typography.Link onClick={() => onOpenMember(member)}>
+                          {member.name || "-"}
+                        </Typography.Link>
+                      )}
+                      {isHead && (
+                        <Tag icon={<CrownOutlined />} color="gold">
+                          Head
+                        </Tag>
+                      )}
+                    </Space>
+                    <Text type="secondary" style={{ fontSize: 12, fontFamily: "monospace" }}>
+                      {member.mobile || "-"}
+                    </Text>
+                  </Space>
+                </List.Item>
+              );
+            }}
+          />
+        </Space>
+      </Card>
+    );
+  }
+
+  return (
+    <div>
+      <Title level={5} style={{ marginBottom: 16 }}>
+        Household
+      </Title>
+      {body}
+      {canManage && linkModal}
+    </div>
+  );
+}
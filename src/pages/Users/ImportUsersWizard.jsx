@@ -0,0 +1,409 @@
+import React, { useMemo, useState } from "react";
+import {
+  Alert,
+  Button,
+  Col,
+  Modal,
+  Row,
+  Segmented,
+  Select,
+  Space,
+  Steps,
+  Table,
+  Tag,
+  Typography,
+  Upload,
+  message,
+} from "antd";
+import { InboxOutlined, DownloadOutlined } from "@ant-design/icons";
+import { getErrorMessage, isSessionExpiredError, usersApi } from "../../api";
+import useBulkRunner from "../../hooks/useBulkRunner";
+import BulkResultReport from "../../components/BulkResultReport";
+import { normalizeMobile } from "../../utils/mobile";
+import {
+  SPREADSHEET_ACCEPT,
+  downloadFile,
+  guessColumns,
+  readSpreadsheet,
+  toCsv,
+} from "../../utils/spreadsheet";
+import { validateUserFields } from "./userRules";
+
+const { Text } = Typography;
+
+const MAX_ROWS = 2000;
+
+const FIELDS = [
+  { key: "name", label: "Name", required: true },
+  { key: "mobile", label: "Mobile", required: true },
+  { key: "village", label: "Village" },
+  { key: "address", label: "Address" },
+];
+
+const HEADER_ALIASES = {
+  name: ["name", "full name", "person name", "member name"],
+  mobile: ["mobile", "mobile number", "mobile no", "phone", "phone number", "contact"],
+  village: ["village", "village name", "town"],
+  address: ["address", "house address", "residence"],
+};
+
+const STEPS = [
+  { title: "Upload" },
+  { title: "Map Columns" },
+  { title: "Review" },
+  { title: "Import" },
+];
+
+const buildRows = (rows, mapping) => {
+  const firstLine = {};
+  return rows.map((cells, i) => {
+    const pick = (field) =>
+      mapping[field] === undefined ? "" : String(cells[mapping[field]] ?? "").trim();
+    const values = {
+      name: pick("name"),
+      mobile: normalizeMobile(pick("mobile")),
+      village: pick("village"),
+      address: pick("address"),
+    };
+    const line = i + 1;
+    const errors = validateUserFields(values);
+    if (!errors.length) {
+      if (firstLine[values.mobile]) {
+        errors.push(`Same mobile as row ${firstLine[values.mobile]}`);
+      } else {
+        firstLine[values.mobile] = line;
+      }
+    }
+    return { key: line, line, rawMobile: pick("mobile"), values, errors };
+  });
+};
+
+/**
+ * CSV / Excel import: upload, map columns, dry-run review, then create the
+ * valid rows one by one with a per-row report.
+ *
+ * @param {{ open: boolean, onClose: (imported: boolean) => void }} props
+ */
+export default function ImportUsersWizard({ open, onClose }) {
+  const [step, setStep] = useState(0);
+  const [sheet, setSheet] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [rows, setRows] = useState([]);
+  const [checking, setChecking] = useState(false);
+  const [checkWarning, setCheckWarning] = useState("");
+  const [filter, setFilter] = useState("all");
+  const bulk = useBulkRunner();
+
+  const ready = useMemo(() => rows.filter((r) => !r.errors.length), [rows]);
+  const problems = rows.length - ready.length;
+
+  const reset = () => {
+    setStep(0);
+    setSheet(null);
+    setMapping({});
+    setRows([]);
+    setCheckWarning("");
+    setFilter("all");
+    bulk.reset();
+  };
+
+  const close = () => {
+    if (bulk.running) return;
+    const imported = bulk.results.some((r) => r.status === "success");
+    reset();
+    onClose(imported);
+  };
+
+  const handleFile = async (file) => {
+    try {
+      const parsed = await readSpreadsheet(file);
+      if (!parsed.headers.length || !parsed.rows.length) {
+        message.error("The file has no data rows");
+      } else if (parsed.rows.length > MAX_ROWS) {
+        message.error(`Import at most ${MAX_ROWS} rows at a time`);
+      } else {
+        setSheet({ fileName: file.name, ...parsed });
+        setMapping(guessColumns(parsed.headers, HEADER_ALIASES));
+        setStep(1);
+      }
+    } catch {
+      message.error("Could not read the file. Use CSV or Excel (.xlsx, .xls).");
+    }
+    // Never upload; the file is parsed in the browser
+    return false;
+  };
+
+  // Dry run: offline checks, duplicates in the file, then existing users
+  const review = async () => {
+    const built = buildRows(sheet.rows, mapping);
+    setChecking(true);
+    setCheckWarning("");
+    try {
+      const mobiles = [
+        ...new Set(built.filter((r) => !r.errors.length).map((r) => r.values.mobile)),
+      ];
+      const existing = mobiles.length ? await usersApi.findByMobiles(mobiles) : [];
+      const owners = new Map(existing.map((u) => [normalizeMobile(u.mobile), u]));
+      built.forEach((r) => {
+        const owner = !r.errors.length && owners.get(r.values.mobile);
+        if (owner) r.errors.push(`Already registered to ${owner.name || "a user"}`);
+      });
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      setCheckWarning(
+        `${getErrorMessage(err, "Could not check existing users")}. Rows with a registered mobile will fail during import.`,
+      );
+    } finally {
+      setChecking(false);
+    }
+    setRows(built);
+    setFilter(built.some((r) => r.errors.length) ? "problems" : "all");
+    setStep(2);
+  };
+
+  const startImport = () => {
+    setStep(3);
+    bulk.run(
+      ready,
+      (row) => usersApi.create(row.values),
+      rows
+        .filter((r) => r.errors.length)
+        .map((r) => ({ item: r, status: "skipped", reason: r.errors.join("; ") })),
+    );
+  };
+
+  const downloadReport = () => {
+    const lines = [
+      ["Row", "Name", "Mobile", "Village", "Result", "Reason"],
+      ...[...bulk.results]
+        .sort((a, b) => a.item.line - b.item.line)
+        .map((r) => [
+          r.item.line,
+          r.item.values.name,
+          r.item.values.mobile || r.item.rawMobile,
+          r.item.values.village,
+          r.status,
+          r.reason || "",
+        ]),
+    ];
+    downloadFile(toCsv(lines), `user-import-report-${Date.now()}.csv`);
+  };
+
+  const headerOptions = (sheet?.headers || []).map((h, i) => ({
+    value: i,
+    label: h || `Column ${i + 1}`,
+  }));
+  const mappingComplete = FIELDS.every(
+    (f) => !f.required || mapping[f.key] !== undefined,
+  );
+
+  const reviewColumns = [
+    { title: "Row", dataIndex: "line", width: 64, align: "center" },
+    {
+      title: "Name",
+      render: (_, r) => r.values.name || <Text type="danger">missing</Text>,
+    },
+    {
+      title: "Mobile",
+      render: (_, r) => (
+        <Text
+          type={r.errors.some((e) => /mobile/i.test(e)) ? "danger" : undefined}
+          style={{ fontFamily: "monospace" }}
+        >
+          {r.values.mobile || r.rawMobile || "missing"}
+        </Text>
+      ),
+    },
+    { title: "Village", render: (_, r) => r.values.village || "-", responsive: ["md"] },
+    {
+      title: "Check",
+      render: (_, r) =>
+        r.errors.length ? (
+          <Space direction="vertical" size={2}>
+            {r.errors.map((e) => (
+              <Text type="danger" key={e} style={{ fontSize: 12 }}>
+                {e}
+              </Text>
+            ))}
+          </Space>
+        ) : (
+          <Tag color="success">Ready</Tag>
+        ),
+    },
+  ];
+
+  const visibleRows =
+    filter === "ready"
+      ? ready
+      : filter === "problems"
+        ? rows.filter((r) => r.errors.length)
+        : rows;
+
+  const footer = {
+    0: [
+      <Button key="cancel" onClick={close}>
+        Cancel
+      </Button>,
+    ],
+    1: [
+      <Button key="back" onClick={() => setStep(0)}>
+        Back
+      </Button>,
+      <Button
+        key="next"
+        type="primary"
+        disabled={!mappingComplete}
+        loading={checking}
+        onClick={review}
+      >
+        Check Rows
+      </Button>,
+    ],
+    2: [
+      <Button key="back" onClick={() => setStep(1)}>
+        Back
+      </Button>,
+      <Button key="import" type="primary" disabled={!ready.length} onClick={startImport}>
+        Import {ready.length} User{ready.length === 1 ? "" : "s"}
+      </Button>,
+    ],
+    3: [
+      <Button
+        key="report"
+        icon={<DownloadOutlined />}
+        disabled={bulk.running}
+        onClick={downloadReport}
+      >
+        Download Report
+      </Button>,
+      <Button key="close" type="primary" disabled={bulk.running} onClick={close}>
+        {bulk.running ? "Importing..." : "Done"}
+      </Button>,
+    ],
+  }[step];
+
+  return (
+    <Modal
+      open={open}
+      title="Import Users"
+      width={900}
+      maskClosable={false}
+      closable={!bulk.running}
+      keyboard={!bulk.running}
+      onCancel={close}
+      footer={footer}
+    >
+      <Steps size="small" current={step} items={STEPS} style={{ marginBottom: 24 }} />
+
+      {step === 0 && (
+        <Space direction="vertical" size={12} style={{ width: "100%" }}>
+          <Upload.Dragger
+            accept={SPREADSHEET_ACCEPT}
+            beforeUpload={handleFile}
+            showUploadList={false}
+            maxCount={1}
+          >
+            <p className="ant-upload-drag-icon">
+              <InboxOutlined />
+            </p>
+            <p className="ant-upload-text">Click or drop a CSV / Excel file</p>
+            <p className="ant-upload-hint">
+              One villager per row with a header row. Name and mobile are
+              required; village and address are optional.
+            </p>
+          </Upload.Dragger>
+        </Space>
+      )}
+
+      {step === 1 && sheet && (
+        <Space direction="vertical" size={16} style={{ width: "100%" }}>
+          <Text type="secondary">
+            {sheet.fileName}: {sheet.rows.length} row
+            {sheet.rows.length === 1 ? "" : "s"}. Choose the column for each field.
+          </Text>
+          <Row gutter={[16, 16]}>
+            {FIELDS.map((f) => (
+              <Col xs={24} sm={12} key={f.key}>
+                <Text strong>
+                  {f.label}
+                  {f.required && <Text type="danger"> *</Text>}
+                </Text>
+                <Select
+                  allowClear={!f.required}
+                  placeholder={f.required ? "Select a column" : "Not in file"}
+                  options={headerOptions}
+                  value={mapping[f.key]}
+                  onChange={(index) => setMapping((m) => ({ ...m, [f.key]: index }))}
+                  style={{ width: "100%", marginTop: 4 }}
+                />
+              </Col>
+            ))}
+          </Row>
+          <Table
+            size="small"
+            title={() => "First rows with this mapping"}
+            pagination={false}
+            rowKey="line"
+            dataSource={buildRows(sheet.rows.slice(0, 5), mapping)}
+            columns={FIELDS.map((f) => ({
+              title: f.label,
+              render: (_, r) =>
+                f.key === "mobile" ? r.rawMobile || "-" : r.values[f.key] || "-",
+            }))}
+          />
+        </Space>
+      )}
+
+      {step === 2 && (
+        <Space direction="vertical" size={12} style={{ width: "100%" }}>
+          <Alert
+            type={problems ? "warning" : "success"}
+            showIcon
+            message={`Dry run: ${ready.length} of ${rows.length} rows will be imported.`}
+            description={
+              problems
+                ? `${problems} row${problems === 1 ? " has" : "s have"} problems and will be skipped. Fix the file and upload again to include them.`
+                : "No problems found. Nothing has been saved yet."
+            }
+          />
+          {checkWarning && <Alert type="error" showIcon message={checkWarning} />}
+          <Segmented
+            value={filter}
+            onChange={setFilter}
+            options={[
+              { value: "all", label: `All (${rows.length})` },
+              { value: "ready", label: `Ready (${ready.length})` },
+              { value: "problems", label: `Problems (${problems})` },
+            ]}
+          />
+          <Table
+            size="small"
+            rowKey="line"
+            columns={reviewColumns}
+            dataSource={visibleRows}
+            pagination={{ pageSize: 10, size: "small", showSizeChanger: false }}
+            scroll={{ x: "100%" }}
+          />
+        </Space>
+      )}
+
+      {step === 3 && (
+        <BulkResultReport
+          running={bulk.running}
+          total={bulk.total}
+          results={bulk.results}
+          renderItem={(r) => (
+            <Space direction="vertical" size={0}>
+              <Text strong>
+                Row {r.line}: {r.values.name || "-"}
+              </Text>
+              <Text type="secondary" style={{ fontSize: 12 }}>
+                {r.values.mobile || r.rawMobile || "-"}
+              </Text>
+            </Space>
+          )}
+        />
+      )}
+    </Modal>
+  );
+}
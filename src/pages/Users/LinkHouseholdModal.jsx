@@ -0,0 +1,253 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  Alert,
+  Form,
+  Input,
+  Modal,
+  Radio,
+  Select,
+  Space,
+  Typography,
+  message,
+} from "antd";
+import { getErrorMessage, householdsApi, isSessionExpiredError } from "../../api";
+
+const { Text } = Typography;
+
+const useDebouncedValue = (value, delay = 300) => {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const t = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(t);
+  }, [value, delay]);
+  return debounced;
+};
+
+const userLabel = (u) => `${u.name || "Unnamed"} (${u.mobile || "-"})`;
+
+/**
+ * Puts one or more users into a household, either an existing one or a new
+ * one headed by one of them. The head's address becomes the shared address
+ * unless the admin types another.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {import("../../api/users").User[]} props.users
+ * @param {() => void} props.onClose
+ * @param {(household: import("../../api/households").Household) => void} props.onLinked
+ */
+export default function LinkHouseholdModal({ open, users, onClose, onLinked }) {
+  const [form] = Form.useForm();
+  const mode = Form.useWatch("mode", form);
+  const [saving, setSaving] = useState(false);
+
+  // `loadedFor` is the search the current list answers
+  const [households, setHouseholds] = useState([]);
+  const [loadedFor, setLoadedFor] = useState(null);
+  const [search, setSearch] = useState("");
+  const debouncedSearch = useDebouncedValue(search).trim();
+  const searching = mode === "existing" && loadedFor !== debouncedSearch;
+
+  useEffect(() => {
+    if (!open || mode !== "existing") return undefined;
+    let cancelled = false;
+    householdsApi
+      .list({ q: debouncedSearch })
+      .then((list) => {
+        if (!cancelled) setHouseholds(list);
+      })
+      .catch((err) => {
+        if (isSessionExpiredError(err) || cancelled) return;
+        message.error(getErrorMessage(err, "Could not load households"));
+      })
+      .finally(() => {
+        if (!cancelled) setLoadedFor(debouncedSearch);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, mode, debouncedSearch]);
+
+  const alreadyLinked = useMemo(
+    () => users.filter((u) => u.householdId),
+    [users],
+  );
+
+  const initialValues = useMemo(() => {
+    const head = users[0];
+    return {
+      mode: "new",
+      name: head?.name ? `${head.name} family` : "",
+      headUserId: head?.id,
+      address: head?.address || "",
+      village: head?.village || "",
+    };
+  }, [users]);
+
+  const onHeadChange = (headUserId) => {
+    const head = users.find((u) => u.id === headUserId);
+    if (!head) return;
+    form.setFieldsValue({
+      address: head.address || form.getFieldValue("address"),
+      village: head.village || form.getFieldValue("village"),
+    });
+  };
+
+  const addToExisting = async (householdId) => {
+    const failed = [];
+    for (const user of users) {
+      try {
+        await householdsApi.addMember(householdId, user.id);
+      } catch (err) {
+        if (isSessionExpiredError(err)) return null;
+        failed.push(`${user.name || user.mobile}: ${getErrorMessage(err, "failed")}`);
+      }
+    }
+    if (failed.length === users.length) {
+      message.error(failed.join("; "));
+      return null;
+    }
+    if (failed.length) message.warning(`Some users were not added. ${failed.join("; ")}`);
+    else message.success("Added to household");
+    return households.find((h) => h.id === householdId) || { id: householdId };
+  };
+
+  const createNew = async (values) => {
+    try {
+      const household = await householdsApi.create({
+        name: values.name.trim(),
+        headUserId: values.headUserId,
+        address: values.address?.trim() || "",
+        village: values.village?.trim() || "",
+        memberIds: users.map((u) => u.id),
+      });
+      message.success(`${values.name.trim()} created`);
+      return household || {};
+    } catch (err) {
+      if (isSessionExpiredError(err)) return null;
+      message.error(getErrorMessage(err, "Could not create household"));
+      return null;
+    }
+  };
+
+  const submit = async (values) => {
+    setSaving(true);
+    const household =
+      values.mode === "existing"
+        ? await addToExisting(values.householdId)
+        : await createNew(values);
+    setSaving(false);
+    if (household) onLinked(household);
+  };
+
+  const householdOptions = households.map((h) => ({
+    value: h.id,
+    label: [h.name, h.village, h.memberCount != null && `${h.memberCount} members`]
+      .filter(Boolean)
+      .join(" · "),
+  }));
+
+  return (
+    <Modal
+      open={open}
+      title={
+        users.length === 1
+          ? `Link ${users[0].name || "user"} to a household`
+          : `Link ${users.length} users to a household`
+      }
+      okText={mode === "existing" ? "Add to Household" : "Create Household"}
+      okButtonProps={{ loading: saving }}
+      cancelButtonProps={{ disabled: saving }}
+      onOk={() => form.submit()}
+      onCancel={onClose}
+      afterClose={() => {
+        form.resetFields();
+        setSearch("");
+        setLoadedFor(null);
+      }}
+      destroyOnClose
+    >
+      <Space direction="vertical" size={12} style={{ width: "100%" }}>
+        {alreadyLinked.length > 0 && (
+          <Alert
+            type="warning"
+            showIcon
+            message={`${alreadyLinked.map((u) => u.name || u.mobile).join(", ")} already ${
+              alreadyLinked.length === 1 ? "belongs" : "belong"
+            } to a household and will be moved.`}
+          />
+        )}
+
+        <Form
+          form={form}
+          layout="vertical"
+          initialValues={initialValues}
+          onFinish={submit}
+        >
+          <Form.Item name="mode">
+            <Radio.Group optionType="button">
+              <Radio value="new">New household</Radio>
+              <Radio value="existing">Existing household</Radio>
+            </Radio.Group>
+          </Form.Item>
+
+          {mode === "existing" ? (
+            <Form.Item
+              label="Household"
+              name="householdId"
+              rules={[{ required: true, message: "Choose a household" }]}
+            >
+              <Select
+                showSearch
+                filterOption={false}
+                placeholder="Search by family name or head"
+                options={householdOptions}
+                loading={searching}
+                onSearch={setSearch}
+                notFoundContent={searching ? "Searching..." : "No households found"}
+              />
+            </Form.Item>
+          ) : (
+            <>
+              <Form.Item
+                label="Family Name"
+                name="name"
+                rules={[
+                  { required: true, whitespace: true, message: "Enter a family name" },
+                ]}
+              >
+                <Input placeholder="e.g. Reddy family" />
+              </Form.Item>
+              <Form.Item
+                label="Head of Household"
+                name="headUserId"
+                rules={[{ required: true, message: "Choose the head" }]}
+              >
+                <Select
+                  options={users.map((u) => ({ value: u.id, label: userLabel(u) }))}
+                  onChange={onHeadChange}
+                />
+              </Form.Item>
+              <Form.Item
+                label="Shared Address"
+                name="address"
+                extra="Shown for every member of the household."
+              >
+                <Input.TextArea autoSize={{ minRows: 2, maxRows: 4 }} />
+              </Form.Item>
+              <Form.Item label="Village" name="village">
+                <Input />
+              </Form.Item>
+            </>
+          )}
+        </Form>
+
+        {users.length > 1 && (
+          <Text type="secondary" style={{ fontSize: 12 }}>
+            Members: {users.map(userLabel).join(", ")}
+          </Text>
+        )}
+      </Space>
+    </Modal>
+  );
+}
@@ -0,0 +1,249 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  Alert,
+  Modal,
+  Radio,
+  Space,
+  Table,
+  Tag,
+  Typography,
+  message,
+} from "antd";
+import { ExclamationCircleOutlined } from "@ant-design/icons";
+import { getErrorMessage, isSessionExpiredError, usersApi } from "../../api";
+
+const { Text } = Typography;
+
+const FIELDS = [
+  { key: "name", label: "Name" },
+  { key: "mobile", label: "Mobile" },
+  { key: "village", label: "Village" },
+  { key: "address", label: "Address" },
+];
+
+const fmtINR = (num) => `₹ ${(Number(num) || 0).toLocaleString("en-IN")}`;
+
+const fmtDate = (iso) =>
+  iso
+    ? new Date(iso).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+      })
+    : "-";
+
+const isBlank = (v) => v === null || v === undefined || String(v).trim() === "";
+
+// Prefer the approved record, then the older registration
+const defaultKeep = (a, b) => {
+  if (a.status === "APPROVED" && b.status !== "APPROVED") return "a";
+  if (b.status === "APPROVED" && a.status !== "APPROVED") return "b";
+  if (a.createdAt && b.createdAt) {
+    return new Date(b.createdAt) < new Date(a.createdAt) ? "b" : "a";
+  }
+  return "a";
+};
+
+const defaultChoices = (records, keep) => {
+  const other = keep === "a" ? "b" : "a";
+  return Object.fromEntries(
+    FIELDS.map((f) => [
+      f.key,
+      isBlank(records[keep][f.key]) && !isBlank(records[other][f.key]) ? other : keep,
+    ]),
+  );
+};
+
+/**
+ * Merge screen for a duplicate pair. The admin picks which record survives
+ * (its id, role and login stay) and, field by field, which value it keeps.
+ * The other record's payments and history move over before it is deleted.
+ *
+ * @param {Object} props
+ * @param {import("../../utils/duplicates").DuplicatePair | null} props.pair  opens the modal when set
+ * @param {() => void} props.onClose
+ * @param {(kept: import("../../api/users").User, removedId: string) => void} props.onMerged
+ */
+export default function MergeUsersModal({ pair, onClose, onMerged }) {
+  const records = useMemo(() => (pair ? { a: pair.a, b: pair.b } : null), [pair]);
+  const [keep, setKeep] = useState("a");
+  const [choices, setChoices] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState("");
+  const [merging, setMerging] = useState(false);
+
+  // Reset when another pair is opened
+  const [openedPair, setOpenedPair] = useState(null);
+  if (records && pair !== openedPair) {
+    const initialKeep = defaultKeep(records.a, records.b);
+    setOpenedPair(pair);
+    setKeep(initialKeep);
+    setChoices(defaultChoices(records, initialKeep));
+    setPreview(null);
+    setPreviewError("");
+  }
+
+  const kept = records?.[keep];
+  const removed = records?.[keep === "a" ? "b" : "a"];
+
+  useEffect(() => {
+    if (!kept || !removed) return undefined;
+    let cancelled = false;
+    usersApi
+      .mergePreview(kept.id, removed.id)
+      .then((data) => {
+        if (!cancelled) setPreview({ ...data, forId: removed.id });
+      })
+      .catch((err) => {
+        if (isSessionExpiredError(err) || cancelled) return;
+        setPreviewError(getErrorMessage(err, "Could not check linked records"));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [kept, removed]);
+
+  if (!records) return null;
+
+  const changeKeep = (value) => {
+    setKeep(value);
+    setChoices(defaultChoices(records, value));
+    setPreview(null);
+    setPreviewError("");
+  };
+
+  const values = Object.fromEntries(
+    FIELDS.map((f) => [f.key, records[choices[f.key] || keep][f.key] ?? ""]),
+  );
+
+  const merge = async () => {
+    setMerging(true);
+    try {
+      const user = await usersApi.merge(kept.id, { mergeId: removed.id, values });
+      message.success(`Merged into ${values.name || "the kept record"}`);
+      onMerged({ ...kept, ...values, ...(user || {}) }, removed.id);
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Merge failed"));
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  const confirmMerge = () => {
+    Modal.confirm({
+      title: `Merge ${removed.name || "this record"} into ${kept.name || "the kept record"}?`,
+      icon: <ExclamationCircleOutlined />,
+      content: (
+        <Space direction="vertical" size={4}>
+          {FIELDS.map((f) => (
+            <Text key={f.key}>
+              {f.label}: <Text strong>{values[f.key] || "-"}</Text>
+            </Text>
+          ))}
+          <Text type="secondary">
+            The other record is deleted. This cannot be undone.
+          </Text>
+        </Space>
+      ),
+      okText: "Merge",
+      okButtonProps: { danger: true },
+      onOk: merge,
+    });
+  };
+
+  const recordHeader = (side) => {
+    const u = records[side];
+    return (
+      <Space direction="vertical" size={2}>
+        <Radio checked={keep === side} onChange={() => changeKeep(side)}>
+          <Text strong>Keep this record</Text>
+        </Radio>
+        <Space size={4} wrap>
+          <Tag>{u.status || "-"}</Tag>
+          {u.role && u.role !== "USER" && <Tag color="blue">{u.role}</Tag>}
+        </Space>
+        <Text type="secondary" style={{ fontSize: 12 }}>
+          ID {u.id} · registered {fmtDate(u.createdAt)}
+        </Text>
+        {u.householdName && (
+          <Text type="secondary" style={{ fontSize: 12 }}>
+            Household: {u.householdName}
+          </Text>
+        )}
+      </Space>
+    );
+  };
+
+  const valueCell = (side) => (_, field) => {
+    const value = records[side][field.key];
+    return (
+      <Radio
+        checked={(choices[field.key] || keep) === side}
+        disabled={isBlank(value)}
+        onChange={() => setChoices((c) => ({ ...c, [field.key]: side }))}
+      >
+        <Text style={field.key === "mobile" ? { fontFamily: "monospace" } : undefined}>
+          {isBlank(value) ? "-" : value}
+        </Text>
+      </Radio>
+    );
+  };
+
+  const currentPreview = preview?.forId === removed.id ? preview : null;
+
+  return (
+    <Modal
+      open={!!pair}
+      title="Merge Users"
+      width={760}
+      okText="Merge"
+      okButtonProps={{ danger: true, loading: merging }}
+      cancelButtonProps={{ disabled: merging }}
+      onOk={confirmMerge}
+      onCancel={() => !merging && onClose()}
+      maskClosable={false}
+    >
+      <Space direction="vertical" size={16} style={{ width: "100%" }}>
+        <Table
+          size="small"
+          bordered
+          pagination={false}
+          rowKey="key"
+          dataSource={FIELDS}
+          columns={[
+            { title: "Field", dataIndex: "label", width: 90 },
+            { title: recordHeader("a"), render: valueCell("a") },
+            { title: recordHeader("b"), render: valueCell("b") },
+          ]}
+        />
+
+        {previewError ? (
+          <Alert
+            type="warning"
+            showIcon
+            message={previewError}
+            description="Linked payments are still moved when the merge runs."
+          />
+        ) : (
+          <Alert
+            type="info"
+            showIcon
+            message={
+              currentPreview
+                ? `${currentPreview.payments} payment${
+                    currentPreview.payments === 1 ? "" : "s"
+                  } (${fmtINR(currentPreview.paymentsTotal)}) from ${
+                    removed.name || "the other record"
+                  } will move to the kept record.`
+                : "Checking linked payments..."
+            }
+            description={`Status history and household membership move too, then ${
+              removed.name || "the other record"
+            } (${removed.mobile || "-"}) is deleted.`}
+          />
+        )}
+      </Space>
+    </Modal>
+  );
+}
@@ -0,0 +1,98 @@
+import React from "react";
+import { Checkbox, Form, Input, Modal, Select } from "antd";
+
+const REJECTION_REASONS = [
+  "Not a resident or family member of Sirivaram",
+  "Could not verify identity",
+  "Duplicate registration",
+  "Incomplete or incorrect details",
+];
+
+const OTHER = "__other__";
+
+const REASON_OPTIONS = [
+  ...REJECTION_REASONS.map((r) => ({ value: r, label: r })),
+  { value: OTHER, label: "Other (write a reason)" },
+];
+
+/**
+ * Asks for the reason shown to the villager before rejecting.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {string} props.title
+ * @param {boolean} [props.loading]
+ * @param {React.ReactNode} [props.summary]  who is being rejected
+ * @param {(payload: { reason: string, notify: boolean }) => void} props.onSubmit
+ * @param {() => void} props.onCancel
+ */
+const RejectReasonModal = ({
+  open,
+  title,
+  loading,
+  summary,
+  onSubmit,
+  onCancel,
+}) => {
+  const [form] = Form.useForm();
+  const preset = Form.useWatch("preset", form);
+
+  const handleFinish = ({ preset: picked, details, notify }) => {
+    const note = details?.trim();
+    const reason =
+      picked === OTHER ? note : note ? `${picked}: ${note}` : picked;
+    onSubmit({ reason, notify: !!notify });
+  };
+
+  return (
+    <Modal
+      open={open}
+      title={title}
+      okText="Reject"
+      okButtonProps={{ danger: true, loading }}
+      cancelButtonProps={{ disabled: loading }}
+      onOk={() => form.submit()}
+      onCancel={onCancel}
+      afterClose={() => form.resetFields()}
+      destroyOnClose
+    >
+      {summary}
+      <Form
+        form={form}
+        layout="vertical"
+        initialValues={{ notify: true }}
+        onFinish={handleFinish}
+      >
+        <Form.Item
+          label="Reason"
+          name="preset"
+          rules={[{ required: true, message: "Choose a reason" }]}
+        >
+          <Select options={REASON_OPTIONS} placeholder="Why is this rejected?" />
+        </Form.Item>
+        <Form.Item
+          label={preset === OTHER ? "Reason" : "Details (optional)"}
+          name="details"
+          rules={[
+            {
+              required: preset === OTHER,
+              whitespace: true,
+              message: "Write the reason",
+            },
+            { max: 300, message: "Keep it under 300 characters" },
+          ]}
+        >
+          <Input.TextArea
+            autoSize={{ minRows: 2, maxRows: 4 }}
+            placeholder="Shown to the user"
+          />
+        </Form.Item>
+        <Form.Item name="notify" valuePropName="checked" style={{ marginBottom: 0 }}>
+          <Checkbox>Notify the user by SMS with this reason</Checkbox>
+        </Form.Item>
+      </Form>
+    </Modal>
+  );
+};
+
+export default RejectReasonModal;
@@ -0,0 +1,333 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  Alert,
+  Card,
+  Col,
+  Empty,
+  Row,
+  Segmented,
+  Skeleton,
+  Space,
+  Statistic,
+  Table,
+  Tag,
+  Typography,
+} from "antd";
+import { CheckCircleOutlined, ClockCircleOutlined } from "@ant-design/icons";
+import {
+  eventsApi,
+  getErrorMessage,
+  isSessionExpiredError,
+  paymentsApi,
+} from "../../api";
+
+const { Title, Text } = Typography;
+
+const fmtINR = (num) => `₹ ${(Number(num) || 0).toLocaleString("en-IN")}`;
+
+const fmtDate = (iso) =>
+  iso
+    ? new Date(iso).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+      })
+    : "-";
+
+const PAYMENT_STATUS = {
+  VERIFIED: { color: "success", label: "Verified" },
+  PENDING_VERIFICATION: { color: "warning", label: "Pending" },
+  REJECTED: { color: "error", label: "Rejected" },
+};
+
+const cardStyle = {
+  borderRadius: 16,
+  background: "#fafafa",
+  border: "1px solid rgba(0,0,0,0.06)",
+};
+
+const sectionLabel = (text) => (
+  <Text
+    type="secondary"
+    style={{ fontSize: 12, fontWeight: 600, textTransform: "uppercase" }}
+  >
+    {text}
+  </Text>
+);
+
+/**
+ * Activity block of the user drawer: registration and approval dates and,
+ * for admins who can see payments, what the person (or their household)
+ * has paid, per year and per event. Only verified payments count towards
+ * the totals.
+ *
+ * @param {Object} props
+ * @param {import("../../api/users").User} props.user
+ * @param {import("../../api/users").StatusChange[]} props.history
+ * @param {boolean} props.canViewPayments
+ */
+export default function UserActivity({ user, history, canViewPayments }) {
+  const [scope, setScope] = useState("person");
+  const [result, setResult] = useState(null);
+  const [events, setEvents] = useState([]);
+
+  const inHousehold = !!user.householdId;
+  const activeScope = inHousehold ? scope : "person";
+  const requestKey = `${user.id}|${activeScope}`;
+
+  useEffect(() => {
+    if (!canViewPayments) return undefined;
+    let cancelled = false;
+    eventsApi
+      .list()
+      .then((list) => {
+        if (!cancelled) setEvents(list);
+      })
+      .catch(() => {
+        // Payments still show, with the event id instead of its title
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [canViewPayments]);
+
+  useEffect(() => {
+    if (!canViewPayments) return undefined;
+    let cancelled = false;
+    const payer =
+      activeScope === "household"
+        ? { householdId: user.householdId }
+        : { userId: user.id, mobile: user.mobile };
+    paymentsApi
+      .listByPayer(payer)
+      .then((payments) => {
+        if (!cancelled) setResult({ key: requestKey, payments, error: "" });
+      })
+      .catch((err) => {
+        if (isSessionExpiredError(err) || cancelled) return;
+        setResult({
+          key: requestKey,
+          payments: [],
+          error: getErrorMessage(err, "Could not load payments"),
+        });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    canViewPayments,
+    activeScope,
+    requestKey,
+    user.id,
+    user.mobile,
+    user.householdId,
+  ]);
+
+  const current = result?.key === requestKey ? result : null;
+  const payments = useMemo(() => current?.payments || [], [current]);
+
+  const eventTitle = useMemo(() => {
+    const titles = new Map(events.map((e) => [String(e.id), e.title]));
+    return (id) => titles.get(String(id)) || `Event ${id}`;
+  }, [events]);
+
+  const summary = useMemo(() => {
+    const verified = payments.filter((p) => p.status === "VERIFIED");
+    const pending = payments.filter((p) => p.status === "PENDING_VERIFICATION");
+
+    const years = new Map();
+    verified.forEach((p) => {
+      const year = p.paidOnDate ? new Date(p.paidOnDate).getFullYear() : "Unknown";
+      const row = years.get(year) || { year, amount: 0, count: 0 };
+      row.amount += Number(p.amount) || 0;
+      row.count += 1;
+      years.set(year, row);
+    });
+
+    // One entry per event; verified wins over pending
+    const paidEvents = new Map();
+    [...pending, ...verified].forEach((p) => {
+      paidEvents.set(String(p.eventId), { eventId: p.eventId, status: p.status });
+    });
+
+    return {
+      total: verified.reduce((sum, p) => sum + (Number(p.amount) || 0), 0),
+      pendingTotal: pending.reduce((sum, p) => sum + (Number(p.amount) || 0), 0),
+      years: [...years.values()].sort((a, b) => String(b.year).localeCompare(String(a.year))),
+      events: [...paidEvents.values()],
+    };
+  }, [payments]);
+
+  const approvedAt =
+    user.approvedAt ||
+    [...history].reverse().find((h) => h.status === "APPROVED")?.changedAt;
+
+  const paymentColumns = [
+    { title: "Date", dataIndex: "paidOnDate", render: fmtDate, width: 110 },
+    { title: "Event", dataIndex: "eventId", render: eventTitle, ellipsis: true },
+    ...(activeScope === "household"
+      ? [{ title: "Paid By", dataIndex: "payerName", ellipsis: true }]
+      : []),
+    {
+      title: "Amount",
+      dataIndex: "amount",
+      align: "right",
+      render: fmtINR,
+    },
+    {
+      title: "Status",
+      dataIndex: "status",
+      align: "center",
+      render: (s) => {
+        const style = PAYMENT_STATUS[s] || { color: "default", label: s || "-" };
+        return <Tag color={style.color}>{style.label}</Tag>;
+      },
+    },
+  ];
+
+  return (
+    <div>
+      <Title level={5} style={{ marginBottom: 16 }}>
+        Activity
+      </Title>
+
+      <Space direction="vertical" size={16} style={{ width: "100%" }}>
+        <Card bordered={false} style={cardStyle} bodyStyle={{ padding: 16 }}>
+          <Row gutter={16}>
+            <Col span={12}>
+              {sectionLabel("Registered")}
+              <div style={{ marginTop: 4 }}>
+                <Text strong>{fmtDate(user.createdAt)}</Text>
+              </div>
+            </Col>
+            <Col span={12}>
+              {sectionLabel("Approved")}
+              <div style={{ marginTop: 4 }}>
+                <Text strong>
+                  {approvedAt
+                    ? fmtDate(approvedAt)
+                    : user.status === "APPROVED"
+                      ? "-"
+                      : "Not yet"}
+                </Text>
+              </div>
+            </Col>
+          </Row>
+        </Card>
+
+        {canViewPayments && (
+          <>
+            {inHousehold && (
+              <Segmented
+                block
+                value={activeScope}
+                onChange={setScope}
+                options={[
+                  { value: "person", label: "This person" },
+                  { value: "household", label: user.householdName || "Household" },
+                ]}
+              />
+            )}
+
+            {!current ? (
+              <Skeleton active paragraph={{ rows: 4 }} />
+            ) : current.error ? (
+              <Alert type="error" showIcon message={current.error} />
+            ) : !payments.length ? (
+              <Empty
+                image={Empty.PRESENTED_IMAGE_SIMPLE}
+                description="No payments recorded"
+              />
+            ) : (
+              <>
+                <Row gutter={12}>
+                  <Col span={12}>
+                    <Card bordered={false} style={cardStyle} bodyStyle={{ padding: 12 }}>
+                      <Statistic
+                        title="Contributed"
+                        value={summary.total}
+                        formatter={(v) => fmtINR(v)}
+                        valueStyle={{ fontSize: 18, color: "#389e0d" }}
+                      />
+                    </Card>
+                  </Col>
+                  <Col span={12}>
+                    <Card bordered={false} style={cardStyle} bodyStyle={{ padding: 12 }}>
+                      <Statistic
+                        title="Awaiting verification"
+                        value={summary.pendingTotal}
+                        formatter={(v) => fmtINR(v)}
+                        valueStyle={{ fontSize: 18, color: "#d48806" }}
+                      />
+                    </Card>
+                  </Col>
+                </Row>
+
+                {summary.years.length > 0 && (
+                  <div>
+                    {sectionLabel("Contributed per year")}
+                    <Table
+                      size="small"
+                      style={{ marginTop: 8 }}
+                      pagination={false}
+                      rowKey="year"
+                      dataSource={summary.years}
+                      columns={[
+                        { title: "Year", dataIndex: "year" },
+                        { title: "Payments", dataIndex: "count", align: "center" },
+                        {
+                          title: "Amount",
+                          dataIndex: "amount",
+                          align: "right",
+                          render: fmtINR,
+                        },
+                      ]}
+                    />
+                  </div>
+                )}
+
+                <div>
+                  {sectionLabel("Events paid for")}
+                  <div style={{ marginTop: 8 }}>
+                    {summary.events.length ? (
+                      <Space size={[6, 6]} wrap>
+                        {summary.events.map((e) =>
+                          e.status === "VERIFIED" ? (
+                            <Tag key={e.eventId} color="success" icon={<CheckCircleOutlined />}>
+                              {eventTitle(e.eventId)}
+                            </Tag>
+                          ) : (
+                            <Tag key={e.eventId} color="warning" icon={<ClockCircleOutlined />}>
+                              {eventTitle(e.eventId)}
+                            </Tag>
+                          ),
+                        )}
+                      </Space>
+                    ) : (
+                      <Text type="secondary">None verified or pending</Text>
+                    )}
+                  </div>
+                </div>
+
+                <div>
+                  {sectionLabel(`Payments (${payments.length})`)}
+                  <Table
+                    size="small"
+                    style={{ marginTop: 8 }}
+                    rowKey="id"
+                    dataSource={payments}
+                    columns={paymentColumns}
+                    pagination={
+                      payments.length > 5 ? { pageSize: 5, size: "small" } : false
+                    }
+                    scroll={{ x: "100%" }}
+                  />
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </Space>
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+import React, { useState } from "react";
+import {
+  Button,
+  Form,
+  Input,
+  Modal,
+  Select,
+  Space,
+  Table,
+  Typography,
+  message,
+} from "antd";
+import { ExclamationCircleOutlined } from "@ant-design/icons";
+import { getErrorMessage, isSessionExpiredError, usersApi } from "../../api";
+import { ROLE_LABELS, ROLE_OPTIONS } from "../../auth/permissions";
+import { normalizeMobile } from "../../utils/mobile";
+import { NAME_RULES, mobileRules } from "./userRules";
+
+const { Text } = Typography;
+
+const DEFAULT_ROLE = "USER";
+const ROLE_CHOICES = [{ value: DEFAULT_ROLE, label: "User" }, ...ROLE_OPTIONS];
+
+const FIELDS = [
+  { key: "name", label: "Name" },
+  { key: "mobile", label: "Mobile" },
+  { key: "village", label: "Village" },
+  { key: "address", label: "Address" },
+  { key: "role", label: "Role" },
+];
+
+const display = (key, value) => {
+  if (value === null || value === undefined || value === "") return "-";
+  return key === "role" ? ROLE_LABELS[value] || value : String(value);
+};
+
+const clean = (values) => ({
+  name: values.name.trim(),
+  mobile: normalizeMobile(values.mobile),
+  village: values.village?.trim() || "",
+  address: values.address?.trim() || "",
+  role: values.role,
+});
+
+/**
+ * Edit mode of the user drawer. Shows a before/after diff and saves only
+ * after the admin confirms it.
+ *
+ * @param {Object} props
+ * @param {import("../../api/users").User} props.user
+ * @param {boolean} props.canEditRole
+ * @param {boolean} props.canEditMobile  false for another admin's account unless super admin
+ * @param {(user: object) => void} props.onSaved
+ * @param {() => void} props.onCancel
+ */
+export default function UserEditForm({
+  user,
+  canEditRole,
+  canEditMobile,
+  onSaved,
+  onCancel,
+}) {
+  const [form] = Form.useForm();
+  const [saving, setSaving] = useState(false);
+  // What the form starts from; an account without a role is a plain user,
+  // so the diff below must not report that as a change
+  const current = {
+    name: user.name,
+    mobile: user.mobile,
+    village: user.village,
+    address: user.address,
+    role: user.role || DEFAULT_ROLE,
+  };
+
+  const save = async (changes) => {
+    setSaving(true);
+    try {
+      const updated = await usersApi.update(user.id, changes);
+      message.success("User details updated");
+      onSaved({ ...user, ...changes, ...(updated || {}) });
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      message.error(getErrorMessage(err, "Could not update user"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const confirmChanges = (values) => {
+    const next = { ...clean(values), ...(canEditMobile ? {} : { mobile: current.mobile }) };
+    const changed = FIELDS.filter(
+      (f) => (next[f.key] ?? "") !== (current[f.key] ?? ""),
+    );
+    if (!changed.length) {
+      message.info("No changes to save");
+      return;
+    }
+
+    const payload = { ...next };
+    if (!canEditRole || next.role === current.role) delete payload.role;
+    if (!canEditMobile) delete payload.mobile;
+
+    Modal.confirm({
+      title: "Save these changes?",
+      icon: <ExclamationCircleOutlined />,
+      width: 560,
+      content: (
+        <Table
+          size="small"
+          pagination={false}
+          rowKey="key"
+          dataSource={changed}
+          columns={[
+            { title: "Field", dataIndex: "label", width: 90 },
+            {
+              title: "Before",
+              render: (_, f) => (
+                <Text delete type="secondary">
+                  {display(f.key, current[f.key])}
+                </Text>
+              ),
+            },
+            {
+              title: "After",
+              render: (_, f) => <Text strong>{display(f.key, next[f.key])}</Text>,
+            },
+          ]}
+        />
+      ),
+      okText: "Save",
+      cancelText: "Keep editing",
+      onOk: () => save(payload),
+    });
+  };
+
+  return (
+    <Form
+      form={form}
+      layout="vertical"
+      onFinish={confirmChanges}
+      initialValues={current}
+    >
+      <Form.Item label="Name" name="name" rules={NAME_RULES}>
+        <Input />
+      </Form.Item>
+      <Form.Item
+        label="Mobile"
+        name="mobile"
+        rules={
+          canEditMobile ? mobileRules({ excludeId: user.id, current: user.mobile }) : []
+        }
+        validateDebounce={400}
+        hasFeedback={canEditMobile}
+        extra={
+          canEditMobile ? undefined : "Only a super admin can change an admin's mobile number."
+        }
+      >
+        <Input inputMode="tel" maxLength={16} disabled={!canEditMobile} />
+      </Form.Item>
+      <Form.Item label="Village" name="village">
+        <Input />
+      </Form.Item>
+      <Form.Item label="Address" name="address">
+        <Input.TextArea autoSize={{ minRows: 2, maxRows: 4 }} />
+      </Form.Item>
+      <Form.Item
+        label="Role"
+        name="role"
+        extra={canEditRole ? undefined : "Only a super admin can change roles."}
+      >
+        <Select options={ROLE_CHOICES} disabled={!canEditRole} />
+      </Form.Item>
+      <Space>
+        <Button type="primary" htmlType="submit" loading={saving}>
+          Review changes
+        </Button>
+        <Button onClick={onCancel} disabled={saving}>
+          Cancel
+        </Button>
+      </Space>
+    </Form>
+  );
+}
@@ -5,7 +5,6 @@ import React, {
   useRef,
   useState,
 } from "react";
-import axios from "axios";
 import {
   Alert,
   Avatar,
@@ -14,14 +13,16 @@ import {
   Col,
   ConfigProvider,
   Drawer,
+  Dropdown,
   Empty,
   Grid,
   Input,
   Modal,
   Row,
+  Select,
   Space,
-  Table,
   Tag,
+  Timeline,
   Tooltip,
   Typography,
   notification,
@@ -38,14 +39,49 @@ import {
   UserOutlined,
   ExclamationCircleOutlined,
   ClockCircleOutlined,
+  EyeOutlined,
+  UserAddOutlined,
+  UploadOutlined,
+  DownloadOutlined,
+  FileTextOutlined,
+  FileExcelOutlined,
+  FilePdfOutlined,
+  HomeOutlined,
+  CrownOutlined,
+  MergeCellsOutlined,
 } from "@ant-design/icons";
 import { motion } from "framer-motion";
+import { useSearchParams } from "react-router-dom";
+import {
+  getErrorMessage,
+  householdsApi,
+  isSessionExpiredError,
+  usersApi,
+} from "../../api";
+import usePermissions from "../../auth/usePermissions";
+import useBulkRunner from "../../hooks/useBulkRunner";
+import useTableSettings from "../../hooks/useTableSettings";
+import BulkResultModal from "../../components/BulkResultModal";
+import ConfigurableTable from "../../components/ConfigurableTable";
+import RejectReasonModal from "./RejectReasonModal";
+import UserEditForm from "./UserEditForm";
+import AddUserModal from "./AddUserModal";
+import ImportUsersWizard from "./ImportUsersWizard";
+import ExportUsersModal from "./ExportUsersModal";
+import HouseholdSection from "./HouseholdSection";
+import LinkHouseholdModal from "./LinkHouseholdModal";
+import DuplicateFinderModal from "./DuplicateFinderModal";
+import UserActivity from "./UserActivity";
+import {
+  PERMISSIONS,
+  ROLE_LABELS,
+  canEditMobileOf,
+  ROLE_OPTIONS,
+} from "../../auth/permissions";
 
 const { Title, Text } = Typography;
 const { useBreakpoint } = Grid;
 
-const API_BASE = "https://sirivaram-backed.onrender.com/api/users";
-
 const safeText = (v) =>
   v === null || v === undefined || v === "" ? "-" : String(v);
 
@@ -55,6 +91,25 @@ const truncateText = (v, max = 40) => {
   return s.slice(0, max) + "…";
 };
 
+const fmtDateTime = (iso) =>
+  iso
+    ? new Date(iso).toLocaleString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "-";
+
+const HISTORY_STYLES = {
+  PENDING: { color: "orange", label: "Registered, awaiting approval" },
+  APPROVED: { color: "green", label: "Approved" },
+  REJECTED: { color: "red", label: "Rejected" },
+};
+
+const STATUS_AFTER = { approve: "APPROVED", reject: "REJECTED" };
+
 const statusTag = (status) => {
   if (status === "APPROVED")
     return (
@@ -120,7 +175,7 @@ const statusTag = (status) => {
 };
 
 const roleTag = (role) =>
-  role === "ADMIN" ? (
+  role && role !== "USER" ? (
     <Tag
       icon={<UserOutlined />}
       color="blue"
@@ -132,7 +187,7 @@ const roleTag = (role) =>
         border: "none",
       }}
     >
-      ADMIN
+      {ROLE_LABELS[role]?.toUpperCase() || role}
     </Tag>
   ) : (
     <Tag
@@ -159,12 +214,85 @@ const useDebouncedValue = (value, delay = 300) => {
   return debounced;
 };
 
+const DEFAULT_PAGE_SIZE = 20;
+const SORTABLE_FIELDS = ["name", "mobile", "village", "role", "status"];
+
+const STATUS_OPTIONS = [
+  { value: "PENDING", label: "Pending" },
+  { value: "APPROVED", label: "Approved" },
+  { value: "REJECTED", label: "Rejected" },
+];
+
+const ROLE_FILTER_OPTIONS = [{ value: "USER", label: "User" }, ...ROLE_OPTIONS];
+
+// The query string is the source of truth for the table so a filtered
+// view can be bookmarked and shared. Without `size` the admin's saved
+// page size applies.
+const readQuery = (params, defaultSize = DEFAULT_PAGE_SIZE) => {
+  const sort = params.get("sort");
+  return {
+    page: Math.max(1, Number(params.get("page")) || 1),
+    size: Number(params.get("size")) || defaultSize,
+    sort: SORTABLE_FIELDS.includes(sort) ? sort : "",
+    order: params.get("order") === "desc" ? "desc" : "asc",
+    status: params.get("status") || "",
+    role: params.get("role") || "",
+    village: params.get("village") || "",
+    household: params.get("household") || "",
+    q: params.get("q") || "",
+  };
+};
+
+const BULK_ACTIONS = {
+  approve: {
+    label: "Approve",
+    permission: PERMISSIONS.APPROVE_USERS,
+    pendingOnly: true,
+    call: usersApi.approve,
+  },
+  reject: {
+    label: "Reject",
+    permission: PERMISSIONS.REJECT_USERS,
+    pendingOnly: true,
+    call: (id, payload) => usersApi.reject(id, payload),
+  },
+  delete: {
+    label: "Delete",
+    permission: PERMISSIONS.DELETE_USERS,
+    pendingOnly: false,
+    call: usersApi.remove,
+  },
+};
+
+const SUMMARY_LIMIT = 8;
+
+const isDefaultParam = (key, value) =>
+  value === "" ||
+  value === null ||
+  value === undefined ||
+  (key === "page" && value === 1) ||
+  (key === "size" && value === DEFAULT_PAGE_SIZE) ||
+  (key === "order" && value === "asc");
+
 export default function Users() {
   const screens = useBreakpoint();
   const isMobile = !screens.md;
   const isTablet = screens.md && !screens.lg;
+  const { can, roles } = usePermissions();
+
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tableSettings = useTableSettings("users", {
+    pageSize: DEFAULT_PAGE_SIZE,
+  });
+  const query = useMemo(
+    () => readQuery(searchParams, tableSettings.pageSize),
+    [searchParams, tableSettings.pageSize],
+  );
 
   const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [villages, setVillages] = useState([]);
+  const [households, setHouseholds] = useState([]);
   const [loading, setLoading] = useState(false);
   const [firstLoad, setFirstLoad] = useState(true);
   const [error, setError] = useState("");
@@ -174,15 +302,56 @@ export default function Users() {
     action: null,
   });
 
-  const [search, setSearch] = useState("");
+  const [search, setSearch] = useState(query.q);
   const debouncedSearch = useDebouncedValue(search, 300);
 
   const [drawerOpen, setDrawerOpen] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [addOpen, setAddOpen] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
+  const [exportFormat, setExportFormat] = useState(null);
+  const [linkUsers, setLinkUsers] = useState(null);
+  const [duplicatesOpen, setDuplicatesOpen] = useState(false);
+
+  // Selection survives paging, so keep the rows by id, not just the keys
+  const [selection, setSelection] = useState({});
+  const [bulkAction, setBulkAction] = useState(null);
+  const bulk = useBulkRunner();
 
-  // Pagination state for correct S No
-  const [page, setPage] = useState(1);
-  const [pageSize, setPageSize] = useState(isMobile ? 10 : 20);
+  // { users, skipped, bulk } while the reject reason dialog is open
+  const [rejectTarget, setRejectTarget] = useState(null);
+  const [rejecting, setRejecting] = useState(false);
+
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const historyUserRef = useRef(null);
+
+  const updateQuery = useCallback(
+    (changes) => {
+      setSearchParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          Object.entries(changes).forEach(([key, value]) => {
+            if (isDefaultParam(key, value)) next.delete(key);
+            else next.set(key, String(value));
+          });
+          return next;
+        },
+        { replace: true },
+      );
+    },
+    [setSearchParams],
+  );
+
+  // Only typing pushes `q` into the URL; back/forward leave the box alone
+  const lastSearchRef = useRef(query.q);
+  useEffect(() => {
+    const q = debouncedSearch.trim();
+    if (q === lastSearchRef.current) return;
+    lastSearchRef.current = q;
+    updateQuery({ q, page: 1 });
+  }, [debouncedSearch, updateQuery]);
 
   const aliveRef = useRef(true);
   useEffect(() => {
@@ -192,8 +361,6 @@ export default function Users() {
     };
   }, []);
 
-  const getToken = () => localStorage.getItem("token");
-
   const showNotification = (type, msg, description) => {
     notification[type]({
       message: msg,
@@ -203,128 +370,295 @@ export default function Users() {
     });
   };
 
+  // Ignore responses that arrive after a newer query was sent
+  const requestRef = useRef(0);
+
   const fetchUsers = useCallback(async () => {
+    const requestId = ++requestRef.current;
+    const isLatest = () =>
+      aliveRef.current && requestId === requestRef.current;
+
     setLoading(true);
     setError("");
 
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 15000);
-
     try {
-      const token = getToken();
-      const response = await axios.get(API_BASE, {
-        headers: token ? { Authorization: `Bearer ${token}` } : {},
-        signal: controller.signal,
-      });
-
-      const list = Array.isArray(response.data) ? response.data : [];
-      if (aliveRef.current) {
-        setUsers(list);
+      const result = await usersApi.search(query);
+      if (isLatest()) {
+        setUsers(result.items);
+        setTotal(result.total);
       }
     } catch (err) {
-      const msg =
-        err?.name === "CanceledError"
-          ? "Request cancelled"
-          : err?.name === "AbortError"
-            ? "Request timed out. Please try again."
-            : err?.response?.data?.message ||
-              "Failed to load users. Please try again.";
-
-      if (aliveRef.current) {
+      if (isSessionExpiredError(err)) return;
+      const msg = getErrorMessage(
+        err,
+        "Failed to load users. Please try again.",
+      );
+
+      if (isLatest()) {
         setUsers([]);
+        setTotal(0);
         setError(msg);
         showNotification("error", "Failed to Load Users", msg);
       }
     } finally {
-      clearTimeout(timeout);
-      if (aliveRef.current) {
+      if (isLatest()) {
         setLoading(false);
         setFirstLoad(false);
       }
     }
-  }, []);
+  }, [query]);
 
   useEffect(() => {
     fetchUsers();
   }, [fetchUsers]);
 
-  const filteredUsers = useMemo(() => {
-    const q = debouncedSearch.trim().toLowerCase();
-    if (!q) return users;
-
-    return users.filter((u) => {
-      const blob = [
-        u?.name,
-        u?.mobile,
-        u?.village,
-        u?.role,
-        u?.status,
-      ]
-        .map((x) => (x === null || x === undefined ? "" : String(x)))
-        .join(" ")
-        .toLowerCase();
-
-      return blob.includes(q);
+  useEffect(() => {
+    (async () => {
+      try {
+        const list = await usersApi.villages();
+        if (aliveRef.current) setVillages(list);
+      } catch {
+        // Without suggestions the village filter still works from the URL
+      }
+    })();
+  }, []);
+
+  const loadHouseholds = useCallback(async () => {
+    try {
+      const list = await householdsApi.list();
+      if (aliveRef.current) setHouseholds(list);
+    } catch {
+      // Same as villages: a household id in the URL still filters
+    }
+  }, []);
+
+  useEffect(() => {
+    loadHouseholds();
+  }, [loadHouseholds]);
+
+  const villageOptions = useMemo(() => {
+    const names = new Set(villages.filter(Boolean));
+    if (query.village) names.add(query.village);
+    return [...names].sort().map((v) => ({ value: v, label: v }));
+  }, [villages, query.village]);
+
+  const householdOptions = useMemo(() => {
+    const options = households.map((h) => ({
+      value: String(h.id),
+      label: h.village ? `${h.name} (${h.village})` : h.name,
+    }));
+    if (query.household && !options.some((o) => o.value === query.household)) {
+      options.push({ value: query.household, label: "Selected household" });
+    }
+    return options;
+  }, [households, query.household]);
+
+  const householdLabel = householdOptions.find(
+    (o) => o.value === query.household,
+  )?.label;
+
+  const hasFilters = !!(
+    query.status ||
+    query.role ||
+    query.village ||
+    query.household ||
+    query.q
+  );
+
+  const filtersLabel = [
+    query.status && `Status: ${query.status}`,
+    query.role && `Role: ${ROLE_LABELS[query.role] || query.role}`,
+    query.village && `Village: ${query.village}`,
+    query.household && `Household: ${householdLabel}`,
+    query.q && `Search: "${query.q}"`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  const exportMenuItems = [
+    { key: "csv", icon: <FileTextOutlined />, label: "CSV" },
+    { key: "xlsx", icon: <FileExcelOutlined />, label: "Excel (.xlsx)" },
+    { key: "pdf", icon: <FilePdfOutlined />, label: "PDF (printable)" },
+  ];
+
+  // What a saved view stores; paging is left out
+  const viewState = {
+    status: query.status,
+    role: query.role,
+    village: query.village,
+    household: query.household,
+    q: query.q,
+    sort: query.sort,
+    order: query.sort ? query.order : "",
+  };
+
+  const applyView = (state) => {
+    setSearch(state.q || "");
+    lastSearchRef.current = state.q || "";
+    updateQuery({
+      status: "",
+      role: "",
+      village: "",
+      household: "",
+      q: "",
+      sort: "",
+      order: "",
+      ...state,
+      page: 1,
+    });
+  };
+
+  const clearFilters = () => {
+    setSearch("");
+    lastSearchRef.current = "";
+    updateQuery({
+      status: "",
+      role: "",
+      village: "",
+      household: "",
+      q: "",
+      page: 1,
+    });
+  };
+
+  const handleTableChange = (pagination, _filters, sorter) => {
+    const order = sorter.order === "descend" ? "desc" : "asc";
+    const sort = sorter.order ? sorter.field : "";
+    const sortChanged = sort !== query.sort || (sort && order !== query.order);
+    const sizeChanged = pagination.pageSize !== query.size;
+    if (sizeChanged) tableSettings.update({ pageSize: pagination.pageSize });
+
+    updateQuery({
+      page: sortChanged || sizeChanged ? 1 : pagination.current,
+      size: pagination.pageSize,
+      sort,
+      order: sort ? order : "",
     });
-  }, [users, debouncedSearch]);
+  };
+
+  const loadHistory = useCallback(async (userId) => {
+    historyUserRef.current = userId;
+    setHistoryLoading(true);
+    try {
+      const list = await usersApi.statusHistory(userId);
+      if (aliveRef.current && historyUserRef.current === userId) {
+        setHistory(list);
+      }
+    } catch (err) {
+      if (isSessionExpiredError(err)) return;
+      if (aliveRef.current && historyUserRef.current === userId) {
+        setHistory([]);
+        showNotification(
+          "error",
+          "Status History",
+          getErrorMessage(err, "Could not load status history"),
+        );
+      }
+    } finally {
+      if (aliveRef.current && historyUserRef.current === userId) {
+        setHistoryLoading(false);
+      }
+    }
+  }, []);
+
+  const openDrawer = useCallback(
+    (user, { edit = false } = {}) => {
+      setSelectedUser(user);
+      setEditing(edit);
+      setHistory([]);
+      setDrawerOpen(true);
+      loadHistory(user.id);
+    },
+    [loadHistory],
+  );
+
+  const closeDrawer = () => {
+    setDrawerOpen(false);
+    setEditing(false);
+    historyUserRef.current = null;
+  };
 
+  const handleHouseholdChanged = (changes) => {
+    setSelectedUser((prev) => (prev ? { ...prev, ...changes } : prev));
+    fetchUsers();
+    loadHouseholds();
+  };
+
+  const filterByHousehold = (household) => {
+    setHouseholds((prev) =>
+      prev.some((h) => String(h.id) === String(household.id))
+        ? prev
+        : [...prev, household],
+    );
+    updateQuery({ household: String(household.id), page: 1 });
+    closeDrawer();
+  };
+
+  const handleUserSaved = (user) => {
+    setSelectedUser(user);
+    setEditing(false);
+    fetchUsers();
+  };
+
+  // Resolves to true when the change went through
   const updateUserStatus = useCallback(
-    async (userId, action) => {
+    async (userId, action, payload) => {
       setActionLoading({ id: userId, action });
       try {
-        const token = getToken();
-
-        const res = await axios.put(
-          `${API_BASE}/${userId}/${action}`,
-          {},
-          { headers: token ? { Authorization: `Bearer ${token}` } : {} },
-        );
+        const data = await usersApi[action](userId, payload);
 
-        const ok = res.data?.success !== false;
+        const ok = data?.success !== false;
         if (ok) {
-          const msg = res.data?.message || `User ${action}d successfully`;
+          const msg = data?.message || `User ${action}d successfully`;
           showNotification("success", "User Updated", msg);
+          setSelectedUser((prev) =>
+            prev?.id === userId ? { ...prev, status: STATUS_AFTER[action] } : prev,
+          );
+          if (historyUserRef.current === userId) loadHistory(userId);
           await fetchUsers();
         } else {
-          const msg = res.data?.message || `${action.toUpperCase()} failed`;
+          const msg = data?.message || `${action.toUpperCase()} failed`;
           showNotification("error", "Update Failed", msg);
         }
+        return ok;
       } catch (error) {
-        const msg =
-          error.response?.data?.message ||
-          `Something went wrong while ${action}ing user`;
+        if (isSessionExpiredError(error)) return false;
+        const msg = getErrorMessage(
+          error,
+          `Something went wrong while ${action}ing user`,
+        );
         showNotification("error", "Action Failed", msg);
+        return false;
       } finally {
         if (aliveRef.current) {
           setActionLoading({ id: null, action: null });
         }
       }
     },
-    [fetchUsers],
+    [fetchUsers, loadHistory],
   );
 
   const deleteUser = useCallback(
     async (userId) => {
       setActionLoading({ id: userId, action: "delete" });
       try {
-        const token = getToken();
-        const res = await axios.delete(`${API_BASE}/${userId}`, {
-          headers: token ? { Authorization: `Bearer ${token}` } : {},
-        });
+        const data = await usersApi.remove(userId);
 
-        const ok = res.data?.success !== false;
+        const ok = data?.success !== false;
         if (ok) {
-          const msg = res.data?.message || "User deleted successfully";
+          const msg = data?.message || "User deleted successfully";
           showNotification("success", "User Deleted", msg);
           await fetchUsers();
         } else {
-          const msg = res.data?.message || "Delete failed";
+          const msg = data?.message || "Delete failed";
           showNotification("error", "Delete Failed", msg);
         }
       } catch (error) {
-        const msg =
-          error.response?.data?.message ||
-          "Something went wrong while deleting user";
+        if (isSessionExpiredError(error)) return;
+        const msg = getErrorMessage(
+          error,
+          "Something went wrong while deleting user",
+        );
         showNotification("error", "Delete Failed", msg);
       } finally {
         if (aliveRef.current) {
@@ -348,15 +682,7 @@ export default function Users() {
   };
 
   const confirmReject = (user) => {
-    Modal.confirm({
-      title: `Reject ${safeText(user?.name)}?`,
-      icon: <ExclamationCircleOutlined />,
-      content: "User will be marked as REJECTED.",
-      okText: "Reject",
-      okButtonProps: { danger: true },
-      cancelText: "Cancel",
-      onOk: () => updateUserStatus(user.id, "reject"),
-    });
+    setRejectTarget({ users: [user], skipped: [], bulk: false });
   };
 
   const confirmDelete = (user) => {
@@ -371,17 +697,163 @@ export default function Users() {
     });
   };
 
-  const columns = useMemo(
-    () => [
+  const selectedUsers = useMemo(() => Object.values(selection), [selection]);
+  const canManageHouseholds = can(PERMISSIONS.MANAGE_HOUSEHOLDS);
+  const canBulk =
+    canManageHouseholds ||
+    Object.values(BULK_ACTIONS).some((a) => can(a.permission));
+
+  const rowSelection = {
+    selectedRowKeys: selectedUsers.map((u) => u.id),
+    preserveSelectedRowKeys: true,
+    onChange: (keys, rows) => {
+      setSelection((prev) => {
+        const next = {};
+        keys.forEach((key) => {
+          const row =
+            rows.find((r) => r && String(r.id) === String(key)) || prev[key];
+          if (row) next[key] = row;
+        });
+        return next;
+      });
+    },
+  };
+
+  const runBulk = async (action, eligible, skipped, payload) => {
+    const { call } = BULK_ACTIONS[action];
+    setBulkAction(action);
+
+    const results = await bulk.run(
+      eligible,
+      async (user) => {
+        const data = await call(user.id, payload);
+        if (data?.success === false) {
+          throw new Error(data?.message || `${action} failed`);
+        }
+      },
+      skipped,
+    );
+
+    // Keep failures selected so they can be retried
+    const done = new Set(
+      results.filter((r) => r.status === "success").map((r) => String(r.item.id)),
+    );
+    if (aliveRef.current) {
+      setSelection((prev) =>
+        Object.fromEntries(
+          Object.entries(prev).filter(([key]) => !done.has(key)),
+        ),
+      );
+    }
+    fetchUsers();
+  };
+
+  const confirmBulk = (action) => {
+    const { label, pendingOnly } = BULK_ACTIONS[action];
+    const eligible = pendingOnly
+      ? selectedUsers.filter((u) => u.status === "PENDING")
+      : selectedUsers;
+    const skipped = selectedUsers
+      .filter((u) => !eligible.includes(u))
+      .map((u) => ({ item: u, status: "skipped", reason: "Not pending" }));
+
+    if (!eligible.length) {
+      showNotification(
+        "warning",
+        "Nothing to do",
+        `None of the selected users can be ${label.toLowerCase()}d.`,
+      );
+      return;
+    }
+
+    // Rejections need a reason; the reason dialog doubles as confirmation
+    if (action === "reject") {
+      setRejectTarget({ users: eligible, skipped, bulk: true });
+      return;
+    }
+
+    Modal.confirm({
+      title: `${label} ${eligible.length} user${eligible.length === 1 ? "" : "s"}?`,
+      icon: <ExclamationCircleOutlined />,
+      width: 480,
+      content: (
+        <Space direction="vertical" size={8} style={{ width: "100%" }}>
+          <ul style={{ margin: 0, paddingLeft: 18 }}>
+            {eligible.slice(0, SUMMARY_LIMIT).map((u) => (
+              <li key={u.id}>
+                {safeText(u.name)}{" "}
+                <Text type="secondary">({safeText(u.mobile)})</Text>
+              </li>
+            ))}
+          </ul>
+          {eligible.length > SUMMARY_LIMIT && (
+            <Text type="secondary">
+              and {eligible.length - SUMMARY_LIMIT} more
+            </Text>
+          )}
+          {skipped.length > 0 && (
+            <Alert
+              type="info"
+              showIcon
+              message={`${skipped.length} selected user${skipped.length === 1 ? " is" : "s are"} not pending and will be skipped.`}
+            />
+          )}
+          {action === "delete" && (
+            <Text type="danger">This action cannot be undone.</Text>
+          )}
+        </Space>
+      ),
+      okText: label,
+      okButtonProps: action === "approve" ? { type: "primary" } : { danger: true },
+      cancelText: "Cancel",
+      onOk: () => {
+        runBulk(action, eligible, skipped);
+      },
+    });
+  };
+
+  const submitReject = async (payload) => {
+    const { users: targets, skipped, bulk: isBulk } = rejectTarget;
+    if (isBulk) {
+      setRejectTarget(null);
+      runBulk("reject", targets, skipped, payload);
+      return;
+    }
+
+    setRejecting(true);
+    const ok = await updateUserStatus(targets[0].id, "reject", payload);
+    if (!aliveRef.current) return;
+    setRejecting(false);
+    if (ok) setRejectTarget(null);
+  };
+
+  const closeBulkReport = () => {
+    setBulkAction(null);
+    bulk.reset();
+  };
+
+  const columns = useMemo(() => {
+    const sortOrderFor = (field) =>
+      query.sort === field
+        ? query.order === "desc"
+          ? "descend"
+          : "ascend"
+        : null;
+
+    return [
       {
         title: "S No",
+        key: "sno",
+        hideable: false,
         align: "center",
         width: 80,
-        render: (_, __, index) => (page - 1) * pageSize + index + 1, // ✅ correct
+        render: (_, __, index) => (query.page - 1) * query.size + index + 1,
       },
       {
         title: "Name",
         dataIndex: "name",
+        sorter: true,
+        sortOrder: sortOrderFor("name"),
         render: (v, u) => (
           <Space size={12}>
             <Avatar
@@ -402,6 +874,15 @@ export default function Users() {
               <Text type="secondary" style={{ fontSize: 11 }}>
                 ID: {safeText(u?.id)}
               </Text>
+              {u?.householdName && (
+                <Tag
+                  icon={u.householdHead ? <CrownOutlined /> : <HomeOutlined />}
+                  color={u.householdHead ? "gold" : "default"}
+                  style={{ borderRadius: 8, fontSize: 11, width: "fit-content" }}
+                >
+                  {truncateText(u.householdName, 24)}
+                </Tag>
+              )}
             </Space>
           </Space>
         ),
@@ -411,6 +892,8 @@ export default function Users() {
         title: "Mobile",
         dataIndex: "mobile",
         align: "center",
+        sorter: true,
+        sortOrder: sortOrderFor("mobile"),
         render: (v) => (
           <Text
             ellipsis={{ tooltip: safeText(v) }}
@@ -425,6 +908,8 @@ export default function Users() {
         title: "Village",
         dataIndex: "village",
         align: "center",
+        sorter: true,
+        sortOrder: sortOrderFor("village"),
         render: (v) => (
           <Text
             ellipsis={{ tooltip: safeText(v) }}
@@ -439,6 +924,8 @@ export default function Users() {
         title: "Role",
         dataIndex: "role",
         align: "center",
+        sorter: true,
+        sortOrder: sortOrderFor("role"),
         render: (v) => roleTag(v),
         responsive: ["md"],
       },
@@ -446,10 +933,14 @@ export default function Users() {
         title: "Status",
         dataIndex: "status",
         align: "center",
+        sorter: true,
+        sortOrder: sortOrderFor("status"),
         render: (v) => statusTag(v),
       },
       {
         title: "Actions",
+        key: "actions",
+        hideable: false,
         align: "center",
         render: (_, user) => {
           const approving =
@@ -467,87 +958,116 @@ export default function Users() {
               size={isMobile ? 4 : 6}
               style={{ justifyContent: "center", width: "100%" }}
             >
-              <Tooltip
-                title={
-                  isPending ? "Approve User" : "Only PENDING can be approved"
-                }
-              >
+              <Tooltip title="View Details">
                 <Button
-                  type="primary"
                   size={isMobile ? "small" : "middle"}
-                  icon={<CheckCircleOutlined />}
-                  loading={approving}
-                  disabled={!isPending}
-                  onClick={() => confirmApprove(user)}
-                  style={{
-                    borderRadius: 8,
-                    fontWeight: 600,
-                    boxShadow: isPending
-                      ? "0 2px 8px rgba(22, 119, 255, 0.3)"
-                      : "none",
-                  }}
-                >
-                  {!isMobile && "Approve"}
-                </Button>
+                  icon={<EyeOutlined />}
+                  onClick={() => openDrawer(user)}
+                  style={{ borderRadius: 8 }}
+                />
               </Tooltip>
 
-              <Tooltip
-                title={
-                  isPending ? "Reject User" : "Only PENDING can be rejected"
-                }
-              >
-                <Button
-                  danger
-                  size={isMobile ? "small" : "middle"}
-                  icon={<CloseCircleOutlined />}
-                  loading={rejecting}
-                  disabled={!isPending}
-                  onClick={() => confirmReject(user)}
-                  style={{
-                    borderRadius: 8,
-                    fontWeight: 600,
-                    boxShadow: isPending
-                      ? "0 2px 8px rgba(255, 77, 79, 0.3)"
-                      : "none",
-                  }}
+              {can(PERMISSIONS.EDIT_USERS) && (
+                <Tooltip title="Edit User">
+                  <Button
+                    size={isMobile ? "small" : "middle"}
+                    icon={<EditOutlined />}
+                    onClick={() => openDrawer(user, { edit: true })}
+                    style={{ borderRadius: 8 }}
+                  />
+                </Tooltip>
+              )}
+
+              {can(PERMISSIONS.APPROVE_USERS) && (
+                <Tooltip
+                  title={
+                    isPending ? "Approve User" : "Only PENDING can be approved"
+                  }
                 >
-                  {!isMobile && "Reject"}
-                </Button>
-              </Tooltip>
+                  <Button
+                    type="primary"
+                    size={isMobile ? "small" : "middle"}
+                    icon={<CheckCircleOutlined />}
+                    loading={approving}
+                    disabled={!isPending}
+                    onClick={() => confirmApprove(user)}
+                    style={{
+                      borderRadius: 8,
+                      fontWeight: 600,
+                      boxShadow: isPending
+                        ? "0 2px 8px rgba(22, 119, 255, 0.3)"
+                        : "none",
+                    }}
+                  >
+                    {!isMobile && "Approve"}
+                  </Button>
+                </Tooltip>
+              )}
+
+              {can(PERMISSIONS.REJECT_USERS) && (
+                <Tooltip
+                  title={
+                    isPending ? "Reject User" : "Only PENDING can be rejected"
+                  }
+                >
+                  <Button
+                    danger
+                    size={isMobile ? "small" : "middle"}
+                    icon={<CloseCircleOutlined />}
+                    loading={rejecting}
+                    disabled={!isPending}
+                    onClick={() => confirmReject(user)}
+                    style={{
+                      borderRadius: 8,
+                      fontWeight: 600,
+                      boxShadow: isPending
+                        ? "0 2px 8px rgba(255, 77, 79, 0.3)"
+                        : "none",
+                    }}
+                  >
+                    {!isMobile && "Reject"}
+                  </Button>
+                </Tooltip>
+              )}
 
           
 
-              <Tooltip title="Delete User">
-                <Button
-                  danger
-                  size={isMobile ? "small" : "middle"}
-                  icon={<DeleteOutlined />}
-                  loading={deleting}
-                  onClick={() => confirmDelete(user)}
-                  style={{
-                    borderRadius: 8,
-                    fontWeight: 600,
-                    boxShadow: "0 2px 8px rgba(255, 77, 79, 0.2)",
-                  }}
-                >
-                  {!isMobile && "Delete"}
-                </Button>
-              </Tooltip>
+              {can(PERMISSIONS.DELETE_USERS) && (
+                <Tooltip title="Delete User">
+                  <Button
+                    danger
+                    size={isMobile ? "small" : "middle"}
+                    icon={<DeleteOutlined />}
+                    loading={deleting}
+                    onClick={() => confirmDelete(user)}
+                    style={{
+                      borderRadius: 8,
+                      fontWeight: 600,
+                      boxShadow: "0 2px 8px rgba(255, 77, 79, 0.2)",
+                    }}
+                  >
+                    {!isMobile && "Delete"}
+                  </Button>
+                </Tooltip>
+              )}
             </Space>
           );
         },
       },
-    ],
-    [
-      actionLoading,
-      confirmApprove,
-      confirmReject,
-      confirmDelete,
-      isMobile,
-      page,
-      pageSize,
-    ],
-  );
+    ];
+  }, [
+    actionLoading,
+    can,
+    confirmApprove,
+    confirmReject,
+    confirmDelete,
+    isMobile,
+    openDrawer,
+    query.page,
+    query.size,
+    query.sort,
+    query.order,
+  ]);
 
   const drawerContent = selectedUser ? (
     <motion.div
@@ -643,6 +1163,63 @@ export default function Users() {
             )}
           </Space>
         </Card>
+
+        <HouseholdSection
+          user={selectedUser}
+          canManage={canManageHouseholds}
+          onChanged={handleHouseholdChanged}
+          onOpenMember={(member) => openDrawer(member)}
+          onFilter={filterByHousehold}
+        />
+
+        <UserActivity
+          user={selectedUser}
+          history={history}
+          canViewPayments={can(PERMISSIONS.VIEW_PAYMENTS)}
+        />
+
+        <div>
+          <Title level={5} style={{ marginBottom: 16 }}>
+            Status History
+          </Title>
+          {historyLoading ? (
+            <Skeleton active paragraph={{ rows: 3 }} />
+          ) : history.length ? (
+            <Timeline
+              items={history.map((h, i) => {
+                const style = HISTORY_STYLES[h.status] || {
+                  color: "gray",
+                  label: safeText(h.status),
+                };
+                return {
+                  key: i,
+                  color: style.color,
+                  children: (
+                    <Space direction="vertical" size={2}>
+                      <Text strong>{style.label}</Text>
+                      <Text type="secondary" style={{ fontSize: 12 }}>
+                        {fmtDateTime(h.changedAt)}
+                        {" · "}
+                        {h.changedBy ? `by ${h.changedBy}` : "by the user"}
+                      </Text>
+                      {h.reason && <Text>Reason: {h.reason}</Text>}
+                      {h.notified && (
+                        <Tag color="blue" style={{ width: "fit-content" }}>
+                          SMS sent
+                        </Tag>
+                      )}
+                    </Space>
+                  ),
+                };
+              })}
+            />
+          ) : (
+            <Empty
+              image={Empty.PRESENTED_IMAGE_SIMPLE}
+              description="No status changes recorded"
+            />
+          )}
+        </div>
       </Space>
     </motion.div>
   ) : (
@@ -703,9 +1280,10 @@ return (
               </Space>
             </Col>
 
-            {/* RIGHT: SEARCH + REFRESH */}
+            {/* RIGHT: SEARCH + ACTIONS */}
             <Col xs={24} md={14}>
               <Space
+                wrap
                 size={12}
                 style={{
                   width: "100%",
@@ -715,12 +1293,9 @@ return (
                 <Input
                   allowClear
                   prefix={<SearchOutlined />}
-                  placeholder="Search by name, mobile, village, role, status..."
+                  placeholder="Search by name, mobile or village..."
                   value={search}
-                  onChange={(e) => {
-                    setSearch(e.target.value);
-                    setPage(1);
-                  }}
+                  onChange={(e) => setSearch(e.target.value)}
                   size="large"
                   style={{
                     width: isMobile ? "100%" : 320,
@@ -742,14 +1317,165 @@ return (
                 >
                   {isMobile ? "Refresh" : "Refresh Data"}
                 </Button>
+
+                <Dropdown
+                  trigger={["click"]}
+                  menu={{
+                    items: exportMenuItems,
+                    onClick: ({ key }) => setExportFormat(key),
+                  }}
+                >
+                  <Button
+                    icon={<DownloadOutlined />}
+                    disabled={!total}
+                    style={{ borderRadius: 12, fontWeight: 600, height: 44 }}
+                  >
+                    {!isMobile && "Export"}
+                  </Button>
+                </Dropdown>
+
+                {can(PERMISSIONS.CREATE_USERS) && (
+                  <>
+                    <Button
+                      type="primary"
+                      icon={<UserAddOutlined />}
+                      onClick={() => setAddOpen(true)}
+                      style={{ borderRadius: 12, fontWeight: 600, height: 44 }}
+                    >
+                      {!isMobile && "Add User"}
+                    </Button>
+                    <Button
+                      icon={<UploadOutlined />}
+                      onClick={() => setImportOpen(true)}
+                      style={{ borderRadius: 12, fontWeight: 600, height: 44 }}
+                    >
+                      {!isMobile && "Import"}
+                    </Button>
+                  </>
+                )}
+                {can(PERMISSIONS.MERGE_USERS) && (
+                  <Button
+                    icon={<MergeCellsOutlined />}
+                    onClick={() => setDuplicatesOpen(true)}
+                    style={{ borderRadius: 12, fontWeight: 600, height: 44 }}
+                  >
+                    {!isMobile && "Duplicates"}
+                  </Button>
+                )}
               </Space>
             </Col>
           </Row>
+
+          <Row gutter={[12, 12]} style={{ marginTop: 16 }}>
+            <Col xs={24} sm={8} md={6}>
+              <Select
+                allowClear
+                placeholder="All statuses"
+                options={STATUS_OPTIONS}
+                value={query.status || undefined}
+                onChange={(status) => updateQuery({ status, page: 1 })}
+                style={{ width: "100%" }}
+              />
+            </Col>
+            <Col xs={24} sm={8} md={6}>
+              <Select
+                allowClear
+                placeholder="All roles"
+                options={ROLE_FILTER_OPTIONS}
+                value={query.role || undefined}
+                onChange={(role) => updateQuery({ role, page: 1 })}
+                style={{ width: "100%" }}
+              />
+            </Col>
+            <Col xs={24} sm={8} md={6}>
+              <Select
+                allowClear
+                showSearch
+                placeholder="All villages"
+                options={villageOptions}
+                value={query.village || undefined}
+                onChange={(village) => updateQuery({ village, page: 1 })}
+                style={{ width: "100%" }}
+              />
+            </Col>
+            <Col xs={24} sm={8} md={6}>
+              <Select
+                allowClear
+                showSearch
+                optionFilterProp="label"
+                placeholder="All households"
+                options={householdOptions}
+                value={query.household || undefined}
+                onChange={(household) => updateQuery({ household, page: 1 })}
+                style={{ width: "100%" }}
+              />
+            </Col>
+            {hasFilters && (
+              <Col xs={24} md={6}>
+                <Button onClick={clearFilters}>Clear filters</Button>
+              </Col>
+            )}
+          </Row>
         </motion.div>
 
         <Divider style={{ margin: "20px 0" }} />
 
         {/* REST OF YOUR CODE — UNCHANGED */}
+        {canBulk && selectedUsers.length > 0 && (
+          <Alert
+            type="info"
+            style={{ marginBottom: 16 }}
+            message={
+              <Space wrap style={{ width: "100%", justifyContent: "space-between" }}>
+                <Text strong>
+                  {selectedUsers.length} selected
+                  {" · "}
+                  {selectedUsers.filter((u) => u.status === "PENDING").length}{" "}
+                  pending
+                </Text>
+                <Space wrap>
+                  {can(PERMISSIONS.APPROVE_USERS) && (
+                    <Button
+                      type="primary"
+                      icon={<CheckCircleOutlined />}
+                      onClick={() => confirmBulk("approve")}
+                    >
+                      Approve
+                    </Button>
+                  )}
+                  {can(PERMISSIONS.REJECT_USERS) && (
+                    <Button
+                      danger
+                      icon={<CloseCircleOutlined />}
+                      onClick={() => confirmBulk("reject")}
+                    >
+                      Reject
+                    </Button>
+                  )}
+                  {can(PERMISSIONS.DELETE_USERS) && (
+                    <Button
+                      danger
+                      icon={<DeleteOutlined />}
+                      onClick={() => confirmBulk("delete")}
+                    >
+                      Delete
+                    </Button>
+                  )}
+                  {canManageHouseholds && (
+                    <Button
+                      icon={<HomeOutlined />}
+                      onClick={() => setLinkUsers(selectedUsers)}
+                    >
+                      Add to household
+                    </Button>
+                  )}
+                  <Button onClick={() => setSelection({})}>Clear</Button>
+                </Space>
+              </Space>
+            }
+          />
+        )}
+
         {error ? (
           <Alert
             type="error"
@@ -760,27 +1486,148 @@ return (
         ) : firstLoad ? (
           <Skeleton active paragraph={{ rows: 8 }} />
         ) : (
-          <Table
+          <ConfigurableTable
+            settings={tableSettings}
+            viewState={viewState}
+            onApplyView={applyView}
             columns={columns}
-            dataSource={filteredUsers}
+            dataSource={users}
             rowKey="id"
+            rowSelection={canBulk ? rowSelection : undefined}
             loading={loading}
-             pagination={{
-                current: page,
-                pageSize,
-                showSizeChanger: true,
-                onChange: (p, ps) => {
-                  setPage(p);
-                  setPageSize(ps);
-                },
-                showTotal: (total, range) =>
-                  `${range[0]}-${range[1]} of ${total}`,
-              }}
+            onChange={handleTableChange}
+            pagination={{
+              current: query.page,
+              pageSize: query.size,
+              total,
+              showSizeChanger: true,
+              showTotal: (count, range) => `${range[0]}-${range[1]} of ${count}`,
+            }}
             scroll={{ x: "100%" }}
             className="users-table"
             bordered
           />
         )}
+
+        <Drawer
+          title={editing ? "Edit User" : "User Details"}
+          open={drawerOpen}
+          onClose={closeDrawer}
+          width={isMobile ? "100%" : 480}
+          extra={
+            selectedUser &&
+            !editing &&
+            can(PERMISSIONS.EDIT_USERS) && (
+              <Button icon={<EditOutlined />} onClick={() => setEditing(true)}>
+                Edit
+              </Button>
+            )
+          }
+        >
+          {editing && selectedUser ? (
+            <UserEditForm
+              key={selectedUser.id}
+              user={selectedUser}
+              canEditRole={can(PERMISSIONS.ASSIGN_ROLES)}
+              canEditMobile={canEditMobileOf(selectedUser, roles)}
+              onSaved={handleUserSaved}
+              onCancel={() => setEditing(false)}
+            />
+          ) : (
+            drawerContent
+          )}
+        </Drawer>
+
+        <RejectReasonModal
+          open={!!rejectTarget}
+          loading={rejecting}
+          title={
+            rejectTarget?.bulk
+              ? `Reject ${rejectTarget.users.length} users`
+              : `Reject ${safeText(rejectTarget?.users[0]?.name)}`
+          }
+          summary={
+            rejectTarget?.bulk && (
+              <Space direction="vertical" style={{ width: "100%", marginBottom: 16 }}>
+                <Text>All selected pending users get the same reason.</Text>
+                {rejectTarget.skipped.length > 0 && (
+                  <Alert
+                    type="info"
+                    showIcon
+                    message={`${rejectTarget.skipped.length} selected user(s) are not pending and will be skipped.`}
+                  />
+                )}
+              </Space>
+            )
+          }
+          onSubmit={submitReject}
+          onCancel={() => !rejecting && setRejectTarget(null)}
+        />
+
+        <AddUserModal
+          open={addOpen}
+          onClose={() => setAddOpen(false)}
+          onCreated={() => {
+            setAddOpen(false);
+            fetchUsers();
+          }}
+        />
+
+        <ImportUsersWizard
+          open={importOpen}
+          onClose={(imported) => {
+            setImportOpen(false);
+            if (imported) fetchUsers();
+          }}
+        />
+
+        <ExportUsersModal
+          format={exportFormat}
+          query={query}
+          total={total}
+          filtersLabel={filtersLabel}
+          onClose={() => setExportFormat(null)}
+        />
+
+        <DuplicateFinderModal
+          open={duplicatesOpen}
+          onClose={(merged) => {
+            setDuplicatesOpen(false);
+            if (merged) {
+              setSelection({});
+              fetchUsers();
+            }
+          }}
+        />
+
+        <LinkHouseholdModal
+          open={!!linkUsers}
+          users={linkUsers || []}
+          onClose={() => setLinkUsers(null)}
+          onLinked={() => {
+            setLinkUsers(null);
+            setSelection({});
+            fetchUsers();
+            loadHouseholds();
+          }}
+        />
+
+        <BulkResultModal
+          open={!!bulkAction}
+          title={bulkAction ? `Bulk ${BULK_ACTIONS[bulkAction].label}` : ""}
+          running={bulk.running}
+          total={bulk.total}
+          results={bulk.results}
+          renderItem={(u) => (
+            <Space direction="vertical" size={0}>
+              <Text strong>{safeText(u.name)}</Text>
+              <Text type="secondary" style={{ fontSize: 12 }}>
+                {safeText(u.mobile)}
+              </Text>
+            </Space>
+          )}
+          onClose={closeBulkReport}
+        />
       </Card>
     </div>
   </ConfigProvider>
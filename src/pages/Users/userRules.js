@@ -0,0 +1,61 @@
+import { usersApi } from "../../api";
+import { isValidMobile, normalizeMobile } from "../../utils/mobile";
+
+// Form rules shared by the add and edit forms; the CSV import applies the
+// same checks through validateUserFields.
+
+export const NAME_MAX = 100;
+
+export const NAME_RULES = [
+  { required: true, whitespace: true, message: "Please enter name" },
+  { max: NAME_MAX, message: "Name is too long" },
+];
+
+/**
+ * @param {{ excludeId?: string, current?: string }} [options]
+ *   `current` is the user's saved mobile, which is not re-checked
+ */
+export const mobileRules = ({ excludeId, current } = {}) => [
+  { required: true, message: "Please enter mobile number" },
+  {
+    validator: (_, value) =>
+      !value || isValidMobile(value)
+        ? Promise.resolve()
+        : Promise.reject(
+            new Error("Enter a valid 10-digit Indian mobile number"),
+          ),
+  },
+  {
+    validator: async (_, value) => {
+      const mobile = normalizeMobile(value);
+      if (!isValidMobile(mobile) || mobile === current) return;
+      let res;
+      try {
+        res = await usersApi.checkMobile(mobile, excludeId);
+      } catch {
+        // The backend still rejects duplicates on save
+        return;
+      }
+      if (res?.available === false) {
+        throw new Error(
+          res.user?.name
+            ? `Already registered to ${res.user.name}`
+            : "This mobile number is already registered",
+        );
+      }
+    },
+  },
+];
+
+/**
+ * Offline checks for one imported row.
+ * @returns {string[]} problems, empty when the row is fine
+ */
+export const validateUserFields = ({ name, mobile }) => {
+  const errors = [];
+  if (!name) errors.push("Name is missing");
+  else if (name.length > NAME_MAX) errors.push("Name is too long");
+  if (!mobile) errors.push("Mobile is missing");
+  else if (!isValidMobile(mobile)) errors.push("Invalid mobile number");
+  return errors;
+};
@@ -0,0 +1,163 @@
+// Finds users who are probably the same person. Two rules:
+//  - the same mobile once normalized ("+91 98490 12345" vs "9849012345")
+//  - names that read alike within the same village, which catches spelling
+//    variants ("Ramesh Kolli" / "K. Ramesh" / "Rameshh Kolli") and people
+//    who registered again after changing their phone.
+// Runs in the browser over the full user list, so comparisons are limited to
+// names that share a token prefix.
+
+import { normalizeMobile } from "./mobile";
+
+export const NAME_MATCH_THRESHOLD = 0.85;
+
+// Letters in any script; initials and punctuation become separators
+export const nameTokens = (name) =>
+  String(name ?? "")
+    .toLowerCase()
+    .normalize("NFKC")
+    .replace(/[^\p{L}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+
+const levenshtein = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+const ratio = (a, b, threshold) => {
+  const longest = Math.max(a.length, b.length);
+  if (!longest) return 0;
+  const allowed = Math.floor(longest * (1 - threshold));
+  return 1 - levenshtein(a, b, allowed) / longest;
+};
+
+// An initial stands for a word of the other name that starts with it and
+// is not already shared: "k ramesh" against "ramesh kolli" -> "kolli ramesh"
+const expandInitials = (tokens, other) => {
+  const pool = other.filter((t) => t.length > 1 && !tokens.includes(t));
+  return tokens.map((t) => {
+    if (t.length > 1) return t;
+    const i = pool.findIndex((w) => w.startsWith(t));
+    return i === -1 ? t : pool.splice(i, 1)[0];
+  });
+};
+
+/**
+ * 0..1, word order ignored. Initials are read as the matching word of the
+ * other name, so "K. Ramesh" matches "Ramesh Kolli"; failing that they are
+ * dropped when both names still have something left, so "K. Ramesh"
+ * matches "Ramesh".
+ */
+export const nameSimilarity = (a, b, threshold = NAME_MATCH_THRESHOLD) => {
+  const ta = nameTokens(a);
+  const tb = nameTokens(b);
+  if (!ta.length || !tb.length) return 0;
+
+  const joined = (tokens) => [...tokens].sort().join(" ");
+  let best = ratio(joined(ta), joined(tb), threshold);
+
+  if (ta.some((t) => t.length === 1) || tb.some((t) => t.length === 1)) {
+    best = Math.max(
+      best,
+      ratio(joined(expandInitials(ta, tb)), joined(expandInitials(tb, ta)), threshold),
+    );
+  }
+
+  const ca = ta.filter((t) => t.length > 1);
+  const cb = tb.filter((t) => t.length > 1);
+  if (ca.length && cb.length && (ca.length < ta.length || cb.length < tb.length)) {
+    best = Math.max(best, ratio(joined(ca), joined(cb), threshold));
+  }
+  return Math.max(0, best);
+};
+
+const villageKey = (village) => String(village ?? "").trim().toLowerCase();
+
+// Blocking keys: names are only compared when they share one
+const blockKeys = (name) =>
+  new Set(nameTokens(name).filter((t) => t.length > 1).map((t) => t.slice(0, 2)));
+
+const pairKey = (a, b) =>
+  [String(a.id), String(b.id)].sort().join(":");
+
+/**
+ * @typedef {Object} DuplicatePair
+ * @property {string} key
+ * @property {import("../api/users").User} a
+ * @property {import("../api/users").User} b
+ * @property {boolean} sameMobile
+ * @property {number} nameScore   0..1
+ *
+ * @param {import("../api/users").User[]} users
+ * @returns {DuplicatePair[]} strongest matches first
+ */
+export const findDuplicates = (users, threshold = NAME_MATCH_THRESHOLD) => {
+  const pairs = new Map();
+  const addPair = (a, b, changes) => {
+    const key = pairKey(a, b);
+    const existing = pairs.get(key) || {
+      key,
+      a,
+      b,
+      sameMobile: false,
+      nameScore: nameSimilarity(a.name, b.name, threshold),
+    };
+    pairs.set(key, { ...existing, ...changes });
+  };
+
+  const byMobile = new Map();
+  users.forEach((u) => {
+    const mobile = normalizeMobile(u.mobile);
+    if (!mobile) return;
+    if (!byMobile.has(mobile)) byMobile.set(mobile, []);
+    byMobile.get(mobile).push(u);
+  });
+  byMobile.forEach((group) => {
+    for (let i = 0; i < group.length; i += 1) {
+      for (let j = i + 1; j < group.length; j += 1) {
+        addPair(group[i], group[j], { sameMobile: true });
+      }
+    }
+  });
+
+  const blocks = new Map();
+  users.forEach((u) => {
+    const village = villageKey(u.village);
+    if (!village) return;
+    blockKeys(u.name).forEach((k) => {
+      const block = `${village}|${k}`;
+      if (!blocks.has(block)) blocks.set(block, []);
+      blocks.get(block).push(u);
+    });
+  });
+
+  const compared = new Set();
+  blocks.forEach((group) => {
+    for (let i = 0; i < group.length; i += 1) {
+      for (let j = i + 1; j < group.length; j += 1) {
+        const key = pairKey(group[i], group[j]);
+        if (compared.has(key) || group[i].id === group[j].id) continue;
+        compared.add(key);
+        const score = nameSimilarity(group[i].name, group[j].name, threshold);
+        if (score >= threshold) addPair(group[i], group[j], { nameScore: score });
+      }
+    }
+  });
+
+  return [...pairs.values()].sort(
+    (x, y) =>
+      Number(y.sameMobile) - Number(x.sameMobile) || y.nameScore - x.nameScore,
+  );
+};
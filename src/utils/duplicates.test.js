@@ -0,0 +1,41 @@
+import { describe, expect, it } from "vitest";
+import { NAME_MATCH_THRESHOLD, findDuplicates, nameSimilarity } from "./duplicates";
+
+describe("nameSimilarity", () => {
+  it("reads an initial as the other name's word", () => {
+    expect(nameSimilarity("Ramesh Kolli", "K. Ramesh")).toBe(1);
+    expect(nameSimilarity("Rameshh Kolli", "K. Ramesh")).toBeGreaterThanOrEqual(
+      NAME_MATCH_THRESHOLD,
+    );
+  });
+
+  it("still matches an initial against a name without the surname", () => {
+    expect(nameSimilarity("K. Ramesh", "Ramesh")).toBe(1);
+  });
+
+  it("does not let an initial match a word with another first letter", () => {
+    expect(nameSimilarity("Ramesh Kolli", "S. Ramesh")).toBeLessThan(NAME_MATCH_THRESHOLD);
+  });
+});
+
+describe("findDuplicates", () => {
+  it("pairs the spelling variants from the same village only", () => {
+    const users = [
+      { id: "1", name: "Ramesh Kolli", village: "Sirivaram", mobile: "9849012345" },
+      { id: "2", name: "K. Ramesh", village: "Sirivaram", mobile: "9000000001" },
+      { id: "3", name: "K. Ramesh", village: "Kondapur", mobile: "9000000002" },
+    ];
+    const pairs = findDuplicates(users);
+    expect(pairs.map((p) => p.key)).toEqual(["1:2"]);
+    expect(pairs[0].sameMobile).toBe(false);
+  });
+
+  it("pairs the same mobile however it was typed", () => {
+    const pairs = findDuplicates([
+      { id: "1", name: "Lakshmi", village: "Sirivaram", mobile: "+91 98490 12345" },
+      { id: "2", name: "Suresh", village: "Sirivaram", mobile: "9849012345" },
+    ]);
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0].sameMobile).toBe(true);
+  });
+});
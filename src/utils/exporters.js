@@ -0,0 +1,218 @@
+import * as XLSX from "xlsx";
+import { jsPDF } from "jspdf";
+import { PDF_FONT, addPages, el, pageElement, withMounted } from "./pdfPages";
+import { downloadFile, neutralizeFormula, toCsv } from "./spreadsheet";
+
+/**
+ * @typedef {Object} ExportColumn
+ * @property {string} key
+ * @property {string} title
+ * @property {(row: any) => unknown} [value]  defaults to row[key]
+ *
+ * @typedef {Object} ExportMeta
+ * @property {string} title
+ * @property {string} generatedBy
+ * @property {Date} [generatedAt]
+ * @property {string} [filters]  human-readable summary of the filters
+ */
+
+const fmtStamp = (date) =>
+  date.toLocaleString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// "Approved members" + 2026-01-31 -> approved-members-2026-01-31
+const fileBase = (title, date) =>
+  `${title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")}-${date
+    .toISOString()
+    .slice(0, 10)}`;
+
+const cellText = (column, row) => {
+  const v = column.value ? column.value(row) : row[column.key];
+  return v === null || v === undefined ? "" : String(v);
+};
+
+const toTable = (columns, rows) => [
+  columns.map((c) => c.title),
+  ...rows.map((row) => columns.map((c) => cellText(c, row))),
+];
+
+const metaLines = ({ title, generatedBy, generatedAt, filters }) =>
+  [
+    title,
+    `Generated on ${fmtStamp(generatedAt)} by ${generatedBy}`,
+    filters ? `Filters: ${filters}` : "",
+  ].filter(Boolean);
+
+const PDF_MARGIN = 40;
+
+const metaBlock = ([title, ...lines]) =>
+  el("div", { marginBottom: "10px" }, [
+    el("div", { fontSize: "14px", fontWeight: "700", lineHeight: "1.4" }, title),
+    ...lines.map((line) =>
+      el("div", { fontSize: "9px", color: "#646464", lineHeight: "1.4" }, line),
+    ),
+  ]);
+
+// `widths` pins the columns so every page lines up with the first;
+// `offset` keeps the striping continuous across pages
+const htmlTable = (head, body, { widths, offset = 0 } = {}) => {
+  const cell = (tag, text, style) =>
+    el(
+      tag,
+      {
+        border: "1px solid #d9d9d9",
+        padding: "4px",
+        textAlign: "left",
+        verticalAlign: "top",
+        overflowWrap: "anywhere",
+        ...style,
+      },
+      text,
+    );
+  return el(
+    "table",
+    {
+      width: "100%",
+      borderCollapse: "collapse",
+      tableLayout: widths ? "fixed" : "auto",
+      fontSize: "9px",
+      lineHeight: "1.35",
+    },
+    [
+      widths && el("colgroup", {}, widths.map((w) => el("col", { width: `${w}px` }))),
+      el("thead", {}, [
+        el(
+          "tr",
+          {},
+          head.map((title) =>
+            cell("th", title, {
+              background: "rgb(0, 140, 186)",
+              borderColor: "rgb(0, 140, 186)",
+              color: "#fff",
+              fontWeight: "700",
+            }),
+          ),
+        ),
+      ]),
+      el(
+        "tbody",
+        {},
+        body.map((row, i) =>
+          el(
+            "tr",
+            { background: (offset + i) % 2 ? "#f5f5f5" : "#fff" },
+            row.map((text) => cell("td", text)),
+          ),
+        ),
+      ),
+    ],
+  );
+};
+
+// Lays the table out once off screen, then splits the rows into pages by
+// their measured heights, repeating the header row on each page
+const tablePdfPages = async (doc, table, meta) => {
+  const { width, height } = doc.internal.pageSize;
+  const [head, ...body] = table;
+  const footerRoom = 16;
+
+  const layout = await withMounted(
+    el("div", { width: `${width - PDF_MARGIN * 2}px`, fontFamily: PDF_FONT }, [
+      metaBlock(meta),
+      htmlTable(head, body),
+    ]),
+    (node) => {
+      const { tHead, tBodies } = node.querySelector("table");
+      return {
+        metaHeight: node.firstChild.offsetHeight + 10,
+        headHeight: tHead.offsetHeight,
+        rowHeights: [...tBodies[0].rows].map((row) => row.offsetHeight),
+        widths: [...tHead.rows[0].cells].map((c) => c.getBoundingClientRect().width),
+      };
+    },
+  );
+
+  const chunks = [];
+  for (let start = 0; start < body.length || !chunks.length; ) {
+    const room =
+      height -
+      PDF_MARGIN * 2 -
+      footerRoom -
+      layout.headHeight -
+      (chunks.length ? 0 : layout.metaHeight);
+    let end = start;
+    let used = 0;
+    // At least one row per page, however tall
+    while (end < body.length && (end === start || used + layout.rowHeights[end] <= room)) {
+      used += layout.rowHeights[end];
+      end += 1;
+    }
+    chunks.push([start, end]);
+    start = end;
+  }
+
+  return chunks.map(([start, end], i) =>
+    pageElement(doc, { padding: `${PDF_MARGIN}px`, position: "relative" }, [
+      i === 0 && metaBlock(meta),
+      htmlTable(head, body.slice(start, end), { widths: layout.widths, offset: start }),
+      el(
+        "div",
+        {
+          position: "absolute",
+          right: `${PDF_MARGIN}px`,
+          bottom: "14px",
+          fontSize: "8px",
+          color: "#787878",
+        },
+        `Page ${i + 1}`,
+      ),
+    ]),
+  );
+};
+
+/**
+ * @param {"csv" | "xlsx" | "pdf"} format
+ * @param {{ columns: ExportColumn[], rows: any[], meta: ExportMeta }} data
+ * @returns {Promise<void>}  resolves once the file is handed to the browser
+ */
+export const exportTable = async (format, { columns, rows, meta }) => {
+  const stamped = { ...meta, generatedAt: meta.generatedAt || new Date() };
+  const base = fileBase(stamped.title, stamped.generatedAt);
+  const table = toTable(columns, rows);
+  const header = metaLines(stamped).map((line) => [line]);
+
+  if (format === "csv") {
+    // Excel opens UTF-8 CSV correctly only with a BOM (Telugu names)
+    downloadFile(`\uFEFF${toCsv([...header, [], ...table])}`, `${base}.csv`);
+    return;
+  }
+
+  if (format === "xlsx") {
+    const sheet = XLSX.utils.aoa_to_sheet(
+      [...header, [], ...table].map((row) => row.map(neutralizeFormula)),
+    );
+    sheet["!cols"] = columns.map((c, i) => ({
+      wch: Math.min(
+        50,
+        Math.max(c.title.length, ...table.slice(1).map((r) => r[i].length)) + 2,
+      ),
+    }));
+    const book = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(book, sheet, "Export");
+    XLSX.writeFile(book, `${base}.xlsx`);
+    return;
+  }
+
+  const doc = new jsPDF({
+    orientation: columns.length > 5 ? "landscape" : "portrait",
+    unit: "pt",
+    format: "a4",
+  });
+  await addPages(doc, await tablePdfPages(doc, table, metaLines(stamped)));
+  doc.save(`${base}.pdf`);
+};
@@ -0,0 +1,15 @@
+// Indian mobile numbers: 10 digits starting 6-9. Villagers type them with
+// spaces, dashes, a leading 0 or the +91 country code, so normalize first
+// and store the bare 10 digits.
+
+export const MOBILE_PATTERN = /^[6-9]\d{9}$/;
+
+export const normalizeMobile = (value) => {
+  const digits = String(value ?? "").replace(/\D/g, "");
+  if (digits.length === 12 && digits.startsWith("91")) return digits.slice(2);
+  if (digits.length === 11 && digits.startsWith("0")) return digits.slice(1);
+  return digits;
+};
+
+export const isValidMobile = (value) =>
+  MOBILE_PATTERN.test(normalizeMobile(value));
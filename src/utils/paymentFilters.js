@@ -0,0 +1,74 @@
+// URL filters of the payments screen. Everything here is a string as it
+// comes out of the query string; event ids are compared as strings for
+// that reason, since the backend sends them as numbers.
+
+import dayjs from "dayjs";
+
+export const STATUS_OPTIONS = [
+  { value: "ALL", label: "All Payments" },
+  { value: "PENDING_VERIFICATION", label: "Pending Verification" },
+  { value: "VERIFIED", label: "Verified" },
+  { value: "REJECTED", label: "Rejected" },
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Saved by key, not dates, so a "This month" view still means this month
+// when it is opened later
+export const DATE_PRESETS = {
+  last7Days: { label: "Last 7 days", range: (today) => [today.subtract(6, "day"), today] },
+  thisMonth: { label: "This month", range: (today) => [today.startOf("month"), today] },
+  lastMonth: {
+    label: "Last month",
+    range: (today) => {
+      const lastMonth = today.subtract(1, "month");
+      return [lastMonth.startOf("month"), lastMonth.endOf("month")];
+    },
+  },
+  thisYear: { label: "This year", range: (today) => [today.startOf("year"), today] },
+};
+
+export const datePresets = () =>
+  Object.values(DATE_PRESETS).map((p) => ({ label: p.label, value: p.range(dayjs()) }));
+
+// The preset whose dates are exactly `range` today, if any
+export const presetFor = (range) =>
+  Object.keys(DATE_PRESETS).find((key) => {
+    const [from, to] = DATE_PRESETS[key].range(dayjs());
+    return range?.[0]?.isSame(from, "day") && range?.[1]?.isSame(to, "day");
+  }) || "";
+
+// Filters live in the query string so "Ugadi, last week" can be bookmarked
+export const readFilters = (params) => {
+  const date = (key) => (DATE_PATTERN.test(params.get(key)) ? params.get(key) : "");
+  const amount = (key) => {
+    const n = Number(params.get(key));
+    return params.get(key) && Number.isFinite(n) && n >= 0 ? String(n) : "";
+  };
+  // A `range` preset wins over from / to and is resolved against today
+  const preset = Object.hasOwn(DATE_PRESETS, params.get("range") || "")
+    ? DATE_PRESETS[params.get("range")].range(dayjs())
+    : null;
+  return {
+    status: STATUS_OPTIONS.some((o) => o.value === params.get("status"))
+      ? params.get("status")
+      : "ALL",
+    event: params.get("event") || "",
+    range: preset ? params.get("range") : "",
+    from: preset ? preset[0].format("YYYY-MM-DD") : date("from"),
+    to: preset ? preset[1].format("YYYY-MM-DD") : date("to"),
+    min: amount("min"),
+    max: amount("max"),
+    q: params.get("q") || "",
+  };
+};
+
+/** Picker options; values are strings so they match `event` from the URL */
+export const eventOptions = (events) =>
+  events.map((e) => ({
+    value: String(e.id),
+    label: [e.title, e.year].filter(Boolean).join(" · "),
+  }));
+
+export const eventTitleFor = (events, id) =>
+  events.find((e) => String(e.id) === String(id))?.title || id;
@@ -0,0 +1,34 @@
+import { describe, expect, it } from "vitest";
+import dayjs from "dayjs";
+import { eventOptions, eventTitleFor, readFilters } from "./paymentFilters";
+
+// The backend sends numeric ids; the URL only ever holds strings
+const EVENTS = [
+  { id: 7, title: "Ugadi", year: 2026 },
+  { id: 12, title: "Sankranti", year: 2026 },
+];
+
+describe("readFilters", () => {
+  it("restores an event filter from a shared link to its title", () => {
+    const filters = readFilters(new URLSearchParams("event=7&status=VERIFIED"));
+    expect(filters.event).toBe("7");
+    expect(eventOptions(EVENTS).find((o) => o.value === filters.event)?.label).toBe(
+      "Ugadi · 2026",
+    );
+    expect(eventTitleFor(EVENTS, filters.event)).toBe("Ugadi");
+  });
+
+  it("restores a saved view of an event this month", () => {
+    // What applying a view writes to the query string
+    const view = { event: "12", range: "thisMonth" };
+    const filters = readFilters(new URLSearchParams(view));
+    expect(eventTitleFor(EVENTS, filters.event)).toBe("Sankranti");
+    expect(filters.range).toBe("thisMonth");
+    expect(filters.from).toBe(dayjs().startOf("month").format("YYYY-MM-DD"));
+    expect(filters.to).toBe(dayjs().format("YYYY-MM-DD"));
+  });
+
+  it("falls back to the id for an event that is not loaded", () => {
+    expect(eventTitleFor([], "99")).toBe("99");
+  });
+});
@@ -0,0 +1,19 @@
+// Helpers shared by the payment screens.
+
+// UTRs are typed by hand or read off screenshots; compare them without
+// spaces and case so "axis 1234 5678" and "AXIS12345678" are one reference
+export const normalizeUtr = (utr) =>
+  String(utr ?? "").replace(/\s+/g, "").toUpperCase();
+
+/** UTRs that appear on more than one of `payments` */
+export const findReusedUtrs = (payments) => {
+  const seen = new Set();
+  const reused = new Set();
+  payments.forEach((p) => {
+    const utr = normalizeUtr(p.utr);
+    if (!utr) return;
+    if (seen.has(utr)) reused.add(utr);
+    seen.add(utr);
+  });
+  return reused;
+};
@@ -0,0 +1,94 @@
+import html2canvas from "html2canvas";
+import "@fontsource/noto-sans-telugu/400.css";
+import "@fontsource/noto-sans-telugu/700.css";
+
+// jsPDF's built-in Helvetica has no Telugu glyphs, and an embedded font
+// would still lack the shaping Telugu needs (vowel signs, conjuncts). So
+// PDF pages are laid out as HTML, shaped by the browser with the bundled
+// Noto Sans Telugu, and added to the PDF as images.
+//
+// Page elements are sized in CSS px equal to PDF points, so a 9px font
+// prints as 9pt.
+
+export const PDF_FONT = '"Noto Sans Telugu", "Nirmala UI", "Gautami", Arial, sans-serif';
+
+const RENDER_SCALE = 2;
+
+/**
+ * Small element builder; text children are set as text, never as HTML.
+ * @param {string} tag
+ * @param {Partial<CSSStyleDeclaration>} [style]
+ * @param {Array<Node | string | false | null | undefined> | string} [children]
+ * @returns {HTMLElement}
+ */
+export const el = (tag, style = {}, children = []) => {
+  const node = document.createElement(tag);
+  Object.assign(node.style, style);
+  (Array.isArray(children) ? children : [children])
+    .filter((child) => child !== false && child !== null && child !== undefined)
+    .forEach((child) =>
+      node.appendChild(
+        typeof child === "string" ? document.createTextNode(child) : child,
+      ),
+    );
+  return node;
+};
+
+/** A blank page of the document's size, for `children` to fill */
+export const pageElement = (doc, style, children) => {
+  const { width, height } = doc.internal.pageSize;
+  return el(
+    "div",
+    {
+      width: `${width}px`,
+      height: `${height}px`,
+      boxSizing: "border-box",
+      overflow: "hidden",
+      background: "#fff",
+      color: "#141414",
+      fontFamily: PDF_FONT,
+      ...style,
+    },
+    children,
+  );
+};
+
+/**
+ * Mounts `node` off screen while `task` measures or renders it.
+ * @template T
+ * @param {HTMLElement} node
+ * @param {(node: HTMLElement) => Promise<T> | T} task
+ * @returns {Promise<T>}
+ */
+export const withMounted = async (node, task) => {
+  const host = el("div", { position: "fixed", left: "-100000px", top: "0" }, [node]);
+  document.body.appendChild(host);
+  try {
+    // Web fonts load on first use; wait so the capture has the glyphs
+    await document.fonts?.load(`12px ${PDF_FONT}`, node.textContent || "a");
+    await document.fonts?.ready;
+    return await task(node);
+  } finally {
+    host.remove();
+  }
+};
+
+/**
+ * Renders each page element and adds it to `doc` as one PDF page.
+ * @param {import("jspdf").jsPDF} doc  fresh document; its first page is used
+ * @param {HTMLElement[]} pages
+ */
+export const addPages = async (doc, pages) => {
+  const { width, height } = doc.internal.pageSize;
+  for (const [i, page] of pages.entries()) {
+    const canvas = await withMounted(page, (node) =>
+      html2canvas(node, {
+        scale: RENDER_SCALE,
+        backgroundColor: "#ffffff",
+        logging: false,
+      }),
+    );
+    if (i > 0) doc.addPage();
+    doc.addImage(canvas.toDataURL("image/jpeg", 0.92), "JPEG", 0, 0, width, height);
+  }
+};
@@ -0,0 +1,181 @@
+import { jsPDF } from "jspdf";
+import { addPages, el, pageElement } from "./pdfPages";
+import { normalizeMobile } from "./mobile";
+import { normalizeUtr } from "./payments";
+
+const VILLAGE_NAME = "Sirivaram";
+
+const ONES = [
+  "", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine",
+  "Ten", "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen",
+  "Seventeen", "Eighteen", "Nineteen",
+];
+const TENS = [
+  "", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety",
+];
+
+const METHOD_LABELS = {
+  UPI: "UPI",
+  BANK_TRANSFER: "Bank transfer",
+  CASH: "Cash",
+  CHEQUE: "Cheque",
+};
+
+const belowHundred = (n) =>
+  n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? `-${ONES[n % 10]}` : ""}`;
+
+const belowThousand = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds && `${ONES[hundreds]} Hundred`, rest && belowHundred(rest)]
+    .filter(Boolean)
+    .join(" ");
+};
+
+// 1,23,45,678 -> One Crore Twenty-Three Lakh Forty-Five Thousand Six Hundred Seventy-Eight
+const integerInWords = (n) => {
+  if (n === 0) return "Zero";
+  const crore = Math.floor(n / 1e7);
+  const lakh = Math.floor(n / 1e5) % 100;
+  const thousand = Math.floor(n / 1e3) % 100;
+  return [
+    crore && `${integerInWords(crore)} Crore`,
+    lakh && `${belowHundred(lakh)} Lakh`,
+    thousand && `${belowHundred(thousand)} Thousand`,
+    belowThousand(n % 1000),
+  ]
+    .filter(Boolean)
+    .join(" ");
+};
+
+/** 1250.5 -> "Rupees One Thousand Two Hundred Fifty and Fifty Paise Only" */
+export const amountInWords = (amount) => {
+  const paiseTotal = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+  return `Rupees ${integerInWords(rupees)}${
+    paise ? ` and ${belowHundred(paise)} Paise` : ""
+  } Only`;
+};
+
+const fmtRs = (amount) =>
+  `₹ ${Number(amount || 0).toLocaleString("en-IN", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const fmtDate = (iso) =>
+  iso
+    ? new Date(iso).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+      })
+    : "-";
+
+/**
+ * Cash and cheque entries carry the paper receipt's number; online
+ * payments get one derived from their id so reprints always match.
+ */
+export const receiptNumberFor = (payment) =>
+  payment.receiptNumber || `SVR-${String(payment.id).slice(-8).toUpperCase()}`;
+
+export const receiptFileName = (payment) =>
+  `receipt-${receiptNumberFor(payment).replace(/[^A-Za-z0-9-]+/g, "-")}.pdf`;
+
+const ACCENT = "rgb(0, 140, 186)";
+
+/**
+ * @param {Object} data
+ * @param {import("../api/payments").Payment} data.payment  VERIFIED
+ * @param {string} [data.eventTitle]
+ * @param {import("../api/footer").FooterSettings} [data.footer]  village address and contact
+ * @returns {Promise<jsPDF>}
+ */
+export const buildReceiptPdf = async ({ payment, eventTitle, footer = {} }) => {
+  const doc = new jsPDF({ orientation: "portrait", unit: "pt", format: "a5" });
+  const margin = 36;
+
+  const contact = [footer.contactNo && `Ph: ${footer.contactNo}`, footer.email]
+    .filter(Boolean)
+    .join("  |  ");
+  const reference =
+    payment.method === "CHEQUE"
+      ? payment.chequeNumber && `Cheque ${payment.chequeNumber}`
+      : normalizeUtr(payment.utr) && `UTR ${normalizeUtr(payment.utr)}`;
+  const rows = [
+    ["Received from", payment.payerName || "-"],
+    ["Mobile", payment.payerMobile || "-"],
+    ["Event", eventTitle || payment.eventId || "-"],
+    ["Amount", fmtRs(payment.amount)],
+    ["In words", amountInWords(payment.amount)],
+    ["Paid by", METHOD_LABELS[payment.method] || payment.method || "-"],
+    ...(reference ? [["Reference", reference]] : []),
+    ["Paid on", fmtDate(payment.paidOnDate)],
+    ...(payment.receivedBy ? [["Received by", payment.receivedBy]] : []),
+    ["Verified by", payment.verifiedBy || payment.receivedBy || "-"],
+  ];
+  const cell = { border: "1px solid #d9d9d9", padding: "6px", verticalAlign: "top" };
+
+  const page = pageElement(
+    doc,
+    { padding: `28px ${margin}px`, position: "relative", fontSize: "10px" },
+    [
+      el("div", { textAlign: "center", color: "#5a5a5a", fontSize: "9px", lineHeight: "1.45" }, [
+        el("div", { color: "#141414", fontSize: "18px", fontWeight: "700" }, VILLAGE_NAME),
+        footer.address && el("div", { whiteSpace: "pre-line" }, footer.address),
+        contact && el("div", {}, contact),
+      ]),
+      el("div", { borderTop: `1.5px solid ${ACCENT}`, margin: "10px 0 14px" }),
+      el("div", { display: "flex", justifyContent: "space-between", alignItems: "center" }, [
+        el("div", { fontSize: "13px", fontWeight: "700" }, "PAYMENT RECEIPT"),
+        el("div", { textAlign: "right", fontSize: "9px", lineHeight: "1.4" }, [
+          el("div", {}, `No. ${receiptNumberFor(payment)}`),
+          el("div", {}, `Date: ${fmtDate(payment.verifiedAt || payment.paidOnDate)}`),
+        ]),
+      ]),
+      el(
+        "table",
+        { width: "100%", marginTop: "12px", borderCollapse: "collapse", lineHeight: "1.35" },
+        [
+          el(
+            "tbody",
+            {},
+            rows.map(([label, value]) =>
+              el("tr", {}, [
+                el("td", { ...cell, width: "110px", fontWeight: "700", background: "#f5f7fa" }, label),
+                el("td", { ...cell, overflowWrap: "anywhere" }, value),
+              ]),
+            ),
+          ),
+        ],
+      ),
+      el(
+        "div",
+        {
+          position: "absolute",
+          left: "0",
+          right: "0",
+          bottom: "20px",
+          textAlign: "center",
+          fontSize: "8px",
+          color: "#787878",
+        },
+        "This is a computer-generated receipt and needs no signature.",
+      ),
+    ],
+  );
+
+  await addPages(doc, [page]);
+  return doc;
+};
+
+/**
+ * wa.me link with the message filled in, addressed to the payer when
+ * their mobile is known; otherwise WhatsApp asks whom to send it to.
+ */
+export const whatsappShareUrl = (mobile, text) => {
+  const number = normalizeMobile(mobile);
+  const to = number.length === 10 ? `91${number}` : "";
+  return `https://wa.me/${to}?text=${encodeURIComponent(text)}`;
+};
@@ -0,0 +1,220 @@
+// Matches bank / UPI statement lines to payments awaiting verification.
+// A line matches on UTR when it has one; otherwise on the same amount paid
+// within a couple of days. Anything not settled to exactly one payment is
+// left for the treasurer to decide.
+
+import { normalizeUtr } from "./payments";
+
+export const DATE_TOLERANCE_DAYS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = [
+  "jan", "feb", "mar", "apr", "may", "jun",
+  "jul", "aug", "sep", "oct", "nov", "dec",
+];
+
+const makeDate = (year, month, day) => {
+  const y = year < 100 ? 2000 + year : year;
+  const date = new Date(y, month - 1, day);
+  return date.getFullYear() === y && date.getMonth() === month - 1 && date.getDate() === day
+    ? date
+    : null;
+};
+
+/**
+ * Statement dates as Indian banks export them: 2024-01-15, 15/01/2024,
+ * 15-01-24, 15.01.2024, 15-Jan-2024, 15 Jan 24. Day comes before month.
+ * @returns {Date | null} local midnight
+ */
+export const parseStatementDate = (text) => {
+  const value = String(text ?? "").trim();
+  let m = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return makeDate(+m[1], +m[2], +m[3]);
+
+  m = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/);
+  if (m) return makeDate(+m[3], +m[2], +m[1]);
+
+  m = value.match(/^(\d{1,2})[\s/-]([A-Za-z]{3})[A-Za-z]*[\s/,-]+(\d{2}|\d{4})\b/);
+  if (m) {
+    const month = MONTHS.indexOf(m[2].toLowerCase()) + 1;
+    return month ? makeDate(+m[3], month, +m[1]) : null;
+  }
+  return null;
+};
+
+/**
+ * "₹ 1,500.00", "Rs.1500", "INR 1,500 Cr", "(200.00)". Debits ("Dr",
+ * negative, parenthesised) come back negative; anything else that is not
+ * a plain amount is null.
+ * @returns {number | null}
+ */
+export const parseAmount = (text) => {
+  const value = String(text ?? "").trim();
+  if (!value) return null;
+  const debit = /^dr\b|dr\.?$/i.test(value) || /^\(.*\)$/.test(value) || value.startsWith("-");
+  // Strip the currency prefix before anything else: the dot of "Rs." is not
+  // a decimal point
+  const digits = value
+    .replace(/^[(-]\s*|\)$/g, "")
+    .replace(/^(cr|dr)\.?\s+/i, "")
+    .replace(/^(rs\.?|inr|₹)\s*/i, "")
+    .replace(/\s*(cr|dr)\.?$/i, "")
+    .replace(/[,\s]/g, "");
+  if (!/^\d+(\.\d+)?$/.test(digits)) return null;
+  return debit ? -Number(digits) : Number(digits);
+};
+
+// UPI narrations carry the 12-digit RRN, e.g. "UPI/412345678901/Ramesh/..."
+export const extractUtr = (description) =>
+  String(description ?? "").match(/(?<!\d)\d{12}(?!\d)/)?.[0] || "";
+
+/**
+ * Statement rows as read by readSpreadsheet -> credit lines to match.
+ * Debits and rows without a readable date are returned as skipped.
+ *
+ * @param {string[][]} rows
+ * @param {Record<"date" | "amount" | "utr" | "description", number | undefined>} mapping  field -> column
+ * @returns {{ lines: StatementLine[], skipped: { line: number, reason: string }[] }}
+ */
+export const buildStatementLines = (rows, mapping) => {
+  const lines = [];
+  const skipped = [];
+  rows.forEach((cells, i) => {
+    const pick = (field) =>
+      mapping[field] === undefined ? "" : String(cells[mapping[field]] ?? "").trim();
+    const line = i + 1;
+    const amount = parseAmount(pick("amount"));
+    const date = parseStatementDate(pick("date"));
+    const description = pick("description");
+    if (amount === null || amount <= 0) {
+      skipped.push({ line, reason: "Not a credit" });
+    } else if (!date) {
+      skipped.push({ line, reason: `Unreadable date "${pick("date")}"` });
+    } else {
+      lines.push({
+        key: line,
+        line,
+        date,
+        amount,
+        utr: normalizeUtr(pick("utr")) || extractUtr(description),
+        description,
+      });
+    }
+  });
+  return { lines, skipped };
+};
+
+const sameAmount = (a, b) => Math.abs((Number(a) || 0) - (Number(b) || 0)) < 0.005;
+
+const withinDays = (iso, date) => {
+  if (!iso || !date) return false;
+  const paid = new Date(iso);
+  paid.setHours(0, 0, 0, 0);
+  return Math.abs(paid - date) <= DATE_TOLERANCE_DAYS * DAY_MS;
+};
+
+/**
+ * @typedef {Object} StatementLine
+ * @property {number} key
+ * @property {number} line        row number in the file
+ * @property {Date | null} date
+ * @property {number | null} amount
+ * @property {string} utr
+ * @property {string} description
+ *
+ * @typedef {StatementLine & {
+ *   status: "matched" | "ambiguous" | "unmatched",
+ *   candidates: import("../api/payments").Payment[],
+ *   via?: "UTR" | "Amount + date",
+ *   reason?: string,
+ * }} MatchedLine
+ *
+ * @param {StatementLine[]} lines  credits only
+ * @param {import("../api/payments").Payment[]} payments  pending verification
+ * @returns {MatchedLine[]}
+ */
+export const matchStatement = (lines, payments) => {
+  const byUtr = new Map();
+  payments.forEach((p) => {
+    const utr = normalizeUtr(p.utr);
+    if (!utr) return;
+    if (!byUtr.has(utr)) byUtr.set(utr, []);
+    byUtr.get(utr).push(p);
+  });
+
+  const utrMatches = (line) => {
+    const byReference = line.utr ? byUtr.get(line.utr) || [] : [];
+    return {
+      byReference,
+      exact: byReference.filter((p) => sameAmount(p.amount, line.amount)),
+    };
+  };
+
+  // Payments settled by a UTR are not offered to amount + date matching
+  const takenByUtr = new Set();
+  lines.forEach((line) => {
+    const { exact } = utrMatches(line);
+    if (exact.length === 1) takenByUtr.add(exact[0].id);
+  });
+
+  const results = lines.map((line) => {
+    const { byReference, exact } = utrMatches(line);
+    if (byReference.length) {
+      if (exact.length === 1) {
+        return { ...line, status: "matched", via: "UTR", candidates: exact };
+      }
+      return {
+        ...line,
+        status: "ambiguous",
+        candidates: byReference,
+        reason: exact.length
+          ? "Several payments carry this UTR"
+          : "UTR matches but the amount differs",
+      };
+    }
+
+    // A payment with a different UTR of its own is not this line
+    const candidates = payments.filter(
+      (p) =>
+        !takenByUtr.has(p.id) &&
+        sameAmount(p.amount, line.amount) &&
+        withinDays(p.paidOnDate, line.date) &&
+        !(line.utr && normalizeUtr(p.utr) && normalizeUtr(p.utr) !== line.utr),
+    );
+    if (candidates.length === 1) {
+      return { ...line, status: "matched", via: "Amount + date", candidates };
+    }
+    if (candidates.length > 1) {
+      return {
+        ...line,
+        status: "ambiguous",
+        candidates,
+        reason: `${candidates.length} payments with this amount and date`,
+      };
+    }
+    return {
+      ...line,
+      status: "unmatched",
+      candidates: [],
+      reason: "No pending payment with this UTR, amount and date",
+    };
+  });
+
+  // Two lines settling on the same payment can't both be right
+  const claims = new Map();
+  results.forEach((r) => {
+    if (r.status !== "matched") return;
+    const id = r.candidates[0].id;
+    claims.set(id, (claims.get(id) || 0) + 1);
+  });
+  return results.map((r) =>
+    r.status === "matched" && claims.get(r.candidates[0].id) > 1
+      ? {
+          ...r,
+          status: "ambiguous",
+          reason: "Another statement line matches the same payment",
+        }
+      : r,
+  );
+};
@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+import * as XLSX from "xlsx";
+import { readSpreadsheet } from "./spreadsheet";
+import {
+  buildStatementLines,
+  matchStatement,
+  parseAmount,
+  parseStatementDate,
+} from "./reconcile";
+
+const MAPPING = { date: 0, amount: 1, utr: 2, description: 3 };
+
+const payment = (id, amount, paidOnDate, utr) => ({
+  id,
+  amount,
+  paidOnDate,
+  utr,
+  status: "PENDING_VERIFICATION",
+});
+
+// A bank XLS export: real date cells and the RRN stored as a number
+const statementFile = () => {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ["Txn Date", "Credit", "Ref No", "Narration"],
+    ["", 1500, 412345678901, "UPI/412345678901/Ramesh"],
+    ["", 500, "", "NEFT Sita"],
+  ]);
+  sheet.A2 = { t: "n", v: 45355, z: "dd/mm/yyyy" }; // 4 Mar 2024
+  sheet.A3 = { t: "n", v: 45356, z: "dd/mm/yyyy" }; // 5 Mar 2024
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, sheet, "Statement");
+  return new Blob([XLSX.write(book, { type: "array", bookType: "xlsx" })]);
+};
+
+describe("parseStatementDate", () => {
+  it("reads ISO and day-first dates", () => {
+    const march4 = new Date(2024, 2, 4);
+    expect(parseStatementDate("2024-03-04")).toEqual(march4);
+    expect(parseStatementDate("04/03/2024")).toEqual(march4);
+    expect(parseStatementDate("4-Mar-24")).toEqual(march4);
+    expect(parseStatementDate("31/02/2024")).toBeNull();
+  });
+});
+
+describe("parseAmount", () => {
+  it("returns debits as negative", () => {
+    expect(parseAmount("₹ 1,500.00")).toBe(1500);
+    expect(parseAmount("200 Dr")).toBe(-200);
+    expect(parseAmount("")).toBeNull();
+  });
+
+  it("reads the currency prefixes bank statements use", () => {
+    expect(parseAmount("Rs.1500")).toBe(1500);
+    expect(parseAmount("Rs. 1,500.00")).toBe(1500);
+    expect(parseAmount("₹1,500")).toBe(1500);
+    expect(parseAmount("INR 1,50,000.50 Cr")).toBe(150000.5);
+    expect(parseAmount("(Rs. 200.00)")).toBe(-200);
+    expect(parseAmount("Dr Rs.200")).toBe(-200);
+    expect(parseAmount("Rs.")).toBeNull();
+  });
+});
+
+describe("statement import", () => {
+  it("matches on a numeric UTR cell and on a date cell", async () => {
+    const { rows } = await readSpreadsheet(statementFile());
+    const { lines, skipped } = buildStatementLines(rows, MAPPING);
+
+    expect(skipped).toEqual([]);
+    expect(lines[0].utr).toBe("412345678901");
+    expect(lines[0].date).toEqual(new Date(2024, 2, 4));
+
+    const result = matchStatement(lines, [
+      payment("p1", 1500, "2024-03-01T10:00:00", "412345678901"),
+      payment("p2", 500, "2024-03-05T09:00:00"),
+      // Same amount, but a month off: a month/day swap would pick this
+      payment("p3", 500, "2024-05-03T09:00:00"),
+    ]);
+    expect(result.map((r) => [r.status, r.via, r.candidates[0]?.id])).toEqual([
+      ["matched", "UTR", "p1"],
+      ["matched", "Amount + date", "p2"],
+    ]);
+  });
+
+  it("leaves two lines on one payment for a decision", () => {
+    const { lines } = buildStatementLines(
+      [
+        ["2024-03-04", "500", "", ""],
+        ["2024-03-05", "500", "", ""],
+      ],
+      MAPPING,
+    );
+    const result = matchStatement(lines, [payment("p1", 500, "2024-03-04T12:00:00")]);
+    expect(result.map((r) => r.status)).toEqual(["ambiguous", "ambiguous"]);
+  });
+});
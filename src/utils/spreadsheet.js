@@ -0,0 +1,117 @@
+import * as XLSX from "xlsx";
+
+export const SPREADSHEET_ACCEPT = ".csv,.xlsx,.xls";
+
+// Excel shows numbers with 15 significant digits; keep that, not float noise
+const numberText = (value) =>
+  Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(15)));
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Number cells are written from the stored value: the formatted text of a
+// 12-digit mobile or UTR is "9.19877E+11", and of a date "3/4/24", which
+// a day-first reader takes for 3 April. Dates are taken from the serial
+// itself; SheetJS's JS Dates can land just before local midnight in IST.
+const cellText = (cell) => {
+  if (!cell || cell.v === undefined || cell.v === null) return "";
+  if (cell.t === "n") {
+    if (cell.z && XLSX.SSF.is_date(cell.z)) {
+      const d = XLSX.SSF.parse_date_code(cell.v);
+      return d ? `${d.y}-${pad(d.m)}-${pad(d.d)}` : "";
+    }
+    return numberText(cell.v);
+  }
+  if (cell.t === "b") return cell.v ? "TRUE" : "FALSE";
+  if (cell.t === "e") return "";
+  return String(cell.v).trim();
+};
+
+/**
+ * Reads the first sheet of a CSV / Excel file as text cells.
+ * The first non-empty row is taken as the header row; Excel date cells
+ * come out as YYYY-MM-DD. CSV text is kept as typed; nothing is guessed
+ * into numbers or dates.
+ *
+ * @param {File} file
+ * @returns {Promise<{ headers: string[], rows: string[][] }>}
+ */
+export const readSpreadsheet = async (file) => {
+  const workbook = XLSX.read(await file.arrayBuffer(), {
+    type: "array",
+    raw: true,
+    cellNF: true,
+  });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet?.["!ref"]) return { headers: [], rows: [] };
+
+  const range = XLSX.utils.decode_range(sheet["!ref"]);
+  const table = [];
+  for (let r = range.s.r; r <= range.e.r; r += 1) {
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c += 1) {
+      row.push(cellText(sheet[XLSX.utils.encode_cell({ r, c })]));
+    }
+    if (row.some(Boolean)) table.push(row);
+  }
+
+  const [headers = [], ...rows] = table;
+  return { headers, rows };
+};
+
+// Lowercase, no punctuation: "Mobile No." and "mobile_no" both match
+export const headerKey = (header) =>
+  String(header || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Picks a column for each field by comparing headers with known aliases.
+ *
+ * @param {string[]} headers
+ * @param {Record<string, string[]>} aliases  field -> accepted header names
+ * @returns {Record<string, number | undefined>} field -> column index
+ */
+export const guessColumns = (headers, aliases) => {
+  const keys = headers.map(headerKey);
+  return Object.fromEntries(
+    Object.entries(aliases).map(([field, names]) => {
+      const wanted = names.map(headerKey);
+      const index = keys.findIndex((k) => wanted.includes(k));
+      return [field, index === -1 ? undefined : index];
+    }),
+  );
+};
+
+/**
+ * Text a spreadsheet would run as a formula (=, +, -, @, or a leading tab
+ * or CR) gets a leading apostrophe, so a name typed as "=HYPERLINK(...)"
+ * stays text. Plain numbers such as "-250" are left alone.
+ */
+export const neutralizeFormula = (value) => {
+  const text = String(value ?? "");
+  return /^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)
+    ? `'${text}`
+    : text;
+};
+
+/** Builds a CSV string; cells are quoted when needed */
+export const toCsv = (rows) =>
+  rows
+    .map((row) =>
+      row
+        .map((cell) => {
+          const text = neutralizeFormula(cell);
+          return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(","),
+    )
+    .join("\r\n");
+
+export const downloadFile = (content, filename, type = "text/csv") => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
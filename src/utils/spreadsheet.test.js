@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import * as XLSX from "xlsx";
+import { readSpreadsheet, toCsv } from "./spreadsheet";
+
+// What the browser hands the wizard: a File-like object with arrayBuffer()
+const xlsxFile = (aoa, bookType = "xlsx") => {
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(aoa), "Sheet1");
+  return new Blob([XLSX.write(book, { type: "array", bookType })]);
+};
+
+const csvFile = (text) => new Blob([text]);
+
+describe("readSpreadsheet", () => {
+  it("keeps long numbers whole instead of in E notation", async () => {
+    const { headers, rows } = await readSpreadsheet(
+      xlsxFile([
+        ["Name", "Mobile", "Amount"],
+        ["Ramesh", 919876543210, 1500.5],
+      ]),
+    );
+    expect(headers).toEqual(["Name", "Mobile", "Amount"]);
+    expect(rows).toEqual([["Ramesh", "919876543210", "1500.5"]]);
+  });
+
+  it("reads legacy .xls the same way", async () => {
+    const { rows } = await readSpreadsheet(
+      xlsxFile([["Mobile"], [9876543210]], "biff8"),
+    );
+    expect(rows).toEqual([["9876543210"]]);
+  });
+
+  it("keeps CSV text as typed", async () => {
+    const { rows } = await readSpreadsheet(
+      csvFile("Mobile,Joined\n919876543210,04/03/2024\n"),
+    );
+    expect(rows).toEqual([["919876543210", "04/03/2024"]]);
+  });
+
+  it("skips empty rows and trims text", async () => {
+    const { headers, rows } = await readSpreadsheet(
+      xlsxFile([[], ["  Name "], [""], ["Sita"]]),
+    );
+    expect(headers).toEqual(["Name"]);
+    expect(rows).toEqual([["Sita"]]);
+  });
+});
+
+describe("readSpreadsheet date cells", () => {
+  // Built cell by cell, the way Excel stores a date: a serial number with
+  // a date format. 45355 is 4 March 2024; .99 is late in the evening.
+  const withDateCell = (cell) => {
+    const sheet = XLSX.utils.aoa_to_sheet([["Txn Date"], [""]]);
+    sheet.A2 = cell;
+    const book = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(book, sheet, "Sheet1");
+    return new Blob([XLSX.write(book, { type: "array", bookType: "xlsx" })]);
+  };
+
+  it("writes a date cell as YYYY-MM-DD, not the locale's m/d/yy", async () => {
+    const { rows } = await readSpreadsheet(
+      withDateCell({ t: "n", v: 45355, z: "m/d/yy" }),
+    );
+    expect(rows).toEqual([["2024-03-04"]]);
+  });
+
+  it("keeps the calendar day of a date-time cell", async () => {
+    const { rows } = await readSpreadsheet(
+      withDateCell({ t: "n", v: 45355.99, z: "dd-mm-yyyy hh:mm" }),
+    );
+    expect(rows).toEqual([["2024-03-04"]]);
+  });
+
+  it("reads a JS Date written by Excel tooling on the same day", async () => {
+    const { rows } = await readSpreadsheet(
+      xlsxFile([["Date"], [new Date(2024, 2, 4)]]),
+    );
+    expect(rows).toEqual([["2024-03-04"]]);
+  });
+});
+
+describe("toCsv", () => {
+  it("keeps formulas from running when the file is opened", () => {
+    expect(
+      toCsv([["=HYPERLINK(\"http://x\")", "+91 98765", "-1+1", "@SUM(A1)", "Ramesh"]]),
+    ).toBe(`"'=HYPERLINK(""http://x"")",'+91 98765,'-1+1,'@SUM(A1),Ramesh`);
+  });
+
+  it("leaves plain numbers alone", () => {
+    expect(toCsv([["-250", 1500, "12.5"]])).toBe("-250,1500,12.5");
+  });
+});